@@ -1,98 +1,64 @@
-import React, { useRef, useMemo, useState, useEffect } from 'react';
-import { Canvas, useFrame } from '@react-three/fiber';
-import { Line, Ring } from '@react-three/drei';
+import React, { useRef, useMemo, useState, useEffect, useLayoutEffect } from 'react';
+import { Canvas, useFrame, useThree } from '@react-three/fiber';
+import { Line, Ring, Html, Billboard, OrbitControls } from '@react-three/drei';
 import * as THREE from 'three';
+import { useTargetKeys, useSelection } from './useRadarTargeting';
+import RadarContactsInstanced from './RadarContactsInstanced';
+import ReplayControls from './ReplayControls';
+import RadarTargetCard from './RadarTargetCard';
+import RadarAlertBanner from './RadarAlertBanner';
+import { useRadarAlerts } from './useRadarAlerts';
+import { useRadarReplay } from './useRadarReplay';
+import { RadarLiveRegion, RadarContactList, usePrefersReducedMotion } from './RadarAccessibility';
+import RadarFallback2D, { supportsWebGL, WebGLErrorBoundary } from './RadarFallback2D';
+import {
+  transformToRadarSpace,
+  isContactSelected,
+  circlePoints,
+  gridGeometry,
+  rangeRingDistances,
+  formatRange,
+  formatDistance
+} from './radarCore';
+import { themes, resolveTheme, registerTheme } from './radarThemes';
+import { createIffEngine } from './radarIff';
+import { applyRadarFilter, countByType, legendTypes, toggleType, normalizeFilter } from './radarFilters';
+import { contactLabel, measureLabel, rankLabelledContacts, placeLabels, labelFont } from './radarLabels';
+import { resolveView, nextViewName, viewSpan, defaultOrbitLimits } from './radarViews';
+import { createSensorModel } from './radarSensors';
+import { fuseContacts } from './radarFusion';
 
 // ============================================================================
-// THEME CONFIGURATIONS
-// ============================================================================
-
-const themes = {
-  eliteClassic: {
-    dish: { color: '#00ff00', opacity: 0.15 },
-    ring: { color: '#00ff44', opacity: 0.6 },
-    grid: { color: '#00aa00', opacity: 0.25 },
-    center: { color: '#00ff00' },
-    stalk: { opacity: 0.6 },
-    contacts: {
-      hostile: '#ff3333',
-      friendly: '#33ff88',
-      neutral: '#ffff33',
-      station: '#00ffff',
-      missile: '#ff00ff',
-      default: '#ffffff'
-    },
-    scanline: '#00ff00',
-    glow: '#00ff44'
-  },
-  eliteDangerous: {
-    dish: { color: '#ff6600', opacity: 0.12 },
-    ring: { color: '#ff8800', opacity: 0.5 },
-    grid: { color: '#663300', opacity: 0.2 },
-    center: { color: '#ff8800' },
-    stalk: { opacity: 0.5 },
-    contacts: {
-      hostile: '#ff4444',
-      friendly: '#44ff66',
-      neutral: '#ff9900',
-      station: '#4499ff',
-      missile: '#ff44ff',
-      default: '#ffffff'
-    },
-    scanline: '#ff6600',
-    glow: '#ff8800'
-  }
-};
-
+// TRAIL CONFIGURATION
 // ============================================================================
-// UTILITY FUNCTIONS
-// ============================================================================
-
-function transformToRadarSpace(contact, options) {
-  const {
-    playerPosition = [0, 0, 0],
-    playerQuaternion = [0, 0, 0, 1],
-    maxRange = 5000,
-    radarRadius = 1,
-    shipRelative = true
-  } = options;
 
-  // Calculate relative position
-  let relX = contact.position[0] - playerPosition[0];
-  let relY = contact.position[1] - playerPosition[1];
-  let relZ = contact.position[2] - playerPosition[2];
+// Per-type trail settings: `length` is the number of samples kept, `interval`
+// the seconds between samples and `fade` a curve name or (age 0..1) => alpha
+const defaultTrailConfig = {
+  hostile: { length: 24, interval: 0.25, fade: 'linear' },
+  friendly: { length: 16, interval: 0.25, fade: 'linear' },
+  neutral: { length: 10, interval: 0.5, fade: 'linear' },
+  station: { length: 0, interval: 1, fade: 'linear' },
+  missile: { length: 60, interval: 0.1, fade: 'quadratic' },
+  default: { length: 10, interval: 0.5, fade: 'linear' }
+};
 
-  // Apply player rotation if ship-relative
-  if (shipRelative) {
-    const quat = new THREE.Quaternion(...playerQuaternion).invert();
-    const vec = new THREE.Vector3(relX, relY, relZ).applyQuaternion(quat);
-    relX = vec.x;
-    relY = vec.y;
-    relZ = vec.z;
-  }
+const fadeCurves = {
+  linear: age => 1 - age,
+  quadratic: age => (1 - age) * (1 - age),
+  exponential: age => Math.exp(-4 * age),
+  none: () => 1
+};
 
-  // Calculate distance and normalize
-  const distance = Math.sqrt(relX * relX + relY * relY + relZ * relZ);
-  const normalizedDist = Math.min(distance / maxRange, 1);
-
-  // Calculate angles
-  const horizontalDist = Math.sqrt(relX * relX + relZ * relZ);
-  const theta = Math.atan2(relX, relZ); // Azimuth
-  const phi = Math.atan2(relY, horizontalDist); // Elevation
-
-  // Map to radar coordinates
-  const radarHorizontalDist = normalizedDist * radarRadius;
-  const radarX = radarHorizontalDist * Math.sin(theta);
-  const radarZ = radarHorizontalDist * Math.cos(theta);
-  const radarY = normalizedDist * Math.sin(phi) * radarRadius * 0.5;
-
-  return {
-    ...contact,
-    radarPosition: [radarX, radarY, radarZ],
-    basePosition: [radarX, 0, radarZ],
-    normalizedDistance: normalizedDist,
-    isAbove: relY > 0
+// `trails` is true for the defaults, or an object of per-type overrides
+function resolveTrailConfig(trails, type) {
+  if (!trails) return null;
+  const overrides = trails === true ? {} : trails;
+  const config = {
+    ...(defaultTrailConfig[type] || defaultTrailConfig.default),
+    ...(overrides[type] || overrides.default)
   };
+  return config.length > 1 ? config : null;
 }
 
 // ============================================================================
@@ -132,19 +98,7 @@ function RadarDish({ radius = 1, theme }) {
 // ============================================================================
 
 function EquatorialRing({ radius = 1, theme }) {
-  const points = useMemo(() => {
-    const pts = [];
-    const segments = 64;
-    for (let i = 0; i <= segments; i++) {
-      const angle = (i / segments) * Math.PI * 2;
-      pts.push(new THREE.Vector3(
-        Math.cos(angle) * radius,
-        0,
-        Math.sin(angle) * radius
-      ));
-    }
-    return pts;
-  }, [radius]);
+  const points = useMemo(() => circlePoints(radius, 64), [radius]);
 
   return (
     <Line
@@ -161,46 +115,26 @@ function EquatorialRing({ radius = 1, theme }) {
 // RADAR GRID COMPONENT
 // ============================================================================
 
-function RadarGrid({ radius = 1, divisions = 4, theme }) {
+function RadarGrid({ radius = 1, divisions = 4, theme, maxRange, rangeScale, showLabels = true }) {
   const lines = useMemo(() => {
-    const result = [];
-    
-    // Radial lines (spokes)
-    const spokeCount = 8;
-    for (let i = 0; i < spokeCount; i++) {
-      const angle = (i / spokeCount) * Math.PI * 2;
-      result.push({
-        points: [
-          new THREE.Vector3(0, 0, 0),
-          new THREE.Vector3(
-            Math.cos(angle) * radius,
-            0,
-            Math.sin(angle) * radius
-          )
-        ],
-        key: `spoke-${i}`
-      });
-    }
-    
-    // Concentric range rings
-    for (let i = 1; i < divisions; i++) {
-      const ringRadius = (i / divisions) * radius;
-      const pts = [];
-      const segments = 32;
-      for (let j = 0; j <= segments; j++) {
-        const angle = (j / segments) * Math.PI * 2;
-        pts.push(new THREE.Vector3(
-          Math.cos(angle) * ringRadius,
-          0,
-          Math.sin(angle) * ringRadius
-        ));
-      }
-      result.push({ points: pts, key: `ring-${i}` });
-    }
-    
-    return result;
+    const { spokes, rings } = gridGeometry({ radius, divisions });
+    return [
+      ...spokes.map((points, i) => ({ points, key: `spoke-${i}` })),
+      ...rings.map((ring, i) => ({ points: ring.points, key: `ring-${i + 1}` }))
+    ];
   }, [radius, divisions]);
 
+  // Rings sit at even radii; their labels are the distances the active
+  // range scale puts there (the last one is the rim, i.e. maxRange)
+  const labels = useMemo(() => {
+    if (!showLabels || !maxRange) return [];
+    return rangeRingDistances({ radius, divisions, maxRange, rangeScale }).map((ring, i) => ({
+      key: `label-${i + 1}`,
+      position: [ring.radius * Math.SQRT1_2, 0, ring.radius * Math.SQRT1_2],
+      text: formatDistance(ring.distance)
+    }));
+  }, [radius, divisions, maxRange, rangeScale, showLabels]);
+
   return (
     <group>
       {lines.map(line => (
@@ -213,6 +147,19 @@ function RadarGrid({ radius = 1, divisions = 4, theme }) {
           opacity={theme.grid.opacity}
         />
       ))}
+      {labels.map(label => (
+        <Html key={label.key} position={label.position} center style={{ pointerEvents: 'none' }}>
+          <div style={{
+            color: theme.grid.color,
+            fontFamily: "'Courier New', monospace",
+            fontSize: '9px',
+            letterSpacing: '1px',
+            whiteSpace: 'nowrap'
+          }}>
+            {label.text}
+          </div>
+        </Html>
+      ))}
     </group>
   );
 }
@@ -221,11 +168,11 @@ function RadarGrid({ radius = 1, divisions = 4, theme }) {
 // CENTER MARKER COMPONENT
 // ============================================================================
 
-function CenterMarker({ theme }) {
+function CenterMarker({ theme, animate = true }) {
   const groupRef = useRef();
   
   useFrame((state) => {
-    if (groupRef.current) {
+    if (groupRef.current && animate) {
       groupRef.current.rotation.y = state.clock.elapsedTime * 0.5;
     }
   });
@@ -256,32 +203,54 @@ function CenterMarker({ theme }) {
 // SCAN SWEEP COMPONENT
 // ============================================================================
 
-function ScanSweep({ radius = 1, theme }) {
-  const lineRef = useRef();
-  const [angle, setAngle] = useState(0);
-  
+// The sweep angle accumulates (never wraps) so crossing tests stay simple.
+// Everything that reads it calls advanceSweep first; only the first caller
+// in a frame moves it, so the sweep is independent of mount order.
+function createSweep(rate) {
+  return { angle: 0, previousAngle: 0, time: null, rate };
+}
+
+function advanceSweep(sweep, time, delta) {
+  if (sweep.time === time) return;
+  sweep.previousAngle = sweep.angle;
+  sweep.angle += delta * sweep.rate;
+  sweep.time = time;
+}
+
+// True when the arm passed `bearing` (radians, atan2(z, x)) during the last step
+function sweepCrossed(sweep, bearing) {
+  const span = sweep.angle - sweep.previousAngle;
+  if (span >= Math.PI * 2) return true;
+  const TWO_PI = Math.PI * 2;
+  const start = ((sweep.previousAngle % TWO_PI) + TWO_PI) % TWO_PI;
+  const offset = (((bearing - start) % TWO_PI) + TWO_PI) % TWO_PI;
+  return offset > 0 && offset <= span;
+}
+
+function ScanSweep({ radius = 1, theme, sweep }) {
+  const groupRef = useRef();
+
   useFrame((state, delta) => {
-    setAngle(prev => (prev + delta * 1.5) % (Math.PI * 2));
+    advanceSweep(sweep, state.clock.elapsedTime, delta);
+    // Rotating the group avoids rebuilding the line (and re-rendering) each frame
+    if (groupRef.current) groupRef.current.rotation.y = -sweep.angle;
   });
 
   const points = useMemo(() => [
     new THREE.Vector3(0, 0.001, 0),
-    new THREE.Vector3(
-      Math.cos(angle) * radius,
-      0.001,
-      Math.sin(angle) * radius
-    )
-  ], [angle, radius]);
+    new THREE.Vector3(radius, 0.001, 0)
+  ], [radius]);
 
   return (
-    <Line
-      ref={lineRef}
-      points={points}
-      color={theme.scanline}
-      lineWidth={1.5}
-      transparent
-      opacity={0.4}
-    />
+    <group ref={groupRef}>
+      <Line
+        points={points}
+        color={theme.scanline}
+        lineWidth={1.5}
+        transparent
+        opacity={0.4}
+      />
+    </group>
   );
 }
 
@@ -311,14 +280,16 @@ function RadarStalk({ start, end, color, opacity = 0.6 }) {
 // CONTACT MARKER COMPONENT
 // ============================================================================
 
-function ContactMarker({ position, type, size = 0.025, selected, color }) {
+function ContactMarker({ position, type, size = 0.025, selected, hovered, color, faded = false, animate = true }) {
   const meshRef = useRef();
-  const [hovered, setHovered] = useState(false);
   
   useFrame((state) => {
-    if (meshRef.current && selected) {
-      meshRef.current.scale.setScalar(1 + Math.sin(state.clock.elapsedTime * 5) * 0.2);
-    }
+    if (!meshRef.current) return;
+    const hoverScale = hovered ? 1.3 : 1;
+    // Without animation the selected marker is held at its largest size
+    let pulse = 1;
+    if (selected) pulse = animate ? 1 + Math.sin(state.clock.elapsedTime * 5) * 0.2 : 1.2;
+    meshRef.current.scale.setScalar(hoverScale * pulse);
   });
 
   const geometry = useMemo(() => {
@@ -342,21 +313,15 @@ function ContactMarker({ position, type, size = 0.025, selected, color }) {
   }, [type, size]);
 
   const isWireframe = ['friendly', 'station'].includes(type);
-  const actualSize = hovered ? size * 1.3 : size;
 
   return (
-    <mesh
-      ref={meshRef}
-      position={position}
-      onPointerOver={() => setHovered(true)}
-      onPointerOut={() => setHovered(false)}
-    >
+    <mesh ref={meshRef} position={position}>
       {geometry}
       <meshBasicMaterial
         color={color}
         wireframe={isWireframe}
         transparent={!selected}
-        opacity={selected ? 1 : 0.85}
+        opacity={selected ? 1 : (faded ? 0.45 : 0.85)}
       />
     </mesh>
   );
@@ -381,37 +346,543 @@ function BasePoint({ position, color, size = 0.015 }) {
 }
 
 // ============================================================================
-// RADAR CONTACT COMPONENT
+// VELOCITY VECTOR COMPONENT
 // ============================================================================
 
-function RadarContact({ contact, theme }) {
-  const { radarPosition, basePosition, type, selected } = contact;
-  const color = theme.contacts[type] || theme.contacts.default;
+function VelocityVector({ start, end, color }) {
+  const points = useMemo(() => [
+    new THREE.Vector3(...start),
+    new THREE.Vector3(...end)
+  ], [start, end]);
+
+  return (
+    <Line
+      points={points}
+      color={color}
+      lineWidth={1.5}
+      transparent
+      opacity={0.9}
+    />
+  );
+}
+
+// ============================================================================
+// PREDICTED POSITION COMPONENT
+// ============================================================================
+
+function PredictedGhost({ start, position, color, size = 0.025 }) {
+  const points = useMemo(() => [
+    new THREE.Vector3(...start),
+    new THREE.Vector3(...position)
+  ], [start, position]);
 
   return (
     <group>
-      {/* Vertical Stalk */}
-      <RadarStalk
-        start={basePosition}
-        end={radarPosition}
+      {/* Dashed track to the ghost */}
+      <Line
+        points={points}
         color={color}
-        opacity={theme.stalk.opacity}
+        lineWidth={1}
+        transparent
+        opacity={0.35}
+        dashed
+        dashSize={0.02}
+        gapSize={0.015}
       />
+      <mesh position={position}>
+        <sphereGeometry args={[size * 0.5, 8, 8]} />
+        <meshBasicMaterial
+          color={color}
+          wireframe
+          transparent
+          opacity={0.35}
+        />
+      </mesh>
+    </group>
+  );
+}
+
+// ============================================================================
+// FUSION HALO COMPONENT
+// ============================================================================
+
+// Ring facing the camera around tracks that more than one source reported;
+// the surer the track, the brighter the ring
+function FusionHalo({ position, color, confidence, size = 0.025 }) {
+  return (
+    <Billboard position={position}>
+      <Ring args={[size * 1.4, size * 1.7, 24]}>
+        <meshBasicMaterial color={color} transparent opacity={0.3 + 0.6 * confidence} side={THREE.DoubleSide} />
+      </Ring>
+    </Billboard>
+  );
+}
+
+// ============================================================================
+// CONTACT TRAIL COMPONENT
+// ============================================================================
+
+function createTrailLine(length) {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(length * 3), 3));
+  geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(length * 4), 4));
+  geometry.setDrawRange(0, 0);
+  const material = new THREE.LineBasicMaterial({
+    vertexColors: true,
+    transparent: true,
+    depthWrite: false
+  });
+  const line = new THREE.Line(geometry, material);
+  // Trails are decoration only; keep them out of contact picking
+  line.raycast = () => {};
+  return line;
+}
+
+function writeTrail(line, samples, key, length, color, fade) {
+  const positions = line.geometry.attributes.position;
+  const colors = line.geometry.attributes.color;
+  samples.forEach((sample, i) => {
+    const point = sample[key];
+    const alpha = fade(length > 1 ? i / (length - 1) : 0);
+    positions.setXYZ(i, point[0], point[1], point[2]);
+    colors.setXYZW(i, color.r, color.g, color.b, alpha);
+  });
+  positions.needsUpdate = true;
+  colors.needsUpdate = true;
+  line.geometry.setDrawRange(0, samples.length);
+  line.geometry.computeBoundingSphere();
+}
+
+// Samples the contact's radar position into a history buffer keyed by id,
+// so the trail survives the contacts array being re-created on each update
+function ContactTrail({ id, radarPosition, basePosition, color, config, history }) {
+  const latest = useRef();
+  latest.current = { radarPosition, basePosition };
+
+  const { length, interval, fade } = config;
+  const fadeFn = typeof fade === 'function' ? fade : (fadeCurves[fade] || fadeCurves.linear);
+  const trailColor = useMemo(() => new THREE.Color(color), [color]);
+
+  const lines = useMemo(() => ({
+    marker: createTrailLine(length),
+    base: createTrailLine(length)
+  }), [length]);
+
+  useEffect(() => () => {
+    Object.values(lines).forEach(line => {
+      line.geometry.dispose();
+      line.material.dispose();
+    });
+  }, [lines]);
+
+  useFrame((state) => {
+    if (!history.has(id)) history.set(id, { samples: [], lastSample: -Infinity });
+    const entry = history.get(id);
+    const now = state.clock.elapsedTime;
+
+    if (now - entry.lastSample >= interval) {
+      entry.samples.unshift({
+        radar: [...latest.current.radarPosition],
+        base: [...latest.current.basePosition]
+      });
+      entry.lastSample = now;
+    }
+    if (entry.samples.length > length) entry.samples.length = length;
+
+    writeTrail(lines.marker, entry.samples, 'radar', length, trailColor, fadeFn);
+    writeTrail(lines.base, entry.samples, 'base', length, trailColor, age => fadeFn(age) * 0.5);
+  });
+
+  return (
+    <group>
+      <primitive object={lines.marker} />
+      <primitive object={lines.base} />
+    </group>
+  );
+}
+
+// ============================================================================
+// EDGE MARKER COMPONENT
+// ============================================================================
+
+// Shown instead of the stalk and marker for contacts beyond maxRange: an
+// arrow just outside the rim, pointing out along the contact's bearing
+function EdgeMarker({ basePosition, bearing, color, size = 0.025 }) {
+  const position = [basePosition[0] * 1.06, 0, basePosition[2] * 1.06];
+
+  return (
+    <group position={position} rotation={[0, bearing, 0]}>
+      <mesh rotation={[Math.PI / 2, 0, 0]}>
+        <coneGeometry args={[size * 0.6, size * 1.4, 3]} />
+        <meshBasicMaterial color={color} transparent opacity={0.7} />
+      </mesh>
+    </group>
+  );
+}
+
+// ============================================================================
+// RADAR CONTACT COMPONENT
+// ============================================================================
+
+function RadarContact({
+  contact,
+  theme,
+  selected,
+  showVelocity = true,
+  trailConfig,
+  trailHistory,
+  reducedMotion = false,
+  onClick,
+  onHover
+}) {
+  const { radarPosition, basePosition, type, velocityEnd, predictedPosition } = contact;
+  const color = theme.contacts[type] || theme.contacts.default;
+  const [hovered, setHovered] = useState(false);
+  const { gl } = useThree();
+
+  // Pointer events from the stalk, base point and marker all bubble up here
+  const handlePointerOver = (event) => {
+    event.stopPropagation();
+    setHovered(true);
+    gl.domElement.style.cursor = 'pointer';
+    if (onHover) onHover(contact, event);
+  };
+
+  const handlePointerOut = (event) => {
+    setHovered(false);
+    gl.domElement.style.cursor = '';
+    if (onHover) onHover(null, event);
+  };
+
+  const handleClick = (event) => {
+    event.stopPropagation();
+    if (onClick) onClick(contact, event);
+  };
+
+  return (
+    <group
+      onPointerOver={handlePointerOver}
+      onPointerOut={handlePointerOut}
+      onClick={handleClick}
+    >
+      {contact.outOfRange ? (
+        /* Off-scale contacts get an arrow on the rim instead */
+        <EdgeMarker basePosition={basePosition} bearing={contact.bearing} color={color} />
+      ) : (
+        <>
+          {/* Vertical Stalk and base point; decluttered contacts are marker only */}
+          {!contact.decluttered && (
+            <>
+              <RadarStalk
+                start={basePosition}
+                end={radarPosition}
+                color={color}
+                opacity={theme.stalk.opacity}
+              />
+              <BasePoint position={basePosition} color={color} />
+            </>
+          )}
+          
+          {/* Contact Marker; unresolved sensor blips are faded */}
+          <ContactMarker
+            position={radarPosition}
+            type={type}
+            selected={selected}
+            hovered={hovered}
+            color={color}
+            faded={!!contact.unresolved}
+            animate={!reducedMotion}
+          />
+          
+          {/* Fused tracks are ringed; single-source tracks are not */}
+          {contact.fusion && contact.fusion.fused && (
+            <FusionHalo
+              position={radarPosition}
+              color={color}
+              confidence={contact.fusion.confidence}
+              size={type === 'station' ? 0.045 : 0.025}
+            />
+          )}
+
+          {/* Velocity vector and predicted position */}
+          {showVelocity && velocityEnd && (
+            <VelocityVector start={radarPosition} end={velocityEnd} color={color} />
+          )}
+          {showVelocity && predictedPosition && (
+            <PredictedGhost start={radarPosition} position={predictedPosition} color={color} />
+          )}
+        </>
+      )}
       
-      {/* Base Point on horizontal plane */}
-      <BasePoint position={basePosition} color={color} />
-      
-      {/* Contact Marker */}
-      <ContactMarker
-        position={radarPosition}
-        type={type}
-        selected={selected}
-        color={color}
-      />
+      {/* Fading position history */}
+      {trailConfig && trailHistory && contact.id != null && (
+        <ContactTrail
+          id={contact.id}
+          radarPosition={radarPosition}
+          basePosition={basePosition}
+          color={color}
+          config={trailConfig}
+          history={trailHistory}
+        />
+      )}
     </group>
   );
 }
 
+// ============================================================================
+// SWEPT CONTACT COMPONENT
+// ============================================================================
+
+// Phosphor afterglow: full brightness when painted, ~5% after `decay` seconds
+function phosphorFade(age, decay) {
+  if (age < 0) return 1;
+  return Math.exp(-3 * age / decay);
+}
+
+// Scales every material under `group` by `fade`, remembering each material's
+// own opacity so React prop updates (e.g. selection) are still honoured
+function applyFade(group, fade) {
+  group.traverse(object => {
+    const material = object.material;
+    if (!material) return;
+    if (material.userData.fadedOpacity !== material.opacity) {
+      material.userData.baseOpacity = material.opacity;
+    }
+    material.transparent = true;
+    material.opacity = material.userData.baseOpacity * fade;
+    material.userData.fadedOpacity = material.opacity;
+  });
+}
+
+// Sweep radar mode: the blip is only repainted when the sweep arm crosses the
+// contact's bearing, and fades until the next pass
+function SweptContact({ contact, sweep, decay, ...contactProps }) {
+  const groupRef = useRef();
+  const latest = useRef(contact);
+  latest.current = contact;
+  const paintedAt = useRef(null);
+  const [painted, setPainted] = useState(null);
+
+  useFrame((state, delta) => {
+    const now = state.clock.elapsedTime;
+    advanceSweep(sweep, now, delta);
+
+    const [x, , z] = latest.current.radarPosition;
+    if (sweepCrossed(sweep, Math.atan2(z, x))) {
+      paintedAt.current = now;
+      setPainted(latest.current);
+    }
+
+    if (!groupRef.current) return;
+    const fade = paintedAt.current === null ? 0 : phosphorFade(now - paintedAt.current, decay);
+    groupRef.current.visible = fade > 0.02;
+    applyFade(groupRef.current, fade);
+  });
+
+  return (
+    <group ref={groupRef}>
+      {painted && <RadarContact contact={painted} {...contactProps} />}
+    </group>
+  );
+}
+
+// ============================================================================
+// CONTACT LABELS COMPONENT
+// ============================================================================
+
+// Name and distance beside each marker, as screen-facing HTML. Every frame
+// the markers are projected to pixels and placeLabels() moves each label to
+// a free spot beside its marker, or hides it when there is none; positions
+// are written straight to the DOM, so nothing re-renders per frame.
+function ContactLabels({ radarContacts, theme, isSelected, limit = 30 }) {
+  const groupRef = useRef();
+  const elements = useRef(new Map()).current;
+  const point = useMemo(() => new THREE.Vector3(), []);
+  const { camera, size } = useThree();
+
+  const labels = rankLabelledContacts(radarContacts, isSelected, limit).map(({ contact, selected }, index) => {
+    const label = contactLabel(contact);
+    return {
+      key: contact.id != null ? contact.id : `label-${index}`,
+      position: contact.outOfRange ? contact.basePosition : contact.radarPosition,
+      color: theme.contacts[contact.type] || theme.contacts.default,
+      markerScale: contact.type === 'station' ? 1.8 : 1,
+      selected,
+      ...label,
+      ...measureLabel(label.text)
+    };
+  });
+
+  useFrame(() => {
+    if (!groupRef.current) return;
+    // Pixels per scene unit: fixed under an orthographic camera, falling off
+    // with distance under a perspective one
+    const pixelsPerUnit = camera.isOrthographicCamera
+      ? () => (size.height * camera.zoom) / (camera.top - camera.bottom)
+      : distance => size.height / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2)) / distance;
+    const anchors = labels.map(label => {
+      groupRef.current.localToWorld(point.set(...label.position));
+      const distance = camera.position.distanceTo(point);
+      point.project(camera);
+      return {
+        id: label.key,
+        anchor: [((point.x + 1) / 2) * size.width, ((1 - point.y) / 2) * size.height],
+        markerSize: 0.025 * label.markerScale * pixelsPerUnit(distance),
+        width: label.width,
+        height: label.height
+      };
+    });
+
+    const boxes = placeLabels(anchors);
+    anchors.forEach(({ id, anchor }) => {
+      const element = elements.get(id);
+      if (!element) return;
+      const box = boxes.get(id);
+      element.style.visibility = box ? 'visible' : 'hidden';
+      if (box) element.style.transform = `translate(${box.left - anchor[0]}px, ${box.top - anchor[1]}px)`;
+    });
+  });
+
+  return (
+    <group ref={groupRef}>
+      {labels.map(label => (
+        <Html key={label.key} position={label.position} style={{ pointerEvents: 'none' }}>
+          <div
+            ref={(element) => {
+              if (element) elements.set(label.key, element);
+              else elements.delete(label.key);
+            }}
+            style={{
+              visibility: 'hidden',
+              color: label.color,
+              fontFamily: "'Courier New', monospace",
+              fontSize: `${labelFont.size}px`,
+              letterSpacing: `${labelFont.letterSpacing}px`,
+              lineHeight: `${label.height}px`,
+              whiteSpace: 'nowrap',
+              textShadow: label.selected ? `0 0 6px ${theme.glow}` : 'none'
+            }}
+          >
+            {label.name} <span style={{ color: theme.hud.muted }}>{label.range}</span>
+          </div>
+        </Html>
+      ))}
+    </group>
+  );
+}
+
+// ============================================================================
+// CAMERA RIG COMPONENT
+// ============================================================================
+
+// Moves the camera between views (see radarViews.js). Position travels
+// around the target in spherical coordinates, so switches swing round the
+// dish rather than through it; target, up and field of view blend along.
+// The first view is taken without animation. In an interactive view,
+// OrbitControls mounts once the camera has arrived. An orthographic view is
+// flown to in perspective, then an orthographic camera framing the same span
+// takes over until the view changes.
+function CameraRig({ view = 'fixed', duration = 800, orbitLimits, enableZoom = true }) {
+  const { camera: activeCamera, size, set } = useThree();
+  // The perspective camera being flown, even while the orthographic one is
+  // the scene's camera
+  const perspective = useRef(null);
+  if (!perspective.current || activeCamera.isPerspectiveCamera) perspective.current = activeCamera;
+  const camera = perspective.current;
+  const orthographic = useMemo(() => new THREE.OrthographicCamera(), []);
+  const preset = resolveView(view);
+  // Custom views are usually inline objects, so compare them by value
+  const viewKey = typeof view === 'string' ? view : JSON.stringify(view);
+  const lookAt = useRef(new THREE.Vector3(...preset.target));
+  const transition = useRef(null);
+  const placed = useRef(false);
+  const [settledKey, setSettledKey] = useState(null);
+
+  useEffect(() => {
+    const to = {
+      target: new THREE.Vector3(...preset.target),
+      offset: new THREE.Spherical().setFromVector3(
+        new THREE.Vector3(...preset.position).sub(new THREE.Vector3(...preset.target))
+      ),
+      up: new THREE.Vector3(...preset.up).normalize(),
+      fov: preset.fov
+    };
+    const from = {
+      target: lookAt.current.clone(),
+      offset: new THREE.Spherical().setFromVector3(camera.position.clone().sub(lookAt.current)),
+      up: camera.up.clone(),
+      fov: camera.fov
+    };
+    // Turn the short way round
+    let theta = to.offset.theta - from.offset.theta;
+    if (theta > Math.PI) theta -= Math.PI * 2;
+    if (theta < -Math.PI) theta += Math.PI * 2;
+    to.offset.theta = from.offset.theta + theta;
+
+    transition.current = { from, to, start: null, key: viewKey, duration: placed.current ? duration : 0 };
+    placed.current = true;
+  }, [viewKey, camera]);
+
+  useFrame((state) => {
+    const active = transition.current;
+    if (!active) return;
+    if (active.start === null) active.start = state.clock.elapsedTime;
+    const t = active.duration > 0
+      ? Math.min(((state.clock.elapsedTime - active.start) * 1000) / active.duration, 1)
+      : 1;
+    const eased = 1 - Math.pow(1 - t, 3);
+    const { from, to } = active;
+
+    lookAt.current.lerpVectors(from.target, to.target, eased);
+    camera.position.setFromSpherical(new THREE.Spherical(
+      from.offset.radius + (to.offset.radius - from.offset.radius) * eased,
+      from.offset.phi + (to.offset.phi - from.offset.phi) * eased,
+      from.offset.theta + (to.offset.theta - from.offset.theta) * eased
+    )).add(lookAt.current);
+    camera.up.lerpVectors(from.up, to.up, eased).normalize();
+    camera.fov = from.fov + (to.fov - from.fov) * eased;
+    camera.updateProjectionMatrix();
+    camera.lookAt(lookAt.current);
+
+    if (t === 1) {
+      transition.current = null;
+      setSettledKey(active.key);
+    }
+  });
+
+  const settledOrthographic = !!preset.orthographic && settledKey === viewKey;
+  useLayoutEffect(() => {
+    if (!settledOrthographic) return undefined;
+    const halfHeight = viewSpan(preset) / 2;
+    const halfWidth = (halfHeight * size.width) / size.height;
+    orthographic.left = -halfWidth;
+    orthographic.right = halfWidth;
+    orthographic.top = halfHeight;
+    orthographic.bottom = -halfHeight;
+    orthographic.near = camera.near;
+    orthographic.far = camera.far;
+    // Sized here, not by the canvas, which would set the frustum in pixels
+    orthographic.manual = true;
+    orthographic.position.copy(camera.position);
+    orthographic.up.copy(camera.up);
+    orthographic.lookAt(lookAt.current);
+    orthographic.updateProjectionMatrix();
+    set({ camera: orthographic });
+    return () => set({ camera });
+  }, [settledOrthographic, viewKey, size.width, size.height, camera, orthographic, set]);
+
+  if (!preset.interactive || settledKey !== viewKey) return null;
+  return (
+    <OrbitControls
+      target={preset.target}
+      enablePan={false}
+      enableZoom={enableZoom}
+      {...defaultOrbitLimits}
+      {...orbitLimits}
+    />
+  );
+}
+
 // ============================================================================
 // HEADING INDICATOR COMPONENT
 // ============================================================================
@@ -437,44 +908,116 @@ function HeadingIndicator({ radius = 1, theme }) {
     </group>
   );
 }
-
 // ============================================================================
 // MAIN RADAR SCENE COMPONENT
 // ============================================================================
 
+const NO_CONTACTS = [];
+const ORIGIN = [0, 0, 0];
+const IDENTITY_QUATERNION = [0, 0, 0, 1];
+
 function RadarScene({
-  contacts = [],
+  contacts = NO_CONTACTS,
   maxRange = 5000,
   radarRadius = 1,
-  playerPosition = [0, 0, 0],
-  playerQuaternion = [0, 0, 0, 1],
+  playerPosition = ORIGIN,
+  playerQuaternion = IDENTITY_QUATERNION,
   shipRelative = true,
-  themeName = 'eliteClassic',
+  theme: themeProp = 'eliteClassic',
   showGrid = true,
   showScanSweep = true,
-  gridDivisions = 4
+  gridDivisions = 4,
+  playerVelocity = ORIGIN,
+  showVelocityVectors = true,
+  velocityScale = 5,
+  predictionTime = 0,
+  trails = false,
+  renderMode = 'auto',
+  instancedThreshold = 200,
+  sweepMode = false,
+  sweepRate = 1.5,
+  phosphorDecay,
+  rangeScale = 'linear',
+  showRangeLabels = true,
+  showContactLabels = false,
+  maxContactLabels = 30,
+  trailResetKey,
+  reducedMotion = false,
+  wobble = true,
+  filter,
+  selectedId: selectedIdProp,
+  onSelectionChange,
+  onContactClick,
+  onContactHover
 }) {
   const groupRef = useRef();
-  const theme = themes[themeName] || themes.eliteClassic;
+  const sweep = useRef(createSweep(sweepRate)).current;
+  sweep.rate = sweepRate;
+  // Default afterglow lasts one full revolution
+  const decay = phosphorDecay || (Math.PI * 2) / sweepRate;
+  const trailHistory = useRef(new Map()).current;
+  const theme = resolveTheme(themeProp);
+  const [selectedId, setSelectedId] = useSelection(selectedIdProp, onSelectionChange);
+
+  // Clicking the selected contact again clears the selection
+  const handleContactClick = (contact, event) => {
+    if (onContactClick) onContactClick(contact, event);
+    const nextId = isContactSelected(contact, selectedId) ? null : contact.id;
+    setSelectedId(nextId, nextId === null ? null : contact);
+  };
 
   // Transform all contacts to radar space
-  const radarContacts = useMemo(() => {
+  const transformedContacts = useMemo(() => {
     return contacts.map(contact =>
       transformToRadarSpace(contact, {
         playerPosition,
         playerQuaternion,
+        playerVelocity,
         maxRange,
         radarRadius,
-        shipRelative
+        shipRelative,
+        velocityScale,
+        predictionTime,
+        rangeScale
       })
     );
-  }, [contacts, playerPosition, playerQuaternion, maxRange, radarRadius, shipRelative]);
+  }, [
+    contacts, playerPosition, playerQuaternion, playerVelocity,
+    maxRange, radarRadius, shipRelative, velocityScale, predictionTime, rangeScale
+  ]);
+
+  // Filtering needs radar-space distances, so it runs after the transform
+  const radarContacts = useMemo(
+    () => (filter ? applyRadarFilter(transformedContacts, filter, selectedId) : transformedContacts),
+    [transformedContacts, filter, selectedId]
+  );
+
+  // Instanced path trades trails, velocity vectors and ghosts for throughput
+  const useInstanced = renderMode === 'instanced'
+    || (renderMode === 'auto' && contacts.length > instancedThreshold);
+
+  // Drop trail history for contacts that have left the list or been hidden
+  useEffect(() => {
+    const ids = new Set(radarContacts.map(contact => contact.id));
+    Array.from(trailHistory.keys()).forEach(id => {
+      if (!ids.has(id)) trailHistory.delete(id);
+    });
+  }, [radarContacts, trailHistory]);
+
+  // Jumps in time (e.g. replay seeks) would otherwise draw a streak
+  useEffect(() => {
+    trailHistory.clear();
+  }, [trailResetKey, trailHistory]);
+
+  // Sweep mode needs the moving arm, so reduced motion shows contacts steadily
+  const swept = sweepMode && !reducedMotion;
 
   // Gentle auto-rotation for display purposes
   useFrame((state) => {
-    if (groupRef.current) {
-      groupRef.current.rotation.y = Math.sin(state.clock.elapsedTime * 0.1) * 0.1;
-    }
+    if (!groupRef.current) return;
+    groupRef.current.rotation.y = wobble && !reducedMotion
+      ? Math.sin(state.clock.elapsedTime * 0.1) * 0.1
+      : 0;
   });
 
   return (
@@ -491,227 +1034,739 @@ function RadarScene({
           radius={radarRadius}
           divisions={gridDivisions}
           theme={theme}
+          maxRange={maxRange}
+          rangeScale={rangeScale}
+          showLabels={showRangeLabels}
         />
       )}
       
       {/* Scan Sweep Line */}
-      {showScanSweep && (
-        <ScanSweep radius={radarRadius} theme={theme} />
+      {showScanSweep && !reducedMotion && (
+        <ScanSweep radius={radarRadius} theme={theme} sweep={sweep} />
       )}
       
       {/* Center Marker (Player Position) */}
-      <CenterMarker theme={theme} />
+      <CenterMarker theme={theme} animate={!reducedMotion} />
       
       {/* Heading Indicator */}
       <HeadingIndicator radius={radarRadius} theme={theme} />
       
       {/* All Contacts */}
-      {radarContacts.map((contact, index) => (
-        <RadarContact
-          key={contact.id || index}
-          contact={contact}
+      {useInstanced ? (
+        <RadarContactsInstanced
+          radarContacts={radarContacts}
           theme={theme}
+          isSelected={contact => isContactSelected(contact, selectedId)}
+          reducedMotion={reducedMotion}
+          onClick={handleContactClick}
+          onHover={onContactHover}
         />
-      ))}
+      ) : radarContacts.map((contact, index) => {
+        const contactProps = {
+          contact,
+          theme,
+          selected: isContactSelected(contact, selectedId),
+          showVelocity: showVelocityVectors,
+          trailConfig: resolveTrailConfig(trails, contact.type),
+          trailHistory,
+          reducedMotion,
+          onClick: handleContactClick,
+          onHover: onContactHover
+        };
+        return swept ? (
+          <SweptContact
+            key={contact.id != null ? contact.id : index}
+            sweep={sweep}
+            decay={decay}
+            {...contactProps}
+          />
+        ) : (
+          <RadarContact key={contact.id != null ? contact.id : index} {...contactProps} />
+        );
+      })}
+      
+      {/* Contact labels; sweep mode shows only what the arm has painted,
+          so live labels would give positions away */}
+      {showContactLabels && !swept && (
+        <ContactLabels
+          radarContacts={radarContacts}
+          theme={theme}
+          isSelected={contact => isContactSelected(contact, selectedId)}
+          limit={maxContactLabels}
+        />
+      )}
     </group>
   );
 }
 
 // ============================================================================
-// DEMO CONTACTS DATA
+// HUD HELPERS
 // ============================================================================
 
-const demoContacts = [
-  { id: 'hostile-1', position: [2000, 800, 1500], type: 'hostile' },
-  { id: 'hostile-2', position: [-1500, 400, 2000], type: 'hostile' },
-  { id: 'friendly-1', position: [1000, -300, -800], type: 'friendly' },
-  { id: 'friendly-2', position: [-500, 200, -1200], type: 'friendly' },
-  { id: 'neutral-1', position: [3000, 100, 500], type: 'neutral' },
-  { id: 'neutral-2', position: [-2500, -600, -500], type: 'neutral' },
-  { id: 'station-1', position: [0, 0, -4000], type: 'station', selected: true },
-  { id: 'missile-1', position: [800, 1200, 400], type: 'missile' },
-  { id: 'missile-2', position: [-600, -400, 800], type: 'missile' },
-];
+const legendButtonStyle = (color, active) => ({
+  display: 'flex',
+  alignItems: 'center',
+  gap: '8px',
+  background: 'transparent',
+  border: 'none',
+  padding: 0,
+  cursor: 'pointer',
+  color,
+  opacity: active ? 1 : 0.35,
+  textDecoration: active ? 'none' : 'line-through',
+  fontFamily: 'inherit',
+  fontSize: 'inherit',
+  letterSpacing: 'inherit',
+  textAlign: 'left'
+});
+
+function formatClosing(closingSpeed) {
+  const direction = closingSpeed >= 0 ? 'CLOSING' : 'OPENING';
+  return `${direction}: ${Math.abs(closingSpeed).toFixed(0)} M/S`;
+}
+
+function formatTimeToClosest(seconds) {
+  if (seconds === null) return 'TCA: --';
+  if (seconds >= 60) return `TCA: ${Math.floor(seconds / 60)}M ${Math.round(seconds % 60)}S`;
+  return `TCA: ${seconds.toFixed(1)} S`;
+}
+
+// ============================================================================
+// RANGE ZOOM
+// ============================================================================
+
+// Eases the displayed range towards `target`. Interpolating in log space
+// keeps 1 km -> 25 km zooms from spending most of the time near the far end.
+function useAnimatedRange(target, duration = 400) {
+  const [range, setRange] = useState(target);
+  const rangeRef = useRef(target);
+
+  useEffect(() => {
+    const from = rangeRef.current;
+    if (from === target) return undefined;
+    if (!duration) {
+      rangeRef.current = target;
+      setRange(target);
+      return undefined;
+    }
+
+    const start = performance.now();
+    const logFrom = Math.log(from);
+    const logTo = Math.log(target);
+    let frame;
+
+    const step = (now) => {
+      const t = Math.min((now - start) / duration, 1);
+      const eased = 1 - Math.pow(1 - t, 3);
+      rangeRef.current = Math.exp(logFrom + (logTo - logFrom) * eased);
+      if (t === 1) rangeRef.current = target;
+      setRange(rangeRef.current);
+      if (t < 1) frame = requestAnimationFrame(step);
+    };
+    frame = requestAnimationFrame(step);
+
+    return () => cancelAnimationFrame(frame);
+  }, [target, duration]);
+
+  return range;
+}
+
+const zoomButtonStyle = (theme) => ({
+  background: 'transparent',
+  border: `1px solid ${theme.hud.muted}`,
+  color: theme.hud.muted,
+  width: '18px',
+  height: '18px',
+  padding: 0,
+  cursor: 'pointer',
+  fontFamily: "'Courier New', monospace",
+  fontSize: '11px',
+  lineHeight: '16px'
+});
+
+const viewButtonStyle = (theme) => ({
+  ...zoomButtonStyle(theme),
+  width: 'auto',
+  padding: '0 6px',
+  marginTop: '4px',
+  fontSize: '10px',
+  letterSpacing: '1px'
+});
 
 // ============================================================================
 // MAIN EXPORTED COMPONENT
 // ============================================================================
 
-export default function EliteRadar3D() {
-  const [themeName, setThemeName] = useState('eliteClassic');
-  const [contacts, setContacts] = useState(demoContacts);
-  
-  // Animate contacts for demo
+export default function EliteRadar3D({
+  contacts: liveContacts = NO_CONTACTS,
+  maxRange = 5000,
+  radarRadius = 1,
+  playerPosition: livePlayerPosition = ORIGIN,
+  playerQuaternion: livePlayerQuaternion = IDENTITY_QUATERNION,
+  shipRelative = true,
+  theme: themeProp = 'eliteClassic',
+  showGrid = true,
+  showScanSweep = true,
+  gridDivisions = 4,
+  playerVelocity: livePlayerVelocity = ORIGIN,
+  showVelocityVectors = true,
+  velocityScale = 5,
+  predictionTime = 0,
+  trails = false,
+  renderMode = 'auto',
+  instancedThreshold = 200,
+  renderer = 'auto',
+  sweepMode = false,
+  sweepRate = 1.5,
+  phosphorDecay,
+  rangeScale = 'linear',
+  showRangeLabels = true,
+  showContactLabels = false,
+  maxContactLabels = 30,
+  iffRules,
+  iffContext,
+  sensor = false,
+  contactSources,
+  fusionOptions,
+  recorder,
+  recording,
+  showReplayControls = true,
+  reducedMotion: reducedMotionProp,
+  view: viewProp,
+  defaultView = 'fixed',
+  onViewChange,
+  viewTransition = 800,
+  orbitLimits,
+  wobble = true,
+  showViewControls = true,
+  accessibility = true,
+  missileAlertRange = 1000,
+  alerts = false,
+  alertOptions,
+  onAlert,
+  alertTones = false,
+  mutedAlerts: mutedAlertsProp,
+  defaultMutedAlerts = [],
+  onMutedAlertsChange,
+  showAlertBanner = true,
+  alertBannerDuration = 4000,
+  rangeSteps,
+  filter: filterProp,
+  defaultFilter,
+  onFilterChange,
+  rangeIndex: rangeIndexProp,
+  defaultRangeIndex,
+  onRangeChange,
+  zoomDuration = 400,
+  enableWheelZoom = true,
+  showZoomControls = true,
+  showHeader = true,
+  showLegend = true,
+  showRangeInfo = true,
+  showTargetCard = true,
+  showScanlines = true,
+  showVignette = true,
+  title = 'Scanner Display',
+  selectedId: selectedIdProp,
+  onSelectionChange,
+  onContactClick,
+  onContactHover,
+  targetKeys = {},
+  onTargetChange,
+  style,
+  className,
+  children
+}) {
+  const theme = resolveTheme(themeProp);
+  const prefersReducedMotion = usePrefersReducedMotion();
+  const reducedMotion = reducedMotionProp !== undefined ? reducedMotionProp : prefersReducedMotion;
+
+  // 'auto' probes for WebGL once, and still falls back if <Canvas> fails
+  const [webglAvailable] = useState(supportsWebGL);
+  const flat = renderer === '2d' || (renderer === 'auto' && !webglAvailable);
+
+  // Replay swaps the recorded inputs in for the live ones; everything
+  // downstream (trails, selection, readouts) runs unchanged. The recorded
+  // target is shown and clicks do not change it.
+  const replay = useRadarReplay(recording);
+
+  // With `contactSources`, the live picture is their fused tracks, with
+  // `contacts` joining as your own reports. Fusion runs before recording,
+  // so replays show the fused picture as it was. It reruns on every
+  // change; maxProximityGroups in fuseContacts bounds the cost.
+  const fusionKey = JSON.stringify(fusionOptions || {});
+  const liveTracks = useMemo(() => {
+    if (!contactSources) return liveContacts;
+    const own = liveContacts.length > 0
+      ? [{ id: 'own', position: livePlayerPosition, contacts: liveContacts }]
+      : [];
+    return fuseContacts([...own, ...contactSources], fusionOptions);
+  }, [contactSources, liveContacts, livePlayerPosition, fusionKey]);
+
+  const source = replay.active ? replay.frame : {
+    contacts: liveTracks,
+    playerPosition: livePlayerPosition,
+    playerQuaternion: livePlayerQuaternion,
+    playerVelocity: livePlayerVelocity
+  };
+  const { contacts: sourceContacts, playerPosition, playerQuaternion, playerVelocity } = source;
+
+  // IFF runs after replay, so recordings hold the raw attributes and are
+  // classified by the current rules. The context is usually written inline,
+  // so compare it by value.
+  const iffContextKey = JSON.stringify(iffContext || {});
+  const iffEngine = useMemo(
+    () => (iffRules ? createIffEngine(iffRules, iffContext) : null),
+    [iffRules, iffContextKey]
+  );
+  const classifiedContacts = useMemo(
+    () => (iffEngine ? iffEngine.classifyAll(sourceContacts) : sourceContacts),
+    [iffEngine, sourceContacts]
+  );
+
+  // The sensor model comes next, so unresolved blips lose their IFF too.
+  // Settings are usually written inline, so compare them by value; a replay
+  // seek rewinds the noise.
+  const sensorKey = JSON.stringify(sensor);
+  const replayKey = replay.active ? `replay-${replay.seekCount}` : 'live';
+  const sensorModel = useMemo(
+    () => (sensor ? createSensorModel(sensor === true ? {} : sensor) : null),
+    [sensorKey, replayKey]
+  );
+  const contacts = useMemo(
+    () => (sensorModel ? sensorModel.measure(classifiedContacts, playerPosition) : classifiedContacts),
+    [sensorModel, classifiedContacts, playerPosition]
+  );
+  const [selectedId, setSelectedId] = useSelection(
+    replay.active ? replay.frame.selectedId : selectedIdProp,
+    replay.active ? undefined : onSelectionChange
+  );
+
+  // Record the inputs as given (before IFF)
   useEffect(() => {
-    const interval = setInterval(() => {
-      setContacts(prev => prev.map(contact => ({
-        ...contact,
-        position: [
-          contact.position[0] + (Math.random() - 0.5) * 100,
-          contact.position[1] + (Math.random() - 0.5) * 50,
-          contact.position[2] + (Math.random() - 0.5) * 100
-        ]
-      })));
-    }, 500);
-    
-    return () => clearInterval(interval);
-  }, []);
-
-  const theme = themes[themeName];
+    if (!recorder || replay.active) return;
+    const flagged = sourceContacts.find(contact => contact.selected);
+    let recordedId = selectedId;
+    if (recordedId === undefined) recordedId = flagged ? flagged.id : null;
+    recorder.capture({
+      contacts: sourceContacts,
+      playerPosition,
+      playerQuaternion,
+      playerVelocity,
+      selectedId: recordedId
+    });
+  }, [recorder, replay.active, sourceContacts, playerPosition, playerQuaternion, playerVelocity, selectedId]);
+
+  // Contact filter: controlled via `filter`, or tracked here. The legend
+  // toggles types and priority mode on whichever is in use.
+  const [internalFilter, setInternalFilter] = useState(() => normalizeFilter(defaultFilter));
+  const filter = useMemo(
+    () => normalizeFilter(filterProp !== undefined ? filterProp : internalFilter),
+    [filterProp, internalFilter]
+  );
+  const updateFilter = (nextFilter) => {
+    if (filterProp === undefined) setInternalFilter(nextFilter);
+    if (onFilterChange) onFilterChange(nextFilter);
+  };
+  const typeCounts = countByType(contacts);
+
+  // Camera view: controlled via `view`, or tracked here; the HUD button
+  // steps through the named views
+  const [internalView, setInternalView] = useState(defaultView);
+  const view = viewProp !== undefined ? viewProp : internalView;
+  const viewPreset = resolveView(view);
+  const cycleView = () => {
+    const nextView = nextViewName(view);
+    if (viewProp === undefined) setInternalView(nextView);
+    if (onViewChange) onViewChange(nextView);
+  };
+
+  // Zoom levels: with `rangeSteps` the range is picked from the list
+  // (controlled via `rangeIndex`, or tracked here); otherwise `maxRange` is used
+  const steps = rangeSteps && rangeSteps.length > 0 ? rangeSteps : null;
+  const [internalRangeIndex, setInternalRangeIndex] = useState(() => {
+    if (defaultRangeIndex !== undefined) return defaultRangeIndex;
+    return steps ? Math.max(steps.indexOf(maxRange), 0) : 0;
+  });
+  const rangeIndex = steps
+    ? Math.min(Math.max(rangeIndexProp !== undefined ? rangeIndexProp : internalRangeIndex, 0), steps.length - 1)
+    : 0;
+  const targetRange = steps ? steps[rangeIndex] : maxRange;
+  const displayRange = useAnimatedRange(targetRange, reducedMotion ? 0 : zoomDuration);
+
+  const zoom = (direction) => {
+    if (!steps) return;
+    const nextIndex = Math.min(Math.max(rangeIndex + direction, 0), steps.length - 1);
+    if (nextIndex === rangeIndex) return;
+    if (rangeIndexProp === undefined) setInternalRangeIndex(nextIndex);
+    if (onRangeChange) onRangeChange(nextIndex, steps[nextIndex]);
+  };
+
+  // One step per wheel gesture rather than one per wheel event
+  const lastWheel = useRef(0);
+  const handleWheel = (event) => {
+    if (!enableWheelZoom || !steps || event.deltaY === 0) return;
+    const now = performance.now();
+    if (now - lastWheel.current < 150) return;
+    lastWheel.current = now;
+    zoom(event.deltaY > 0 ? 1 : -1);
+  };
+
+  const transformOptions = {
+    playerPosition,
+    playerQuaternion,
+    playerVelocity,
+    maxRange: displayRange,
+    radarRadius,
+    shipRelative,
+    rangeScale
+  };
+
+  // Keyboard targeting, while focus is inside this radar; contacts are only
+  // transformed when a key is pressed
+  const containerRef = useRef(null);
+  useTargetKeys({
+    enabled: targetKeys !== false && !replay.active,
+    bindings: targetKeys || undefined,
+    scope: containerRef,
+    selectedId,
+    getContacts: () => applyRadarFilter(
+      contacts.map(contact => transformToRadarSpace(contact, transformOptions)),
+      filter,
+      selectedId
+    ),
+    onTarget: (target, action) => {
+      setSelectedId(target ? target.id : null, target);
+      if (onTargetChange) onTargetChange(target, action);
+    }
+  });
+
+  // Radar-space contacts for the screen-reader view (see
+  // RadarAccessibility.jsx) and the alert engine, before filtering: hiding a
+  // type on the display doesn't silence its alerts
+  const radarContacts = useMemo(() => (accessibility || alerts
+    ? contacts.map(contact => transformToRadarSpace(contact, transformOptions))
+    : NO_CONTACTS
+  ), [
+    accessibility, alerts, contacts, playerPosition, playerQuaternion, playerVelocity,
+    displayRange, radarRadius, shipRelative, rangeScale
+  ]);
+
+  // Alert tone mutes: controlled via `mutedAlerts`, or tracked here
+  const [internalMutedAlerts, setInternalMutedAlerts] = useState(defaultMutedAlerts);
+  const mutedAlerts = mutedAlertsProp !== undefined ? mutedAlertsProp : internalMutedAlerts;
+  const toggleAlertMute = (type) => {
+    const next = mutedAlerts.includes(type)
+      ? mutedAlerts.filter(muted => muted !== type)
+      : [...mutedAlerts, type];
+    if (mutedAlertsProp === undefined) setInternalMutedAlerts(next);
+    if (onMutedAlertsChange) onMutedAlertsChange(next);
+  };
+  const alertState = useRadarAlerts(radarContacts, {
+    rules: alerts,
+    options: alertOptions,
+    onAlert,
+    tones: alertTones,
+    muted: mutedAlerts,
+    // Starting, stopping or seeking a replay jumps to unrelated contacts
+    resetKey: replayKey,
+    bannerDuration: alertBannerDuration
+  });
+  const flaggedContact = selectedId === undefined ? contacts.find(contact => contact.selected) : null;
+  const effectiveSelectedId = flaggedContact ? flaggedContact.id : (selectedId || null);
+
+  // Target card and relative motion readout for the selected contact
+  const selectedContact = contacts.find(contact => isContactSelected(contact, selectedId));
+  const selectedRadarContact = selectedContact
+    ? transformToRadarSpace(selectedContact, transformOptions)
+    : null;
+  const selectedMotion = selectedRadarContact && selectedRadarContact.closingSpeed !== undefined
+    ? selectedRadarContact
+    : null;
+
+  // Everything RadarScene needs; the SVG renderer takes the same props
+  const sceneProps = {
+    contacts,
+    maxRange: displayRange,
+    radarRadius,
+    playerPosition,
+    playerQuaternion,
+    shipRelative,
+    theme,
+    showGrid,
+    showScanSweep,
+    gridDivisions,
+    playerVelocity,
+    showVelocityVectors,
+    velocityScale,
+    predictionTime,
+    trails,
+    renderMode,
+    instancedThreshold,
+    sweepMode,
+    sweepRate,
+    phosphorDecay,
+    rangeScale,
+    showRangeLabels,
+    showContactLabels,
+    maxContactLabels,
+    trailResetKey: replay.active ? replay.seekCount : 0,
+    reducedMotion,
+    wobble: wobble && viewPreset.wobble !== false,
+    filter,
+    selectedId,
+    onSelectionChange: setSelectedId,
+    onContactClick,
+    onContactHover
+  };
+
+  const canvas = (
+    <Canvas
+      camera={{ position: viewPreset.position, fov: viewPreset.fov }}
+      style={{ background: 'transparent' }}
+      onPointerMissed={() => {
+        if (selectedId !== undefined && selectedId !== null) setSelectedId(null, null);
+      }}
+    >
+      <CameraRig
+        view={view}
+        duration={reducedMotion ? 0 : viewTransition}
+        orbitLimits={orbitLimits}
+        enableZoom={!(enableWheelZoom && steps)}
+      />
+      <RadarScene {...sceneProps} />
+    </Canvas>
+  );
+  const flatRadar = <RadarFallback2D {...sceneProps} view={view} />;
+
+  let radar = flatRadar;
+  if (!flat) {
+    radar = renderer === 'webgl'
+      ? canvas
+      : <WebGLErrorBoundary fallback={flatRadar}>{canvas}</WebGLErrorBoundary>;
+  }
 
   return (
-    <div style={{
-      width: '100%',
-      height: '100vh',
-      background: themeName === 'eliteClassic' 
-        ? 'radial-gradient(ellipse at center, #0a1a0a 0%, #000800 50%, #000000 100%)'
-        : 'radial-gradient(ellipse at center, #1a0f05 0%, #0a0500 50%, #000000 100%)',
-      position: 'relative',
-      fontFamily: "'Courier New', monospace"
-    }}>
+    <div
+      ref={containerRef}
+      className={className}
+      onWheel={handleWheel}
+      role="region"
+      aria-label={`${title} radar`}
+      tabIndex={0}
+      style={{
+        width: '100%',
+        height: '100vh',
+        background: theme.background,
+        position: 'relative',
+        fontFamily: "'Courier New', monospace",
+        ...style
+      }}
+    >
       {/* Header */}
-      <div style={{
-        position: 'absolute',
-        top: 20,
-        left: 0,
-        right: 0,
-        textAlign: 'center',
-        color: theme.ring.color,
-        fontSize: '14px',
-        letterSpacing: '4px',
-        textTransform: 'uppercase',
-        textShadow: `0 0 10px ${theme.glow}`,
-        zIndex: 10
-      }}>
-        ◆ Scanner Display ◆
-      </div>
-      
-      {/* Theme Toggle */}
-      <div style={{
-        position: 'absolute',
-        top: 20,
-        right: 20,
-        zIndex: 10
-      }}>
-        <button
-          onClick={() => setThemeName(t => t === 'eliteClassic' ? 'eliteDangerous' : 'eliteClassic')}
-          style={{
-            background: 'transparent',
-            border: `1px solid ${theme.ring.color}`,
-            color: theme.ring.color,
-            padding: '8px 16px',
-            cursor: 'pointer',
-            fontFamily: "'Courier New', monospace",
-            fontSize: '11px',
-            letterSpacing: '2px',
-            textTransform: 'uppercase',
-            transition: 'all 0.3s ease',
-            textShadow: `0 0 5px ${theme.glow}`
-          }}
-        >
-          {themeName === 'eliteClassic' ? 'Classic' : 'Dangerous'}
-        </button>
-      </div>
+      {showHeader && (
+        <div style={{
+          position: 'absolute',
+          top: 20,
+          left: 0,
+          right: 0,
+          textAlign: 'center',
+          color: theme.hud.text,
+          fontSize: '14px',
+          letterSpacing: '4px',
+          textTransform: 'uppercase',
+          textShadow: `0 0 10px ${theme.glow}`,
+          zIndex: 10
+        }}>
+          ◆ {title} ◆
+        </div>
+      )}
       
       {/* Legend */}
-      <div style={{
-        position: 'absolute',
-        bottom: 20,
-        left: 20,
-        zIndex: 10,
-        display: 'flex',
-        flexDirection: 'column',
-        gap: '6px',
-        fontSize: '10px',
-        letterSpacing: '1px'
-      }}>
-        {[
-          { type: 'hostile', label: 'HOSTILE' },
-          { type: 'friendly', label: 'FRIENDLY' },
-          { type: 'neutral', label: 'NEUTRAL' },
-          { type: 'station', label: 'STATION' },
-          { type: 'missile', label: 'MISSILE' }
-        ].map(({ type, label }) => (
-          <div key={type} style={{
-            display: 'flex',
-            alignItems: 'center',
-            gap: '8px',
-            color: theme.contacts[type]
-          }}>
-            <span style={{
-              width: '8px',
-              height: '8px',
-              background: theme.contacts[type],
-              boxShadow: `0 0 6px ${theme.contacts[type]}`
-            }} />
-            {label}
-          </div>
-        ))}
-      </div>
+      {showLegend && (
+        <div style={{
+          position: 'absolute',
+          bottom: 20,
+          left: 20,
+          zIndex: 10,
+          display: 'flex',
+          flexDirection: 'column',
+          gap: '6px',
+          fontSize: '10px',
+          letterSpacing: '1px'
+        }}>
+          {legendTypes(typeCounts).map(type => {
+            const color = theme.contacts[type] || theme.contacts.default;
+            const shown = !filter.hiddenTypes.includes(type);
+            return (
+              <button
+                key={type}
+                aria-pressed={shown}
+                title={shown ? `Hide ${type} contacts` : `Show ${type} contacts`}
+                onClick={() => updateFilter(toggleType(filter, type))}
+                style={legendButtonStyle(color, shown)}
+              >
+                <span style={{
+                  width: '8px',
+                  height: '8px',
+                  background: color,
+                  boxShadow: `0 0 6px ${color}`
+                }} />
+                {type.toUpperCase()} {typeCounts[type] || 0}
+              </button>
+            );
+          })}
+          <button
+            aria-pressed={filter.priorityOnly}
+            title="Show only hostiles, missiles and the target"
+            onClick={() => updateFilter({ ...filter, priorityOnly: !filter.priorityOnly })}
+            style={{ ...legendButtonStyle(theme.hud.text, filter.priorityOnly), textDecoration: 'none', marginTop: '4px' }}
+          >
+            ◆ PRIORITY ONLY
+          </button>
+        </div>
+      )}
       
       {/* Range Info */}
-      <div style={{
-        position: 'absolute',
-        bottom: 20,
-        right: 20,
-        zIndex: 10,
-        color: theme.grid.color,
-        fontSize: '10px',
-        letterSpacing: '1px',
-        textAlign: 'right'
-      }}>
-        <div>RANGE: 5.0 KM</div>
-        <div>CONTACTS: {contacts.length}</div>
-      </div>
+      {showRangeInfo && (
+        <div style={{
+          position: 'absolute',
+          bottom: 20,
+          right: 20,
+          zIndex: 10,
+          color: theme.hud.muted,
+          fontSize: '10px',
+          letterSpacing: '1px',
+          textAlign: 'right'
+        }}>
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'flex-end', gap: '6px' }}>
+            {showZoomControls && steps && (
+              <button
+                title="Decrease range"
+                disabled={rangeIndex === 0}
+                onClick={() => zoom(-1)}
+                style={zoomButtonStyle(theme)}
+              >
+                −
+              </button>
+            )}
+            <span>RANGE: {formatRange(displayRange)}</span>
+            {showZoomControls && steps && (
+              <button
+                title="Increase range"
+                disabled={rangeIndex === steps.length - 1}
+                onClick={() => zoom(1)}
+                style={zoomButtonStyle(theme)}
+              >
+                +
+              </button>
+            )}
+          </div>
+          {showViewControls && !flat && (
+            <button title="Change view" onClick={cycleView} style={viewButtonStyle(theme)}>
+              VIEW: {viewPreset.label.toUpperCase()}
+            </button>
+          )}
+          {selectedMotion && (
+            <>
+              <div>{formatClosing(selectedMotion.closingSpeed)}</div>
+              <div>{formatTimeToClosest(selectedMotion.timeToClosestApproach)}</div>
+            </>
+          )}
+          {selectedContact && selectedContact.iff && selectedContact.iff.reason && (
+            <div style={{ color: theme.contacts[selectedContact.type] || theme.contacts.default }}>
+              IFF: {String(selectedContact.iff.reason).toUpperCase()}
+            </div>
+          )}
+        </div>
+      )}
       
-      {/* 3D Canvas */}
-      <Canvas
-        camera={{ position: [0, 2.5, 2], fov: 45 }}
-        style={{ background: 'transparent' }}
-      >
-        <RadarScene
-          contacts={contacts}
-          maxRange={5000}
-          radarRadius={1}
-          playerPosition={[0, 0, 0]}
-          playerQuaternion={[0, 0, 0, 1]}
-          shipRelative={true}
-          themeName={themeName}
-          showGrid={true}
-          showScanSweep={true}
-          gridDivisions={4}
+      {/* Alert banners */}
+      {alerts && showAlertBanner && (
+        <RadarAlertBanner
+          alerts={alertState.banners}
+          theme={theme}
+          muted={mutedAlerts}
+          onDismiss={alertState.dismiss}
+          onToggleMute={alertTones ? toggleAlertMute : undefined}
         />
-      </Canvas>
+      )}
+      
+      {/* Selected target details */}
+      {showTargetCard && selectedRadarContact && (
+        <RadarTargetCard radarContact={selectedRadarContact} theme={theme} />
+      )}
+      
+      {/* Live announcements and keyboard contact list (visually hidden) */}
+      {accessibility && (
+        <>
+          <RadarLiveRegion
+            radarContacts={radarContacts}
+            selectedId={effectiveSelectedId}
+            missileRange={missileAlertRange}
+          />
+          <RadarContactList
+            radarContacts={radarContacts}
+            selectedId={effectiveSelectedId}
+            onSelect={contact => setSelectedId(contact.id, contact)}
+          />
+        </>
+      )}
+      
+      {/* Replay transport */}
+      {replay.active && showReplayControls && (
+        <ReplayControls replay={replay} theme={theme} />
+      )}
+      
+      {/* Radar: WebGL, or the SVG renderer where WebGL is unavailable */}
+      {radar}
       
       {/* Scanline overlay effect */}
-      <div style={{
-        position: 'absolute',
-        top: 0,
-        left: 0,
-        right: 0,
-        bottom: 0,
-        background: `repeating-linear-gradient(
-          0deg,
-          transparent,
-          transparent 2px,
-          rgba(0,0,0,0.1) 2px,
-          rgba(0,0,0,0.1) 4px
-        )`,
-        pointerEvents: 'none',
-        zIndex: 5
-      }} />
+      {showScanlines && (
+        <div style={{
+          position: 'absolute',
+          top: 0,
+          left: 0,
+          right: 0,
+          bottom: 0,
+          background: `repeating-linear-gradient(
+            0deg,
+            transparent,
+            transparent 2px,
+            ${theme.overlay.scanlines} 2px,
+            ${theme.overlay.scanlines} 4px
+          )`,
+          pointerEvents: 'none',
+          zIndex: 5
+        }} />
+      )}
       
       {/* Vignette */}
-      <div style={{
-        position: 'absolute',
-        top: 0,
-        left: 0,
-        right: 0,
-        bottom: 0,
-        background: 'radial-gradient(ellipse at center, transparent 40%, rgba(0,0,0,0.6) 100%)',
-        pointerEvents: 'none',
-        zIndex: 6
-      }} />
+      {showVignette && (
+        <div style={{
+          position: 'absolute',
+          top: 0,
+          left: 0,
+          right: 0,
+          bottom: 0,
+          background: `radial-gradient(ellipse at center, transparent 40%, ${theme.overlay.vignette} 100%)`,
+          pointerEvents: 'none',
+          zIndex: 6
+        }} />
+      )}
+      
+      {/* Caller-supplied overlay controls */}
+      {children}
     </div>
   );
 }
+
+export {
+  RadarScene,
+  CameraRig,
+  transformToRadarSpace,
+  themes,
+  registerTheme,
+  defaultTrailConfig,
+  useAnimatedRange
+};
@@ -0,0 +1,633 @@
+import * as THREE from 'three';
+import { resolveTheme } from './radarThemes.js';
+import { transformToRadarSpace, circlePoints, gridGeometry } from './radarCore.js';
+
+// <elite-radar> custom element: the standalone three.js radar packaged so it
+// can be dropped into any page, several times over. Attributes:
+//   max-range     range of the rim in metres (default 5000)
+//   theme         registered theme name (default eliteClassic)
+//   ship-relative "false" shows contacts world-aligned instead of ship-aligned
+// Set `contacts` (and optionally playerPosition / playerQuaternion) as
+// properties; clicks fire a bubbling `contactselect` event.
+
+const RADAR_RADIUS = 1;
+const DEFAULT_MAX_RANGE = 5000;
+const MARKER_SIZE = 0.025;
+
+const legendTypes = [
+  { type: 'hostile', label: 'HOSTILE' },
+  { type: 'friendly', label: 'FRIENDLY' },
+  { type: 'neutral', label: 'NEUTRAL' },
+  { type: 'station', label: 'STATION' },
+  { type: 'missile', label: 'MISSILE' }
+];
+
+// ============================================================================
+// SHADOW DOM TEMPLATE
+// ============================================================================
+
+const template = document.createElement('template');
+template.innerHTML = `
+  <style>
+    :host {
+      display: block;
+      position: relative;
+      height: 360px;
+      overflow: hidden;
+      font-family: 'Courier New', monospace;
+    }
+    :host([hidden]) {
+      display: none;
+    }
+    .frame {
+      position: absolute;
+      inset: 0;
+    }
+    canvas {
+      position: absolute;
+      inset: 0;
+      display: block;
+    }
+    .overlay {
+      position: absolute;
+      pointer-events: none;
+      z-index: 10;
+    }
+    .header {
+      top: 16px;
+      left: 0;
+      right: 0;
+      text-align: center;
+      font-size: 12px;
+      letter-spacing: 4px;
+      text-transform: uppercase;
+    }
+    .legend {
+      bottom: 16px;
+      left: 16px;
+      display: flex;
+      flex-direction: column;
+      gap: 5px;
+      font-size: 9px;
+      letter-spacing: 1px;
+    }
+    .legend-item {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+    }
+    .legend-dot {
+      width: 7px;
+      height: 7px;
+    }
+    .info {
+      bottom: 16px;
+      right: 16px;
+      font-size: 9px;
+      letter-spacing: 1px;
+      text-align: right;
+    }
+    .scanlines,
+    .vignette {
+      inset: 0;
+    }
+    .scanlines {
+      z-index: 5;
+    }
+    .vignette {
+      z-index: 6;
+    }
+    .controls {
+      position: absolute;
+      inset: 0;
+      z-index: 20;
+      pointer-events: none;
+    }
+    ::slotted(*) {
+      pointer-events: auto;
+    }
+  </style>
+  <div class="frame">
+    <div class="overlay header"><slot name="header">◆ Scanner Display ◆</slot></div>
+    <div class="overlay legend"></div>
+    <div class="overlay info">
+      <div class="range"></div>
+      <div class="count"></div>
+    </div>
+    <div class="overlay scanlines"></div>
+    <div class="overlay vignette"></div>
+    <div class="controls"><slot></slot></div>
+  </div>
+`;
+
+// ============================================================================
+// SCENE CONSTRUCTION
+// ============================================================================
+
+const toVectors = points => points.map(p => new THREE.Vector3(...p));
+
+function lineMaterial() {
+  return new THREE.LineBasicMaterial({ transparent: true });
+}
+
+// Static radar furniture. Materials are grouped by the theme entry that
+// colours them so a theme change is a single pass.
+function createRadar() {
+  const group = new THREE.Group();
+  const materials = { dish: [], ring: [], grid: [], center: [], sweep: [] };
+
+  // Dish (hemisphere)
+  const dishMat = new THREE.MeshBasicMaterial({ wireframe: true, transparent: true, depthWrite: false });
+  const dish = new THREE.Mesh(
+    new THREE.SphereGeometry(RADAR_RADIUS, 32, 16, 0, Math.PI * 2, 0, Math.PI / 2),
+    dishMat
+  );
+  dish.rotation.x = Math.PI;
+  group.add(dish);
+  materials.dish.push(dishMat);
+
+  // Equatorial ring
+  const ringMat = lineMaterial();
+  group.add(new THREE.Line(
+    new THREE.BufferGeometry().setFromPoints(toVectors(circlePoints(RADAR_RADIUS, 64))),
+    ringMat
+  ));
+  materials.ring.push(ringMat);
+
+  // Grid - spokes and range rings
+  const grid = gridGeometry({ radius: RADAR_RADIUS, divisions: 4 });
+  [...grid.spokes, ...grid.rings.map(r => r.points)].forEach(points => {
+    const mat = lineMaterial();
+    group.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(toVectors(points)), mat));
+    materials.grid.push(mat);
+  });
+
+  // Center marker
+  const center = new THREE.Group();
+  [[[-0.03, 0, 0], [0.03, 0, 0]], [[0, 0, -0.03], [0, 0, 0.03]]].forEach(points => {
+    const mat = new THREE.LineBasicMaterial();
+    center.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(toVectors(points)), mat));
+    materials.center.push(mat);
+  });
+  const dotMat = new THREE.MeshBasicMaterial();
+  center.add(new THREE.Mesh(new THREE.SphereGeometry(0.015, 8, 8), dotMat));
+  materials.center.push(dotMat);
+  group.add(center);
+
+  // Heading indicator
+  const headingMat = new THREE.LineBasicMaterial();
+  group.add(new THREE.Line(
+    new THREE.BufferGeometry().setFromPoints(toVectors([[0, 0.002, 0], [0, 0.002, -RADAR_RADIUS * 0.15]])),
+    headingMat
+  ));
+  const arrowMat = new THREE.MeshBasicMaterial();
+  const arrow = new THREE.Mesh(new THREE.ConeGeometry(0.02, 0.04, 3), arrowMat);
+  arrow.position.set(0, 0.002, -RADAR_RADIUS * 0.15);
+  arrow.rotation.x = Math.PI / 2;
+  group.add(arrow);
+  materials.center.push(headingMat, arrowMat);
+
+  // Scan sweep
+  const sweepMat = new THREE.LineBasicMaterial({ transparent: true, opacity: 0.4 });
+  const sweep = new THREE.Line(
+    new THREE.BufferGeometry().setFromPoints(toVectors([[0, 0.001, 0], [RADAR_RADIUS, 0.001, 0]])),
+    sweepMat
+  );
+  group.add(sweep);
+  materials.sweep.push(sweepMat);
+
+  const contacts = new THREE.Group();
+  group.add(contacts);
+
+  return { group, center, sweep, contacts, materials };
+}
+
+function applyRadarTheme(radar, theme) {
+  const { materials } = radar;
+  materials.dish.forEach(mat => {
+    mat.color.set(theme.dish.color);
+    mat.opacity = theme.dish.opacity;
+  });
+  materials.ring.forEach(mat => {
+    mat.color.set(theme.ring.color);
+    mat.opacity = theme.ring.opacity;
+  });
+  materials.grid.forEach(mat => {
+    mat.color.set(theme.grid.color);
+    mat.opacity = theme.grid.opacity;
+  });
+  materials.center.forEach(mat => mat.color.set(theme.center.color));
+  materials.sweep.forEach(mat => mat.color.set(theme.scanline));
+}
+
+function markerGeometry(type) {
+  switch (type) {
+    case 'hostile':
+    case 'friendly':
+      return new THREE.BoxGeometry(MARKER_SIZE, MARKER_SIZE, MARKER_SIZE);
+    case 'station':
+      return new THREE.BoxGeometry(MARKER_SIZE * 1.8, MARKER_SIZE * 1.8, MARKER_SIZE * 1.8);
+    case 'missile':
+      return new THREE.ConeGeometry(MARKER_SIZE * 0.6, MARKER_SIZE * 1.2, 3);
+    default:
+      return new THREE.SphereGeometry(MARKER_SIZE * 0.6, 8, 8);
+  }
+}
+
+// Stalk, base point and marker for one contact; positions are written each
+// frame by updateContactObject
+function createContactObject(data) {
+  const group = new THREE.Group();
+
+  const stalkGeom = new THREE.BufferGeometry();
+  stalkGeom.setAttribute('position', new THREE.BufferAttribute(new Float32Array(6), 3));
+  const stalkMat = new THREE.LineBasicMaterial({ transparent: true });
+  const stalk = new THREE.Line(stalkGeom, stalkMat);
+  stalk.frustumCulled = false;
+  group.add(stalk);
+
+  const baseMat = new THREE.MeshBasicMaterial({ transparent: true, opacity: 0.4, side: THREE.DoubleSide });
+  const base = new THREE.Mesh(new THREE.CircleGeometry(0.015, 6), baseMat);
+  base.rotation.x = -Math.PI / 2;
+  group.add(base);
+
+  const markerMat = new THREE.MeshBasicMaterial({
+    wireframe: data.type === 'friendly' || data.type === 'station',
+    transparent: true,
+    opacity: 0.85
+  });
+  const marker = new THREE.Mesh(markerGeometry(data.type), markerMat);
+  group.add(marker);
+
+  const obj = { data, type: data.type, radar: null, group, stalk, base, marker, stalkMat, baseMat, markerMat };
+  marker.userData.contactObject = obj;
+  return obj;
+}
+
+function applyContactTheme(obj, theme) {
+  const color = theme.contacts[obj.type] || theme.contacts.default;
+  obj.stalkMat.color.set(color);
+  obj.stalkMat.opacity = theme.stalk.opacity;
+  obj.baseMat.color.set(color);
+  obj.markerMat.color.set(color);
+}
+
+function updateContactObject(obj, options) {
+  const radar = transformToRadarSpace(obj.data, options);
+  const [x, y, z] = radar.radarPosition;
+  const [bx, by, bz] = radar.basePosition;
+
+  const positions = obj.stalk.geometry.attributes.position;
+  positions.setXYZ(0, bx, by, bz);
+  positions.setXYZ(1, x, y, z);
+  positions.needsUpdate = true;
+
+  obj.base.position.set(bx, by, bz);
+  obj.marker.position.set(x, y, z);
+  obj.radar = radar;
+}
+
+function disposeObject(object) {
+  object.traverse(child => {
+    if (child.geometry) child.geometry.dispose();
+    if (child.material) child.material.dispose();
+  });
+}
+
+// ============================================================================
+// CUSTOM ELEMENT
+// ============================================================================
+
+export class EliteRadarElement extends HTMLElement {
+  static get observedAttributes() {
+    return ['max-range', 'theme', 'ship-relative'];
+  }
+
+  constructor() {
+    super();
+    const root = this.attachShadow({ mode: 'open' });
+    root.appendChild(template.content.cloneNode(true));
+    this._dom = {
+      frame: root.querySelector('.frame'),
+      header: root.querySelector('.header'),
+      legend: root.querySelector('.legend'),
+      info: root.querySelector('.info'),
+      range: root.querySelector('.range'),
+      count: root.querySelector('.count'),
+      scanlines: root.querySelector('.scanlines'),
+      vignette: root.querySelector('.vignette')
+    };
+
+    this._contacts = [];
+    this._objects = new Map();
+    this._playerPosition = [0, 0, 0];
+    this._playerQuaternion = [0, 0, 0, 1];
+    // undefined = uncontrolled: the static `selected` flag on contacts wins
+    // until something is clicked, as in the React component
+    this._selectedId = undefined;
+    this._hovered = null;
+    this._themeObject = null;
+    this._frameId = null;
+    // Read every frame, so a change in the OS setting applies immediately
+    this._reducedMotion = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+    this._scene = new THREE.Scene();
+    this._camera = new THREE.PerspectiveCamera(45, 1, 0.1, 100);
+    this._camera.position.set(0, 2.2, 2.2);
+    this._camera.lookAt(0, 0, 0);
+    this._radar = createRadar();
+    this._scene.add(this._radar.group);
+    this._raycaster = new THREE.Raycaster();
+    this._pointer = new THREE.Vector2();
+    // Created on connect and released on disconnect: browsers only allow a
+    // handful of live WebGL contexts per page
+    this._renderer = null;
+
+    this._frame = this._frame.bind(this);
+    this._handleClick = this._handleClick.bind(this);
+    this._handlePointerMove = this._handlePointerMove.bind(this);
+    this._resizeObserver = new ResizeObserver(() => this._resize());
+
+    this._applyTheme();
+    this._updateInfo();
+  }
+
+  connectedCallback() {
+    if (!this._renderer) {
+      this._renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+      this._renderer.setPixelRatio(window.devicePixelRatio);
+      this._dom.frame.insertBefore(this._renderer.domElement, this._dom.frame.firstChild);
+    }
+    const canvas = this._renderer.domElement;
+    canvas.addEventListener('click', this._handleClick);
+    canvas.addEventListener('pointermove', this._handlePointerMove);
+    this._resizeObserver.observe(this);
+    this._resize();
+    if (this._frameId === null) this._frameId = requestAnimationFrame(this._frame);
+  }
+
+  disconnectedCallback() {
+    const canvas = this._renderer.domElement;
+    canvas.removeEventListener('click', this._handleClick);
+    canvas.removeEventListener('pointermove', this._handlePointerMove);
+    this._resizeObserver.disconnect();
+    if (this._frameId !== null) cancelAnimationFrame(this._frameId);
+    this._frameId = null;
+
+    // Frees the GPU copies only; the scene is uploaded again if the element
+    // is put back
+    disposeObject(this._scene);
+    this._renderer.dispose();
+    this._renderer.forceContextLoss();
+    canvas.remove();
+    this._renderer = null;
+    this._hovered = null;
+  }
+
+  attributeChangedCallback(name) {
+    if (name === 'theme') {
+      this._themeObject = null;
+      this._applyTheme();
+    }
+    if (name === 'max-range') this._updateInfo();
+  }
+
+  // ---- Properties ----------------------------------------------------------
+
+  get contacts() {
+    return this._contacts;
+  }
+
+  // Assign a new array (or the same one again after mutating it) to update
+  set contacts(contacts) {
+    this._contacts = Array.isArray(contacts) ? contacts : [];
+    this._syncContacts();
+  }
+
+  get maxRange() {
+    const value = parseFloat(this.getAttribute('max-range'));
+    return Number.isFinite(value) && value > 0 ? value : DEFAULT_MAX_RANGE;
+  }
+
+  set maxRange(value) {
+    this.setAttribute('max-range', String(value));
+  }
+
+  get shipRelative() {
+    return this.getAttribute('ship-relative') !== 'false';
+  }
+
+  set shipRelative(value) {
+    this.setAttribute('ship-relative', value ? 'true' : 'false');
+  }
+
+  // Resolved theme object; accepts a registered name or a partial theme
+  get theme() {
+    return resolveTheme(this._themeObject || this.getAttribute('theme'));
+  }
+
+  set theme(value) {
+    if (value && typeof value === 'object') {
+      this._themeObject = value;
+      this._applyTheme();
+    } else {
+      this.setAttribute('theme', value);
+    }
+  }
+
+  get playerPosition() {
+    return this._playerPosition;
+  }
+
+  set playerPosition(value) {
+    this._playerPosition = value || [0, 0, 0];
+  }
+
+  get playerQuaternion() {
+    return this._playerQuaternion;
+  }
+
+  set playerQuaternion(value) {
+    this._playerQuaternion = value || [0, 0, 0, 1];
+  }
+
+  // Setting this does not fire contactselect; null clears the selection
+  get selectedId() {
+    if (this._selectedId !== undefined) return this._selectedId;
+    const flagged = this._contacts.find(contact => contact.selected);
+    return flagged ? flagged.id : null;
+  }
+
+  set selectedId(value) {
+    this._selectedId = value;
+  }
+
+  // ---- Contacts -------------------------------------------------------------
+
+  _syncContacts() {
+    const theme = this.theme;
+    const seen = new Set();
+
+    this._contacts.forEach((data, index) => {
+      const key = data.id !== undefined ? data.id : index;
+      seen.add(key);
+      let obj = this._objects.get(key);
+      if (obj && obj.type !== data.type) {
+        this._removeContact(key);
+        obj = null;
+      }
+      if (!obj) {
+        obj = createContactObject(data);
+        applyContactTheme(obj, theme);
+        this._radar.contacts.add(obj.group);
+        this._objects.set(key, obj);
+      }
+      obj.data = data;
+    });
+
+    [...this._objects.keys()].forEach(key => {
+      if (!seen.has(key)) this._removeContact(key);
+    });
+    this._updateInfo();
+  }
+
+  _removeContact(key) {
+    const obj = this._objects.get(key);
+    this._radar.contacts.remove(obj.group);
+    disposeObject(obj.group);
+    this._objects.delete(key);
+    if (this._hovered === obj) this._hovered = null;
+  }
+
+  _isSelected(obj) {
+    if (this._selectedId === undefined) return !!obj.data.selected;
+    return obj.data.id === this._selectedId;
+  }
+
+  // ---- Picking --------------------------------------------------------------
+
+  _pick(event) {
+    const rect = this._renderer.domElement.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return null;
+    this._pointer.set(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this._raycaster.setFromCamera(this._pointer, this._camera);
+    const markers = [...this._objects.values()].map(obj => obj.marker);
+    const [hit] = this._raycaster.intersectObjects(markers, false);
+    return hit ? hit.object.userData.contactObject : null;
+  }
+
+  _handlePointerMove(event) {
+    this._hovered = this._pick(event);
+    this._renderer.domElement.style.cursor = this._hovered ? 'pointer' : '';
+  }
+
+  // Clicking a contact toggles its selection; clicking empty space clears it
+  _handleClick(event) {
+    const obj = this._pick(event);
+    const nextId = obj && !this._isSelected(obj) ? obj.data.id : null;
+    this._selectedId = nextId;
+    this.dispatchEvent(new CustomEvent('contactselect', {
+      bubbles: true,
+      composed: true,
+      detail: {
+        id: nextId,
+        contact: nextId === null ? null : (obj.radar || obj.data)
+      }
+    }));
+  }
+
+  // ---- Theme and HUD -------------------------------------------------------
+
+  _applyTheme() {
+    const theme = this.theme;
+    applyRadarTheme(this._radar, theme);
+    this._objects.forEach(obj => applyContactTheme(obj, theme));
+
+    const { frame, header, legend, info, scanlines, vignette } = this._dom;
+    frame.style.background = theme.background;
+    header.style.color = theme.hud.text;
+    header.style.textShadow = `0 0 10px ${theme.glow}`;
+    info.style.color = theme.hud.muted;
+    scanlines.style.background = `repeating-linear-gradient(
+      0deg,
+      transparent,
+      transparent 2px,
+      ${theme.overlay.scanlines} 2px,
+      ${theme.overlay.scanlines} 4px
+    )`;
+    vignette.style.background =
+      `radial-gradient(ellipse at center, transparent 40%, ${theme.overlay.vignette} 100%)`;
+
+    // Built as nodes: theme colours may come from attributes
+    legend.replaceChildren(...legendTypes.map(t => {
+      const color = theme.contacts[t.type] || theme.contacts.default;
+      const item = document.createElement('div');
+      item.className = 'legend-item';
+      item.style.color = color;
+      const dot = document.createElement('span');
+      dot.className = 'legend-dot';
+      dot.style.background = color;
+      dot.style.boxShadow = `0 0 6px ${color}`;
+      item.append(dot, document.createTextNode(t.label));
+      return item;
+    }));
+  }
+
+  _updateInfo() {
+    this._dom.range.textContent = `RANGE: ${(this.maxRange / 1000).toFixed(1)} KM`;
+    this._dom.count.textContent = `CONTACTS: ${this._contacts.length}`;
+  }
+
+  // ---- Rendering ------------------------------------------------------------
+
+  _resize() {
+    const width = this.clientWidth;
+    const height = this.clientHeight;
+    if (!this._renderer || width === 0 || height === 0) return;
+    this._camera.aspect = width / height;
+    this._camera.updateProjectionMatrix();
+    this._renderer.setSize(width, height);
+  }
+
+  _frame(now) {
+    this._frameId = requestAnimationFrame(this._frame);
+    const time = now / 1000;
+    const { group, center, sweep } = this._radar;
+
+    const still = !!this._reducedMotion && this._reducedMotion.matches;
+
+    sweep.visible = !still;
+    sweep.rotation.y = time * 1.5;
+    // Gentle radar wobble
+    group.rotation.y = still ? 0 : Math.sin(time * 0.1) * 0.1;
+    center.rotation.y = still ? 0 : time * 0.5;
+
+    const options = {
+      playerPosition: this._playerPosition,
+      playerQuaternion: this._playerQuaternion,
+      shipRelative: this.shipRelative,
+      maxRange: this.maxRange,
+      radarRadius: RADAR_RADIUS
+    };
+    const pulse = still ? 1.2 : 1 + Math.sin(time * 5) * 0.2;
+
+    this._objects.forEach(obj => {
+      updateContactObject(obj, options);
+      const selected = this._isSelected(obj);
+      const scale = (this._hovered === obj ? 1.3 : 1) * (selected ? pulse : 1);
+      obj.marker.scale.setScalar(scale);
+      obj.markerMat.opacity = selected ? 1 : 0.85;
+    });
+
+    this._renderer.render(this._scene, this._camera);
+  }
+}
+
+if (!customElements.get('elite-radar')) {
+  customElements.define('elite-radar', EliteRadarElement);
+}
+
+export default EliteRadarElement;
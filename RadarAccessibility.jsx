@@ -0,0 +1,144 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { createAnnouncer, describeContact } from './radarAnnouncements';
+import { sortByRange } from './radarTargeting';
+
+// Hidden from view but still read by screen readers
+const visuallyHidden = {
+  position: 'absolute',
+  width: '1px',
+  height: '1px',
+  padding: 0,
+  margin: '-1px',
+  overflow: 'hidden',
+  clip: 'rect(0 0 0 0)',
+  whiteSpace: 'nowrap',
+  border: 0
+};
+
+// ============================================================================
+// REDUCED MOTION
+// ============================================================================
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+export function usePrefersReducedMotion() {
+  const [reduced, setReduced] = useState(() => (
+    typeof window !== 'undefined' && !!window.matchMedia && window.matchMedia(REDUCED_MOTION_QUERY).matches
+  ));
+
+  useEffect(() => {
+    if (typeof window === 'undefined' || !window.matchMedia) return undefined;
+    const query = window.matchMedia(REDUCED_MOTION_QUERY);
+    const handleChange = () => setReduced(query.matches);
+    handleChange();
+    query.addEventListener('change', handleChange);
+    return () => query.removeEventListener('change', handleChange);
+  }, []);
+
+  return reduced;
+}
+
+// ============================================================================
+// LIVE REGION
+// ============================================================================
+
+// Screen readers skip a live region whose text did not change, so repeats
+// alternate a trailing no-break space
+function useAnnouncement() {
+  const [state, setState] = useState({ text: '', count: 0 });
+  const announce = (sentences) => {
+    if (sentences.length === 0) return;
+    setState(previous => ({ text: sentences.join(' '), count: previous.count + 1 }));
+  };
+  return [state.text + (state.count % 2 ? '\u00a0' : ''), announce];
+}
+
+// Announces new hostiles and target changes politely, and missiles coming
+// inside `missileRange` assertively
+export function RadarLiveRegion({ radarContacts, selectedId, missileRange = 1000 }) {
+  const announcer = useMemo(() => createAnnouncer({ missileRange }), [missileRange]);
+  const [politeText, announcePolite] = useAnnouncement();
+  const [assertiveText, announceAssertive] = useAnnouncement();
+
+  useEffect(() => {
+    const { polite, assertive } = announcer(radarContacts, selectedId);
+    announcePolite(polite);
+    announceAssertive(assertive);
+  }, [announcer, radarContacts, selectedId]);
+
+  return (
+    <div style={visuallyHidden}>
+      <div role="status" aria-live="polite" aria-atomic="true">{politeText}</div>
+      <div role="alert" aria-live="assertive" aria-atomic="true">{assertiveText}</div>
+    </div>
+  );
+}
+
+// ============================================================================
+// CONTACT LIST
+// ============================================================================
+
+let listCount = 0;
+
+// Off-screen listbox of every contact, nearest first. One tab stop: arrow
+// keys, Home and End move through the list, Enter or Space targets.
+export function RadarContactList({ radarContacts, selectedId, onSelect, label = 'Radar contacts' }) {
+  const listId = useRef(`radar-contacts-${++listCount}`).current;
+  const ordered = useMemo(() => sortByRange(radarContacts), [radarContacts]);
+  const [activeId, setActiveId] = useState(null);
+
+  // The active option follows its contact as the range order changes
+  let activeIndex = ordered.findIndex(contact => contact.id === activeId);
+  if (activeIndex === -1 && ordered.length > 0) activeIndex = 0;
+  const active = ordered[activeIndex];
+
+  const handleKeyDown = (event) => {
+    if (ordered.length === 0) return;
+    let next = null;
+    switch (event.key) {
+      case 'ArrowDown':
+        next = Math.min(activeIndex + 1, ordered.length - 1);
+        break;
+      case 'ArrowUp':
+        next = Math.max(activeIndex - 1, 0);
+        break;
+      case 'Home':
+        next = 0;
+        break;
+      case 'End':
+        next = ordered.length - 1;
+        break;
+      case 'Enter':
+      case ' ':
+        event.preventDefault();
+        if (active && onSelect) onSelect(active);
+        return;
+      default:
+        return;
+    }
+    event.preventDefault();
+    setActiveId(ordered[next].id);
+  };
+
+  return (
+    <ul
+      role="listbox"
+      tabIndex={0}
+      aria-label={`${label}, ${ordered.length}`}
+      aria-activedescendant={active ? `${listId}-${activeIndex}` : undefined}
+      onKeyDown={handleKeyDown}
+      style={visuallyHidden}
+    >
+      {ordered.map((contact, index) => (
+        <li
+          key={contact.id != null ? contact.id : index}
+          id={`${listId}-${index}`}
+          role="option"
+          aria-selected={contact.id === selectedId}
+        >
+          {describeContact(contact)}
+        </li>
+      ))}
+    </ul>
+  );
+}
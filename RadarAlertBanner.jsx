@@ -0,0 +1,84 @@
+import React from 'react';
+
+// Severity colors come from the theme: critical and warning borrow the
+// hostile and neutral contact colors, info uses the HUD text color
+function severityColor(theme, severity) {
+  if (severity === 'critical') return theme.contacts.hostile;
+  if (severity === 'warning') return theme.contacts.neutral;
+  return theme.hud.text;
+}
+
+const buttonStyle = (color) => ({
+  background: 'transparent',
+  border: `1px solid ${color}`,
+  color,
+  padding: '0 6px',
+  cursor: 'pointer',
+  fontFamily: "'Courier New', monospace",
+  fontSize: '9px',
+  letterSpacing: '1px',
+  lineHeight: '14px'
+});
+
+// Alerts from useRadarAlerts(), stacked under the header, newest first.
+// With `onToggleMute`, each alert has a button to mute or unmute the tone
+// for its type.
+export default function RadarAlertBanner({ alerts, theme, muted = [], onDismiss, onToggleMute }) {
+  if (alerts.length === 0) return null;
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: 48,
+      left: '50%',
+      transform: 'translateX(-50%)',
+      width: '44%',
+      minWidth: '280px',
+      zIndex: 11,
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '4px',
+      fontSize: '11px',
+      letterSpacing: '1px'
+    }}>
+      {alerts.map(alert => {
+        const color = severityColor(theme, alert.severity);
+        const isMuted = muted.includes(alert.type);
+        return (
+          <div
+            key={alert.key}
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '8px',
+              padding: '4px 8px',
+              border: `1px solid ${color}`,
+              background: 'rgba(0, 0, 0, 0.55)',
+              color,
+              textShadow: `0 0 6px ${color}`
+            }}
+          >
+            <span style={{ flex: 1 }}>
+              {alert.severity === 'critical' ? '▲ ' : '◆ '}{alert.message}
+            </span>
+            {onToggleMute && (
+              <button
+                aria-pressed={isMuted}
+                title={isMuted ? `Unmute ${alert.type} alerts` : `Mute ${alert.type} alerts`}
+                onClick={() => onToggleMute(alert.type)}
+                style={buttonStyle(color)}
+              >
+                {isMuted ? 'UNMUTE' : 'MUTE'}
+              </button>
+            )}
+            {onDismiss && (
+              <button title="Dismiss" onClick={() => onDismiss(alert.key)} style={buttonStyle(color)}>
+                ×
+              </button>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
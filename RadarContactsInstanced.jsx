@@ -0,0 +1,357 @@
+import React, { useRef, useMemo, useEffect, useLayoutEffect } from 'react';
+import { useFrame } from '@react-three/fiber';
+import * as THREE from 'three';
+
+// ============================================================================
+// MARKER SHAPES
+// ============================================================================
+
+// Same shapes as ContactMarker; anything not listed uses the sphere.
+// Unresolved sensor blips get their own faded sphere, since opacity is per
+// material, and off-scale contacts the EdgeMarker arrow.
+const MARKER_SIZE = 0.025;
+
+const markerShapes = {
+  hostile: {
+    geometry: () => new THREE.BoxGeometry(MARKER_SIZE, MARKER_SIZE, MARKER_SIZE),
+    wireframe: false
+  },
+  friendly: {
+    geometry: () => new THREE.BoxGeometry(MARKER_SIZE, MARKER_SIZE, MARKER_SIZE),
+    wireframe: true
+  },
+  station: {
+    geometry: () => new THREE.BoxGeometry(MARKER_SIZE * 1.8, MARKER_SIZE * 1.8, MARKER_SIZE * 1.8),
+    wireframe: true
+  },
+  missile: {
+    geometry: () => new THREE.ConeGeometry(MARKER_SIZE * 0.6, MARKER_SIZE * 1.2, 3),
+    wireframe: false
+  },
+  default: {
+    geometry: () => new THREE.SphereGeometry(MARKER_SIZE * 0.6, 8, 8),
+    wireframe: false
+  },
+  unresolved: {
+    geometry: () => new THREE.SphereGeometry(MARKER_SIZE * 0.6, 8, 8),
+    wireframe: false,
+    opacity: 0.45
+  },
+  edge: {
+    geometry: () => new THREE.ConeGeometry(MARKER_SIZE * 0.6, MARKER_SIZE * 1.4, 3).rotateX(Math.PI / 2),
+    wireframe: false,
+    opacity: 0.7
+  }
+};
+
+function shapeKey(contact) {
+  if (contact.outOfRange) return 'edge';
+  if (contact.unresolved) return 'unresolved';
+  return ['hostile', 'friendly', 'station', 'missile'].includes(contact.type) ? contact.type : 'default';
+}
+
+// Marker transform at `scale`: on the contact, or for off-scale contacts
+// just outside the rim, pointing out along the bearing
+const scaleVector = new THREE.Vector3();
+const haloFacing = new THREE.Quaternion();
+const haloPosition = new THREE.Vector3();
+const haloScale = new THREE.Vector3();
+const haloColor = new THREE.Color();
+
+function markerMatrix(matrix, contact, scale = 1) {
+  scaleVector.setScalar(scale);
+  if (contact.outOfRange) {
+    const [x, , z] = contact.basePosition;
+    return matrix.makeRotationY(contact.bearing).scale(scaleVector).setPosition(x * 1.06, 0, z * 1.06);
+  }
+  const [x, y, z] = contact.radarPosition;
+  return matrix.makeScale(scale, scale, scale).setPosition(x, y, z);
+}
+
+// Buffers grow in powers of two so steady contact counts never reallocate
+function capacityFor(count) {
+  let capacity = 64;
+  while (capacity < count) capacity *= 2;
+  return capacity;
+}
+
+// ============================================================================
+// BUFFER CREATION
+// ============================================================================
+
+function createMarkerMeshes(capacity) {
+  const meshes = {};
+  Object.entries(markerShapes).forEach(([key, shape]) => {
+    const material = new THREE.MeshBasicMaterial({
+      wireframe: shape.wireframe,
+      transparent: true,
+      opacity: shape.opacity || 0.85
+    });
+    const mesh = new THREE.InstancedMesh(shape.geometry(), material, capacity);
+    mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    mesh.setColorAt(0, new THREE.Color());
+    mesh.count = 0;
+    mesh.frustumCulled = false;
+    meshes[key] = mesh;
+  });
+  return meshes;
+}
+
+function createBaseMesh(capacity) {
+  const geometry = new THREE.CircleGeometry(0.015, 6);
+  geometry.rotateX(-Math.PI / 2);
+  const material = new THREE.MeshBasicMaterial({
+    transparent: true,
+    opacity: 0.4,
+    side: THREE.DoubleSide
+  });
+  const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+  mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  mesh.setColorAt(0, new THREE.Color());
+  mesh.count = 0;
+  mesh.frustumCulled = false;
+  mesh.raycast = () => {};
+  return mesh;
+}
+
+// Rings around fused tracks, as FusionHalo draws them; instance colours are
+// dimmed for less sure tracks and the rings are turned to the camera per frame
+function createHaloMesh(capacity) {
+  const material = new THREE.MeshBasicMaterial({
+    transparent: true,
+    opacity: 0.9,
+    side: THREE.DoubleSide
+  });
+  const mesh = new THREE.InstancedMesh(new THREE.RingGeometry(MARKER_SIZE * 1.4, MARKER_SIZE * 1.7, 24), material, capacity);
+  mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  mesh.setColorAt(0, new THREE.Color());
+  mesh.count = 0;
+  mesh.frustumCulled = false;
+  mesh.raycast = () => {};
+  return mesh;
+}
+
+function createStalkSegments(capacity) {
+  const geometry = new THREE.BufferGeometry();
+  const positions = new THREE.BufferAttribute(new Float32Array(capacity * 6), 3);
+  const colors = new THREE.BufferAttribute(new Float32Array(capacity * 6), 3);
+  positions.setUsage(THREE.DynamicDrawUsage);
+  colors.setUsage(THREE.DynamicDrawUsage);
+  geometry.setAttribute('position', positions);
+  geometry.setAttribute('color', colors);
+  geometry.setDrawRange(0, 0);
+  const material = new THREE.LineBasicMaterial({ vertexColors: true, transparent: true });
+  const segments = new THREE.LineSegments(geometry, material);
+  segments.frustumCulled = false;
+  segments.raycast = () => {};
+  return segments;
+}
+
+function disposeObject(object) {
+  object.geometry.dispose();
+  object.material.dispose();
+  if (object.dispose) object.dispose();
+}
+
+// ============================================================================
+// INSTANCED CONTACTS COMPONENT
+// ============================================================================
+
+// High-count contact renderer: one InstancedMesh per marker shape, one for
+// base points, one for fusion halos and a single LineSegments buffer for
+// every stalk. Buffers are
+// rewritten in place whenever the contacts change; no per-contact React tree.
+export default function RadarContactsInstanced({
+  radarContacts,
+  theme,
+  isSelected = () => false,
+  reducedMotion = false,
+  onClick,
+  onHover
+}) {
+  const capacity = capacityFor(radarContacts.length);
+
+  const buffers = useMemo(() => ({
+    markers: createMarkerMeshes(capacity),
+    bases: createBaseMesh(capacity),
+    halos: createHaloMesh(capacity),
+    stalks: createStalkSegments(capacity)
+  }), [capacity]);
+
+  useEffect(() => () => {
+    Object.values(buffers.markers).forEach(disposeObject);
+    disposeObject(buffers.bases);
+    disposeObject(buffers.halos);
+    disposeObject(buffers.stalks);
+  }, [buffers]);
+
+  // Per shape: instance index -> contact, for picking and per-frame scaling
+  const lookup = useRef({});
+  const hovered = useRef(null);
+  const scaled = useRef(new Set());
+  // Halo instance index -> contact, re-aimed at the camera every frame
+  const haloed = useRef([]);
+
+  useLayoutEffect(() => {
+    const matrix = new THREE.Matrix4();
+    const color = new THREE.Color();
+    const counts = {};
+    const nextLookup = {};
+    const nextHaloed = [];
+    Object.keys(buffers.markers).forEach(key => {
+      counts[key] = 0;
+      nextLookup[key] = [];
+    });
+
+    const stalkPositions = buffers.stalks.geometry.attributes.position;
+    const stalkColors = buffers.stalks.geometry.attributes.color;
+    buffers.stalks.material.opacity = theme.stalk.opacity;
+
+    radarContacts.forEach((contact, i) => {
+      const { radarPosition, basePosition, type } = contact;
+      color.set(theme.contacts[type] || theme.contacts.default);
+
+      // Marker
+      const key = shapeKey(contact);
+      const mesh = buffers.markers[key];
+      const index = counts[key]++;
+      mesh.setMatrixAt(index, markerMatrix(matrix, contact));
+      mesh.setColorAt(index, color);
+      nextLookup[key][index] = contact;
+
+      // Base point and stalk; decluttered and off-scale contacts collapse
+      // both to nothing
+      const markerOnly = contact.decluttered || contact.outOfRange;
+      const stalkStart = markerOnly ? radarPosition : basePosition;
+      if (markerOnly) {
+        matrix.makeScale(0, 0, 0);
+      } else {
+        matrix.makeTranslation(basePosition[0], basePosition[1], basePosition[2]);
+      }
+      buffers.bases.setMatrixAt(i, matrix);
+      buffers.bases.setColorAt(i, color);
+
+      // Fused tracks are ringed, brighter the surer the track
+      if (contact.fusion && contact.fusion.fused && !contact.outOfRange) {
+        const haloIndex = nextHaloed.length;
+        nextHaloed.push(contact);
+        buffers.halos.setMatrixAt(haloIndex, matrix.makeTranslation(radarPosition[0], radarPosition[1], radarPosition[2]));
+        buffers.halos.setColorAt(haloIndex, haloColor.copy(color).multiplyScalar((0.3 + 0.6 * contact.fusion.confidence) / 0.9));
+      }
+
+      stalkPositions.setXYZ(i * 2, stalkStart[0], stalkStart[1], stalkStart[2]);
+      stalkPositions.setXYZ(i * 2 + 1, radarPosition[0], radarPosition[1], radarPosition[2]);
+      stalkColors.setXYZ(i * 2, color.r, color.g, color.b);
+      stalkColors.setXYZ(i * 2 + 1, color.r, color.g, color.b);
+    });
+
+    // Raycasting tests the bounding sphere first and three.js only computes
+    // it once, so it has to follow the instances or picking misses
+    Object.entries(buffers.markers).forEach(([key, mesh]) => {
+      mesh.count = counts[key];
+      mesh.instanceMatrix.needsUpdate = true;
+      if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+      mesh.computeBoundingSphere();
+    });
+
+    buffers.halos.count = nextHaloed.length;
+    buffers.halos.instanceMatrix.needsUpdate = true;
+    if (buffers.halos.instanceColor) buffers.halos.instanceColor.needsUpdate = true;
+    haloed.current = nextHaloed;
+
+    buffers.bases.count = radarContacts.length;
+    buffers.bases.instanceMatrix.needsUpdate = true;
+    if (buffers.bases.instanceColor) buffers.bases.instanceColor.needsUpdate = true;
+
+    stalkPositions.needsUpdate = true;
+    stalkColors.needsUpdate = true;
+    buffers.stalks.geometry.setDrawRange(0, radarContacts.length * 2);
+
+    lookup.current = nextLookup;
+  }, [radarContacts, theme, buffers]);
+
+  // Hover enlargement and selection pulse, applied to the affected instances
+  // only; instances that stop being hovered or selected are reset to scale 1
+  useFrame((state) => {
+    const matrix = new THREE.Matrix4();
+    const pulse = reducedMotion ? 1.2 : 1 + Math.sin(state.clock.elapsedTime * 5) * 0.2;
+    const active = new Set();
+    const dirty = new Set();
+
+    const place = (key, index, scale) => {
+      const contact = (lookup.current[key] || [])[index];
+      if (!contact) return;
+      buffers.markers[key].setMatrixAt(index, markerMatrix(matrix, contact, scale));
+      dirty.add(key);
+    };
+
+    Object.entries(lookup.current).forEach(([key, contacts]) => {
+      contacts.forEach((contact, index) => {
+        const isHovered = !!hovered.current && hovered.current.key === key && hovered.current.index === index;
+        const selected = isSelected(contact);
+        if (!isHovered && !selected) return;
+        place(key, index, (isHovered ? 1.3 : 1) * (selected ? pulse : 1));
+        active.add(`${key}:${index}`);
+      });
+    });
+
+    scaled.current.forEach(id => {
+      if (active.has(id)) return;
+      const [key, index] = id.split(':');
+      place(key, Number(index), 1);
+    });
+    scaled.current = active;
+
+    dirty.forEach(key => {
+      buffers.markers[key].instanceMatrix.needsUpdate = true;
+    });
+
+    // Halos face the camera whatever the radar's own tilt
+    if (haloed.current.length > 0) {
+      const { halos } = buffers;
+      if (halos.parent) halos.parent.getWorldQuaternion(haloFacing).invert();
+      else haloFacing.identity();
+      haloFacing.multiply(state.camera.quaternion);
+      haloed.current.forEach((contact, index) => {
+        haloScale.setScalar(contact.type === 'station' ? 1.8 : 1);
+        haloPosition.set(...contact.radarPosition);
+        halos.setMatrixAt(index, matrix.compose(haloPosition, haloFacing, haloScale));
+      });
+      halos.instanceMatrix.needsUpdate = true;
+    }
+  });
+
+  const contactFor = (key, event) => (lookup.current[key] || [])[event.instanceId];
+
+  return (
+    <group>
+      <primitive object={buffers.stalks} />
+      <primitive object={buffers.bases} />
+      <primitive object={buffers.halos} />
+      {Object.entries(buffers.markers).map(([key, mesh]) => (
+        <primitive
+          key={key}
+          object={mesh}
+          onPointerMove={(event) => {
+            event.stopPropagation();
+            const previous = hovered.current;
+            if (previous && previous.key === key && previous.index === event.instanceId) return;
+            const contact = contactFor(key, event);
+            hovered.current = { key, index: event.instanceId };
+            if (onHover) onHover(contact || null, event);
+          }}
+          onPointerOut={(event) => {
+            if (!hovered.current || hovered.current.key !== key) return;
+            hovered.current = null;
+            if (onHover) onHover(null, event);
+          }}
+          onClick={(event) => {
+            event.stopPropagation();
+            const contact = contactFor(key, event);
+            if (contact && onClick) onClick(contact, event);
+          }}
+        />
+      ))}
+    </group>
+  );
+}
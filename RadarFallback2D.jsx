@@ -0,0 +1,284 @@
+import React, { useMemo, useState } from 'react';
+import { transformToRadarSpace, isContactSelected } from './radarCore';
+import { resolveTheme } from './radarThemes';
+import { useSelection } from './useRadarTargeting';
+import { buildRadarDrawing, obliqueProjection, viewProjection, planeTransform, drawingBounds } from './radarDrawing';
+import { resolveView } from './radarViews';
+import { applyRadarFilter } from './radarFilters';
+
+// ============================================================================
+// WEBGL DETECTION
+// ============================================================================
+
+// Creates (and immediately releases) a throwaway context; browsers cap the
+// number of live WebGL contexts, so the probe must not hold on to one
+export function supportsWebGL() {
+  if (typeof document === 'undefined' || typeof window === 'undefined') return false;
+  try {
+    const canvas = document.createElement('canvas');
+    const gl = window.WebGLRenderingContext
+      && (canvas.getContext('webgl2') || canvas.getContext('webgl') || canvas.getContext('experimental-webgl'));
+    if (!gl) return false;
+    const loseContext = gl.getExtension('WEBGL_lose_context');
+    if (loseContext) loseContext.loseContext();
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// The probe can pass and context creation still fail (blocklisted drivers,
+// lost GPU process), so <Canvas> is also wrapped: any error thrown while it
+// mounts or renders swaps in `fallback` for the rest of the session.
+export class WebGLErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { failed: false };
+  }
+
+  static getDerivedStateFromError() {
+    return { failed: true };
+  }
+
+  componentDidCatch(error) {
+    if (this.props.onError) this.props.onError(error);
+  }
+
+  render() {
+    return this.state.failed ? this.props.fallback : this.props.children;
+  }
+}
+
+// ============================================================================
+// SVG PRIMITIVES
+// ============================================================================
+
+function pointList(points) {
+  return points.map(([x, y]) => `${x.toFixed(2)},${y.toFixed(2)}`).join(' ');
+}
+
+function Primitive({ primitive }) {
+  const { type, color, opacity } = primitive;
+  switch (type) {
+    case 'line':
+      return (
+        <polyline
+          points={pointList(primitive.points)}
+          fill="none"
+          stroke={color}
+          strokeOpacity={opacity}
+          strokeWidth={primitive.width}
+          strokeDasharray={primitive.dashed ? '4 3' : undefined}
+          vectorEffect="non-scaling-stroke"
+        />
+      );
+    case 'polygon':
+      return (
+        <polygon
+          points={pointList(primitive.points)}
+          fill={primitive.filled ? color : 'none'}
+          fillOpacity={opacity}
+          stroke={color}
+          strokeOpacity={opacity}
+          vectorEffect="non-scaling-stroke"
+        />
+      );
+    case 'circle':
+      return (
+        <circle
+          cx={primitive.center[0]}
+          cy={primitive.center[1]}
+          r={primitive.radius}
+          fill={primitive.filled ? color : 'none'}
+          fillOpacity={opacity}
+          stroke={primitive.filled ? 'none' : color}
+          strokeOpacity={opacity}
+          vectorEffect="non-scaling-stroke"
+        />
+      );
+    case 'text':
+      return (
+        <text
+          x={primitive.position[0]}
+          y={primitive.position[1]}
+          fill={color}
+          fillOpacity={opacity}
+          fontSize={primitive.size}
+          fontFamily="'Courier New', monospace"
+          letterSpacing="1"
+          textAnchor="middle"
+          dominantBaseline="middle"
+          style={{ pointerEvents: 'none' }}
+        >
+          {primitive.text}
+        </text>
+      );
+    default:
+      return null;
+  }
+}
+
+// ============================================================================
+// FALLBACK RENDERER
+// ============================================================================
+
+// Draws RadarScene's radar as SVG under a fixed oblique projection, or for
+// orthographic views (see radarViews.js) as WebGL draws them, for machines
+// without WebGL. Takes the same props; trails, sweep mode and the
+// instanced renderer have no 2D equivalent and are ignored. The sweep arm
+// is a SMIL rotation on the dish plane, so nothing re-renders per frame.
+export default function RadarFallback2D({
+  contacts = [],
+  maxRange = 5000,
+  radarRadius = 1,
+  playerPosition = [0, 0, 0],
+  playerQuaternion = [0, 0, 0, 1],
+  playerVelocity = [0, 0, 0],
+  shipRelative = true,
+  theme: themeProp = 'eliteClassic',
+  showGrid = true,
+  showScanSweep = true,
+  gridDivisions = 4,
+  showVelocityVectors = true,
+  velocityScale = 5,
+  predictionTime = 0,
+  sweepRate = 1.5,
+  rangeScale = 'linear',
+  showRangeLabels = true,
+  showContactLabels = false,
+  maxContactLabels = 30,
+  reducedMotion = false,
+  view = 'fixed',
+  filter,
+  selectedId: selectedIdProp,
+  onSelectionChange,
+  onContactClick,
+  onContactHover,
+  style
+}) {
+  const theme = resolveTheme(themeProp);
+  const [selectedId, setSelectedId] = useSelection(selectedIdProp, onSelectionChange);
+  // The hovered contact's id, or its index when it has none
+  const [hoveredKey, setHoveredKey] = useState(null);
+  const viewKey = typeof view === 'string' ? view : JSON.stringify(view);
+  const projection = useMemo(() => {
+    const preset = resolveView(view);
+    return preset.orthographic ? viewProjection(preset) : obliqueProjection();
+  }, [viewKey]);
+
+  const transformedContacts = useMemo(() => contacts.map(contact =>
+    transformToRadarSpace(contact, {
+      playerPosition,
+      playerQuaternion,
+      playerVelocity,
+      maxRange,
+      radarRadius,
+      shipRelative,
+      velocityScale,
+      predictionTime,
+      rangeScale
+    })
+  ), [
+    contacts, playerPosition, playerQuaternion, playerVelocity,
+    maxRange, radarRadius, shipRelative, velocityScale, predictionTime, rangeScale
+  ]);
+
+  const radarContacts = filter
+    ? applyRadarFilter(transformedContacts, filter, selectedId)
+    : transformedContacts;
+
+  const contactKey = contact => (contact.id != null ? contact.id : radarContacts.indexOf(contact));
+
+  const drawing = buildRadarDrawing(radarContacts, {
+    theme,
+    projection,
+    radius: radarRadius,
+    divisions: gridDivisions,
+    maxRange,
+    rangeScale,
+    showGrid,
+    showLabels: showRangeLabels,
+    showVelocity: showVelocityVectors,
+    showContactLabels,
+    maxContactLabels,
+    isSelected: contact => isContactSelected(contact, selectedId),
+    isHovered: contact => hoveredKey !== null && contactKey(contact) === hoveredKey
+  });
+
+  // Same behaviour as RadarScene: clicking the target again clears it, and
+  // clicking empty space clears any target
+  const handleContactClick = (contact, event) => {
+    event.stopPropagation();
+    if (onContactClick) onContactClick(contact, event);
+    const nextId = isContactSelected(contact, selectedId) ? null : contact.id;
+    setSelectedId(nextId, nextId === null ? null : contact);
+  };
+
+  const handleBackgroundClick = () => {
+    if (selectedId !== undefined && selectedId !== null) setSelectedId(null, null);
+  };
+
+  const handleHover = (contact, event) => {
+    setHoveredKey(contact ? contactKey(contact) : null);
+    if (onContactHover) onContactHover(contact, event);
+  };
+
+  const viewBox = drawingBounds(projection, radarRadius).map(value => value.toFixed(2)).join(' ');
+  const plane = planeTransform(projection).map(value => value.toFixed(4)).join(' ');
+
+  return (
+    <svg
+      viewBox={viewBox}
+      preserveAspectRatio="xMidYMid meet"
+      onClick={handleBackgroundClick}
+      style={{ width: '100%', height: '100%', display: 'block', ...style }}
+    >
+      {drawing.scene.map((primitive, index) => (
+        <Primitive key={index} primitive={primitive} />
+      ))}
+
+      {/* Scan sweep, rotating on the dish plane */}
+      {showScanSweep && !reducedMotion && (
+        <g transform={`matrix(${plane})`}>
+          <line
+            x1={0}
+            y1={0}
+            x2={radarRadius}
+            y2={0}
+            stroke={theme.scanline}
+            strokeOpacity={0.4}
+            strokeWidth={1.5}
+            vectorEffect="non-scaling-stroke"
+          >
+            <animateTransform
+              attributeName="transform"
+              type="rotate"
+              from="0"
+              to="360"
+              dur={`${(Math.PI * 2) / sweepRate}s`}
+              repeatCount="indefinite"
+            />
+          </line>
+        </g>
+      )}
+
+      {drawing.contacts.map(({ contact, primitives }, index) => (
+        <g
+          key={contact.id != null ? contact.id : index}
+          onClick={event => handleContactClick(contact, event)}
+          onPointerEnter={event => handleHover(contact, event)}
+          onPointerLeave={event => handleHover(null, event)}
+          style={{ cursor: 'pointer' }}
+        >
+          {primitives.map((primitive, primitiveIndex) => (
+            <Primitive key={primitiveIndex} primitive={primitive} />
+          ))}
+        </g>
+      ))}
+
+      {drawing.labels.map((primitive, index) => (
+        <Primitive key={index} primitive={primitive} />
+      ))}
+    </svg>
+  );
+}
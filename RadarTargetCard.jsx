@@ -0,0 +1,87 @@
+import React from 'react';
+import { contactName, formatDistance, relativeBearing } from './radarCore';
+
+function formatElevation(elevation) {
+  const degrees = Math.round((elevation * 180) / Math.PI);
+  return `${degrees > 0 ? '+' : ''}${degrees}°`;
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'number') return String(Math.round(value * 100) / 100);
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function Row({ label, value, color }) {
+  return (
+    <div style={{ display: 'flex', justifyContent: 'space-between', gap: '12px' }}>
+      <span>{label}</span>
+      <span style={{ color, textAlign: 'right', overflowWrap: 'anywhere' }}>{value}</span>
+    </div>
+  );
+}
+
+// Details of the selected contact, top right of the HUD. `radarContact` has
+// been through transformToRadarSpace; relative speed needs a `velocity`.
+// Entries of `contact.metadata` are listed below the fixed rows, uppercased.
+// Fused tracks (radarFusion.js) also show their source count and confidence.
+export default function RadarTargetCard({ radarContact, theme }) {
+  const color = theme.contacts[radarContact.type] || theme.contacts.default;
+  const metadata = radarContact.metadata && typeof radarContact.metadata === 'object'
+    ? Object.entries(radarContact.metadata).filter(([, value]) => value !== undefined && value !== null)
+    : [];
+
+  return (
+    <div
+      aria-label="Target details"
+      style={{
+        position: 'absolute',
+        top: 56,
+        right: 20,
+        width: '190px',
+        zIndex: 10,
+        padding: '8px 10px',
+        border: `1px solid ${theme.hud.muted}`,
+        background: 'rgba(0, 0, 0, 0.35)',
+        color: theme.hud.muted,
+        fontSize: '10px',
+        letterSpacing: '1px',
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '3px'
+      }}
+    >
+      <div style={{ color, textShadow: `0 0 6px ${color}`, marginBottom: '4px', overflowWrap: 'anywhere' }}>
+        ◆ {String(contactName(radarContact)).toUpperCase()}
+      </div>
+      <Row label="TYPE" value={String(radarContact.type || 'unknown').toUpperCase()} color={color} />
+      <Row label="RANGE" value={formatDistance(radarContact.distance)} color={theme.hud.text} />
+      <Row
+        label="BEARING"
+        value={String(relativeBearing(radarContact)).padStart(3, '0')}
+        color={theme.hud.text}
+      />
+      <Row label="ELEVATION" value={formatElevation(radarContact.elevation)} color={theme.hud.text} />
+      <Row
+        label="REL SPEED"
+        value={radarContact.speed !== undefined ? `${radarContact.speed.toFixed(0)} M/S` : '--'}
+        color={theme.hud.text}
+      />
+      {radarContact.fusion && (
+        <Row
+          label="TRACK"
+          value={`${radarContact.fusion.fused ? `FUSED ×${radarContact.fusion.sources.length}` : 'SINGLE'}`
+            + ` · ${Math.round(radarContact.fusion.confidence * 100)}%`}
+          color={theme.hud.text}
+        />
+      )}
+      {metadata.length > 0 && (
+        <div style={{ borderTop: `1px solid ${theme.hud.muted}`, margin: '4px 0 1px' }} />
+      )}
+      {metadata.map(([key, value]) => (
+        <Row key={key} label={key.toUpperCase()} value={formatValue(value)} color={theme.hud.text} />
+      ))}
+    </div>
+  );
+}
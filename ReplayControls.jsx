@@ -0,0 +1,72 @@
+import React from 'react';
+
+export const replaySpeeds = [0.25, 0.5, 1, 2, 4, 8];
+
+function formatClock(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+const buttonStyle = (theme) => ({
+  background: 'transparent',
+  border: `1px solid ${theme.hud.text}`,
+  color: theme.hud.text,
+  padding: '2px 8px',
+  cursor: 'pointer',
+  fontFamily: "'Courier New', monospace",
+  fontSize: '10px',
+  letterSpacing: '1px',
+  textShadow: `0 0 5px ${theme.glow}`
+});
+
+// Play/pause, speed and timeline scrubber for a useRadarReplay() value,
+// laid out along the bottom of the HUD between the legend and range info
+export default function ReplayControls({ replay, theme }) {
+  const cycleSpeed = () => {
+    const index = replaySpeeds.indexOf(replay.speed);
+    replay.setSpeed(replaySpeeds[(index + 1) % replaySpeeds.length]);
+  };
+
+  return (
+    <div style={{
+      position: 'absolute',
+      bottom: 20,
+      left: '50%',
+      transform: 'translateX(-50%)',
+      width: '40%',
+      minWidth: '260px',
+      zIndex: 10,
+      display: 'flex',
+      alignItems: 'center',
+      gap: '8px',
+      color: theme.hud.muted,
+      fontSize: '10px',
+      letterSpacing: '1px'
+    }}>
+      <span style={{ color: theme.hud.text }}>◉ REPLAY</span>
+      <button
+        title={replay.playing ? 'Pause' : 'Play'}
+        onClick={replay.toggle}
+        style={buttonStyle(theme)}
+      >
+        {replay.playing ? '❚❚' : '▶'}
+      </button>
+      <button title="Playback speed" onClick={cycleSpeed} style={buttonStyle(theme)}>
+        {replay.speed}×
+      </button>
+      <input
+        type="range"
+        min={0}
+        max={replay.duration}
+        step={10}
+        value={replay.time}
+        onChange={event => replay.seek(Number(event.target.value))}
+        aria-label="Replay position"
+        style={{ flex: 1, accentColor: theme.hud.text, cursor: 'pointer' }}
+      />
+      <span>{formatClock(replay.time)} / {formatClock(replay.duration)}</span>
+    </div>
+  );
+}
@@ -0,0 +1,427 @@
+// Elite Dangerous companion input: turns journal events and Status.json
+// snapshots into radar contacts and player state. No Node or DOM
+// dependencies; eliteJournalWatcher.mjs tails a journal directory in Node
+// and readJournalFiles() handles dropped files in the browser.
+//
+// The journal never reports where other ships are, only that they exist.
+// Contacts are therefore placed at a stable, estimated bearing per id and a
+// nominal range per type, and carry `estimated: true`.
+
+// ============================================================================
+// JOURNAL PARSING
+// ============================================================================
+
+// Journal.2024-05-01T183012.01.log (current) or Journal.240501183012.01.log
+const JOURNAL_FILE = /^Journal\.[\dT-]+\.\d+\.log$/;
+
+export function isJournalFileName(name) {
+  return JOURNAL_FILE.test(name);
+}
+
+// One JSON event per line; unreadable lines (e.g. a line still being
+// written) are skipped and passed to `onError`
+export function parseJournalLines(text, onError = () => {}) {
+  const events = [];
+  text.split(/\r?\n/).forEach(line => {
+    if (line.trim() === '') return;
+    try {
+      const event = JSON.parse(line);
+      if (event && typeof event.event === 'string') events.push(event);
+    } catch (error) {
+      onError(error);
+    }
+  });
+  return events;
+}
+
+// ============================================================================
+// STATUS.JSON
+// ============================================================================
+
+// Bits of Status.json `Flags`
+const statusFlags = [
+  'docked', 'landed', 'landingGearDown', 'shieldsUp', 'supercruise',
+  'flightAssistOff', 'hardpointsDeployed', 'inWing', 'lightsOn',
+  'cargoScoopDeployed', 'silentRunning', 'scoopingFuel', 'srvHandbrake',
+  'srvTurretView', 'srvTurretRetracted', 'srvDriveAssist', 'fsdMassLocked',
+  'fsdCharging', 'fsdCooldown', 'lowFuel', 'overheating', 'hasLatLong',
+  'inDanger', 'beingInterdicted', 'inMainShip', 'inFighter', 'inSrv',
+  'analysisMode', 'nightVision', 'altitudeFromAverageRadius', 'fsdJump',
+  'srvHighBeam'
+];
+
+export function decodeStatusFlags(flags = 0) {
+  const decoded = {};
+  statusFlags.forEach((name, bit) => {
+    decoded[name] = Math.floor(flags / Math.pow(2, bit)) % 2 === 1;
+  });
+  return decoded;
+}
+
+// Compass heading (degrees clockwise from north, north = -z) to a yaw-only
+// [x, y, z, w] quaternion for the radar transform
+export function headingToQuaternion(heading) {
+  const angle = (-heading * Math.PI) / 180;
+  return [0, Math.sin(angle / 2), 0, Math.cos(angle / 2)];
+}
+
+export function statusToPlayer(status) {
+  const player = {
+    ...decodeStatusFlags(status.Flags),
+    pips: status.Pips || null,
+    fireGroup: status.FireGroup,
+    fuel: status.Fuel || null,
+    cargo: status.Cargo,
+    legalState: status.LegalState || null,
+    timestamp: status.timestamp
+  };
+  if (typeof status.Heading === 'number') {
+    player.heading = status.Heading;
+    player.playerQuaternion = headingToQuaternion(status.Heading);
+  }
+  if (typeof status.Latitude === 'number') {
+    player.latitude = status.Latitude;
+    player.longitude = status.Longitude;
+    player.altitude = status.Altitude;
+    player.body = status.BodyName;
+  }
+  return player;
+}
+
+// ============================================================================
+// CLASSIFICATION AND PLACEMENT
+// ============================================================================
+
+const hostileLegalStatus = ['Wanted', 'Enemy', 'Hostile', 'Warrant', 'PassengerWanted'];
+
+// Pilots appear as "Jameson" in wing and interdiction events but as
+// "$cmdr_decorate:#name=Jameson;" / "Cmdr Jameson" (commanders) or
+// "$npc_name_decorate:#name=Jameson;" (NPCs) when targeted; all of them
+// reduce to "jameson". Pilot names are only ever compared by this key.
+export function pilotKey(name) {
+  const decorated = /^\$(?:cmdr|npc_name)_decorate:#name=(.*);$/i.exec(String(name || '').trim());
+  const plain = decorated ? decorated[1] : String(name || '');
+  return plain.trim().replace(/^cmdr\s+/i, '').trim().toLowerCase();
+}
+
+// Whether the event's pilot is one of `names`, however either is decorated
+function pilotIn(event, names) {
+  const keys = [event.PilotName, event.PilotName_Localised].map(pilotKey).filter(Boolean);
+  return [...names].some(name => keys.includes(pilotKey(name)));
+}
+
+// Wing mates and system authority ships are friendly, wanted or enemy ships
+// and anyone who interdicted the player are hostile, everything else is
+// neutral. Ordnance never shows up in the journal except as a targeted
+// "ship" whose name says so.
+export function classifyShip(event, { wing = new Set(), hostiles = new Set() } = {}) {
+  const ship = String(event.Ship || '').toLowerCase();
+  const pilot = event.PilotName || '';
+  if (/missile|torpedo|mine/.test(ship)) return 'missile';
+  if (pilotIn(event, wing) || /^\$ShipName_Police/i.test(pilot)) return 'friendly';
+  if (pilotIn(event, hostiles) || hostileLegalStatus.includes(event.LegalStatus)) return 'hostile';
+  return 'neutral';
+}
+
+function pilotLabel(event) {
+  return event.PilotName_Localised || event.PilotName || '';
+}
+
+const nominalRange = {
+  hostile: 1500,
+  friendly: 1000,
+  neutral: 2500,
+  station: 4000,
+  missile: 800
+};
+
+function hashString(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+// Stable pseudo-position for a contact the journal cannot locate
+export function estimatePosition(id, type, range = nominalRange[type] || 2000) {
+  const hash = hashString(String(id));
+  const bearing = ((hash % 360) * Math.PI) / 180;
+  const elevation = ((((hash >>> 9) % 41) - 20) * Math.PI) / 180;
+  const horizontal = Math.cos(elevation) * range;
+  return [
+    Math.sin(bearing) * horizontal,
+    Math.sin(elevation) * range,
+    -Math.cos(bearing) * horizontal
+  ];
+}
+
+// ============================================================================
+// JOURNAL TRACKER
+// ============================================================================
+
+// Folds journal events (oldest first) and Status.json snapshots into radar
+// state. `maxShips` caps remembered ships; the oldest are dropped first.
+export function createJournalTracker({ maxShips = 20 } = {}) {
+  const contacts = new Map();
+  const wing = new Set();
+  const hostiles = new Set();
+  let lockedId = null;
+  let shipCount = 0;
+  let player = {};
+  let cached = null;
+
+  const changed = () => {
+    cached = null;
+  };
+
+  function upsert(id, type, fields) {
+    const existing = contacts.get(id);
+    const next = {
+      ...existing,
+      ...fields,
+      id,
+      type,
+      source: 'journal',
+      estimated: true
+    };
+    if (!existing || existing.type !== type) next.position = estimatePosition(id, type);
+    contacts.delete(id);
+    contacts.set(id, next);
+    changed();
+    return next;
+  }
+
+  function findPilot(key) {
+    return [...contacts.values()].find(contact => contact.kind === 'ship' && pilotKey(contact.pilotName) === key);
+  }
+
+  function remove(predicate) {
+    contacts.forEach((contact, id) => {
+      if (!predicate(contact)) return;
+      contacts.delete(id);
+      if (lockedId === id) lockedId = null;
+      changed();
+    });
+  }
+
+  function trimShips() {
+    const ships = [...contacts.values()].filter(contact => contact.kind === 'ship');
+    ships.slice(0, Math.max(0, ships.length - maxShips)).forEach(contact => {
+      contacts.delete(contact.id);
+      if (lockedId === contact.id) lockedId = null;
+    });
+  }
+
+  // Leaving the instance (supercruise, jump) loses every local contact
+  function leaveInstance() {
+    remove(contact => contact.kind !== 'wing');
+    lockedId = null;
+  }
+
+  function addStation(event, range) {
+    const id = `station:${event.MarketID || event.StationName || event.Body}`;
+    const fields = {
+      kind: 'station',
+      label: event.StationName || event.Body,
+      stationType: event.StationType || event.BodyType,
+      marketId: event.MarketID
+    };
+    // Undocked and docking events don't repeat the faction; keep the last one
+    if (event.StationFaction) fields.faction = event.StationFaction.Name;
+    const station = upsert(id, 'station', fields);
+    if (range !== undefined) station.position = estimatePosition(id, 'station', range);
+    return station;
+  }
+
+  // Scan stage 0 only names the hull; later stages add the pilot. The locked
+  // contact keeps its id across stages.
+  function shipTargeted(event) {
+    if (!event.TargetLocked) {
+      lockedId = null;
+      changed();
+      return;
+    }
+    const pilot = event.PilotName;
+    const key = pilotKey(pilot);
+    const current = lockedId ? contacts.get(lockedId) : null;
+    let id;
+    if (current && current.ship === event.Ship && (!key || !current.pilotName || pilotKey(current.pilotName) === key)) {
+      id = current.id;
+    } else {
+      const known = key && findPilot(key);
+      id = known ? known.id : `ship-${++shipCount}`;
+    }
+
+    const previous = contacts.get(id) || {};
+    const fields = {
+      kind: 'ship',
+      ship: event.Ship,
+      label: event.Ship_Localised || previous.label || event.Ship,
+      scanStage: event.ScanStage
+    };
+    if (pilot) {
+      fields.pilotName = pilot;
+      fields.pilot = pilotLabel(event);
+      fields.rank = event.PilotRank;
+    }
+    if (event.ShieldHealth !== undefined) fields.shieldHealth = event.ShieldHealth;
+    if (event.HullHealth !== undefined) fields.hullHealth = event.HullHealth;
+    if (event.Faction !== undefined) fields.faction = event.Faction;
+    if (event.LegalStatus !== undefined) fields.legalStatus = event.LegalStatus;
+    if (event.Bounty !== undefined) fields.bounty = event.Bounty;
+
+    // Earlier scan stages still count when classifying a partial rescan
+    const type = classifyShip({
+      ...event,
+      PilotName: pilot || previous.pilotName,
+      PilotName_Localised: event.PilotName_Localised || previous.pilot,
+      LegalStatus: event.LegalStatus || previous.legalStatus
+    }, { wing, hostiles });
+    upsert(id, type, fields);
+    lockedId = id;
+    trimShips();
+  }
+
+  function applyEvent(event) {
+    switch (event.event) {
+      case 'ShipTargeted':
+        shipTargeted(event);
+        break;
+      case 'Interdicted': {
+        if (!event.Interdictor) break;
+        hostiles.add(event.Interdictor);
+        const known = findPilot(pilotKey(event.Interdictor));
+        upsert(known ? known.id : `ship-${++shipCount}`, 'hostile', {
+          kind: 'ship',
+          pilotName: event.Interdictor,
+          pilot: event.Interdictor_Localised || event.Interdictor,
+          label: event.Interdictor_Localised || event.Interdictor,
+          isPlayer: !!event.IsPlayer,
+          faction: event.Faction
+        });
+        player = { ...player, interdictedAt: event.timestamp };
+        trimShips();
+        break;
+      }
+      case 'UnderAttack':
+        player = { ...player, underAttackAt: event.timestamp, attacked: event.Target || 'You' };
+        break;
+      case 'Bounty':
+        // The kill is the locked target when the hull matches
+        if (lockedId && contacts.get(lockedId)
+          && (!event.Target || contacts.get(lockedId).ship === event.Target)) {
+          remove(contact => contact.id === lockedId);
+        }
+        break;
+      case 'DockingRequested':
+      case 'DockingGranted':
+        addStation(event, nominalRange.station);
+        break;
+      case 'Docked':
+        addStation(event, 300);
+        player = { ...player, docked: true, station: event.StationName, system: event.StarSystem };
+        break;
+      case 'Undocked':
+        addStation(event, 600);
+        player = { ...player, docked: false };
+        break;
+      case 'Location':
+        leaveInstance();
+        if (event.Docked) addStation(event, 300);
+        player = { ...player, system: event.StarSystem, starPos: event.StarPos, docked: !!event.Docked };
+        break;
+      case 'SupercruiseExit':
+        if (event.BodyType === 'Station') addStation(event, nominalRange.station);
+        player = { ...player, supercruise: false, system: event.StarSystem, body: event.Body };
+        break;
+      case 'SupercruiseEntry':
+        leaveInstance();
+        player = { ...player, supercruise: true, system: event.StarSystem };
+        break;
+      case 'Died':
+        leaveInstance();
+        break;
+      case 'FSDJump':
+        leaveInstance();
+        player = { ...player, system: event.StarSystem, starPos: event.StarPos, supercruise: true };
+        break;
+      case 'WingJoin':
+        (event.Others || []).forEach(name => wing.add(name));
+        wing.forEach(name => upsert(`wing:${name}`, 'friendly', { kind: 'wing', label: name, pilot: name }));
+        break;
+      case 'WingAdd':
+        wing.add(event.Name);
+        upsert(`wing:${event.Name}`, 'friendly', { kind: 'wing', label: event.Name, pilot: event.Name });
+        break;
+      case 'WingLeave':
+        wing.clear();
+        remove(contact => contact.kind === 'wing');
+        break;
+      case 'LaunchFighter':
+        upsert('fighter', 'friendly', { kind: 'fighter', label: 'Fighter', playerControlled: !!event.PlayerControlled });
+        break;
+      case 'DockFighter':
+      case 'FighterDestroyed':
+        remove(contact => contact.id === 'fighter');
+        break;
+      case 'Status':
+        applyStatus(event);
+        break;
+      default:
+        break;
+    }
+  }
+
+  function applyStatus(status) {
+    player = { ...player, ...statusToPlayer(status) };
+    changed();
+  }
+
+  function getContacts() {
+    if (!cached) cached = [...contacts.values()];
+    return cached;
+  }
+
+  return {
+    applyEvent,
+    applyEvents: events => events.forEach(applyEvent),
+    applyStatus,
+    getContacts,
+    getPlayer: () => player,
+    getSelectedId: () => lockedId,
+    // As a radarFeed.js message
+    toFeedMessage: () => ({ type: 'snapshot', contacts: getContacts() })
+  };
+}
+
+// ============================================================================
+// BROWSER FILE INPUT
+// ============================================================================
+
+// Reads dropped / picked files (journal logs in name order, then Status.json)
+// into a fresh tracker. Other files are ignored. Unreadable journal lines
+// and a cut-short Status.json go to `options.onError`.
+export async function readJournalFiles(files, options = {}) {
+  const tracker = createJournalTracker(options);
+  const list = [...files];
+  const journals = list
+    .filter(file => isJournalFileName(file.name))
+    .sort((a, b) => (a.name < b.name ? -1 : 1));
+  const status = list.find(file => file.name === 'Status.json');
+
+  for (const file of journals) {
+    tracker.applyEvents(parseJournalLines(await file.text(), options.onError));
+  }
+  // The game rewrites Status.json in place, so a copy may be cut short
+  if (status) {
+    const text = await status.text();
+    try {
+      if (text.trim()) tracker.applyStatus(JSON.parse(text));
+    } catch (error) {
+      if (options.onError) options.onError(error);
+    }
+  }
+  return tracker;
+}
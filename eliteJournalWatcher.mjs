@@ -0,0 +1,169 @@
+// Tails an Elite Dangerous journal directory in Node and keeps a journal
+// tracker (eliteJournal.js) up to date. Run directly it also serves the
+// contacts as a radar feed:
+//
+//   node eliteJournalWatcher.mjs ["<journal dir>"] [--port 8080]
+//
+// The directory defaults to the game's location on Windows. Needs Node 18+
+// (package.json marks the shared .js modules as ES modules).
+
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { createJournalTracker, parseJournalLines, isJournalFileName } from './eliteJournal.js';
+import { startFeedServer } from './feedServer.mjs';
+
+export const defaultJournalDirectory = path.join(
+  os.homedir(), 'Saved Games', 'Frontier Developments', 'Elite Dangerous'
+);
+
+// ============================================================================
+// DIRECTORY WATCHER
+// ============================================================================
+
+async function newestJournal(directory) {
+  const names = (await fs.readdir(directory)).filter(isJournalFileName).sort();
+  return names.length > 0 ? path.join(directory, names[names.length - 1]) : null;
+}
+
+async function readFrom(file, offset) {
+  const handle = await fs.open(file, 'r');
+  try {
+    const { size } = await handle.stat();
+    if (size <= offset) return { text: '', size };
+    const buffer = Buffer.alloc(size - offset);
+    await handle.read(buffer, 0, buffer.length, offset);
+    return { text: buffer.toString('utf8'), size };
+  } finally {
+    await handle.close();
+  }
+}
+
+// Polls rather than using fs.watch, which misses appends on some platforms.
+// The newest journal is replayed from the start, then followed; a newer
+// journal (game restart) is picked up automatically. Status.json is re-read
+// whenever it changes. `onUpdate(tracker)` runs after each change.
+export function watchJournalDirectory(directory = defaultJournalDirectory, {
+  pollInterval = 1000,
+  maxShips,
+  onUpdate = () => {},
+  onError = () => {}
+} = {}) {
+  const tracker = createJournalTracker({ maxShips });
+  const statusFile = path.join(directory, 'Status.json');
+  let journal = null;
+  let offset = 0;
+  let partial = '';
+  let statusTime = 0;
+  let timer = null;
+  let closed = false;
+
+  async function pollJournal() {
+    const latest = await newestJournal(directory);
+    if (!latest) return false;
+    if (latest !== journal) {
+      journal = latest;
+      offset = 0;
+      partial = '';
+    }
+    const { text, size } = await readFrom(journal, offset);
+    offset = size;
+    if (!text) return false;
+
+    // Hold back an unterminated last line until the game finishes it
+    const lines = (partial + text).split('\n');
+    partial = lines.pop();
+    const events = parseJournalLines(lines.join('\n'), onError);
+    tracker.applyEvents(events);
+    return events.length > 0;
+  }
+
+  async function pollStatus() {
+    let stat;
+    try {
+      stat = await fs.stat(statusFile);
+    } catch (error) {
+      return false;
+    }
+    if (stat.mtimeMs === statusTime) return false;
+    const text = await fs.readFile(statusFile, 'utf8');
+    // The game rewrites the file in place; an empty or half-written read is
+    // retried next poll, so the time is only kept once the file parses
+    let status;
+    try {
+      status = JSON.parse(text);
+    } catch (error) {
+      return false;
+    }
+    statusTime = stat.mtimeMs;
+    tracker.applyStatus(status);
+    return true;
+  }
+
+  async function poll() {
+    try {
+      const journalChanged = await pollJournal();
+      const statusChanged = await pollStatus();
+      if (journalChanged || statusChanged) onUpdate(tracker);
+    } catch (error) {
+      onError(error);
+    }
+    if (!closed) timer = setTimeout(poll, pollInterval);
+  }
+
+  poll();
+
+  return {
+    tracker,
+    close() {
+      closed = true;
+      if (timer) clearTimeout(timer);
+    }
+  };
+}
+
+// ============================================================================
+// COMMAND LINE
+// ============================================================================
+
+// Snapshot messages also carry the player state and locked target, which
+// useRadarFeed passes on as `player` and `selectedId`
+function feedMessage(tracker) {
+  return {
+    ...tracker.toFeedMessage(),
+    selectedId: tracker.getSelectedId(),
+    player: tracker.getPlayer()
+  };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const portIndex = args.indexOf('--port');
+  const port = portIndex === -1 ? 8080 : Number(args[portIndex + 1]);
+  const directory = args.find((arg, i) => !arg.startsWith('--') && args[i - 1] !== '--port')
+    || defaultJournalDirectory;
+
+  let watcher = null;
+  const server = await startFeedServer({
+    port,
+    name: 'Elite journal feed',
+    getSnapshot: () => feedMessage(watcher.tracker),
+    // The journal can go quiet for minutes; resend so clients don't expire
+    // the contacts
+    snapshotInterval: 3000,
+    onConnection: count => console.log(`client connected (${count} total)`)
+  });
+  watcher = watchJournalDirectory(directory, {
+    onUpdate: tracker => server.broadcast(feedMessage(tracker)),
+    onError: error => console.error(error.message)
+  });
+  console.log(`Watching ${directory}, serving ws://localhost:${port}`);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
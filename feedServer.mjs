@@ -0,0 +1,134 @@
+// Minimal WebSocket broadcaster for radar feed messages (see radarFeed.js),
+// using only Node built-ins. Shared by mockFeedServer.mjs and the journal
+// bridge in eliteJournalWatcher.mjs.
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+
+// ============================================================================
+// WEBSOCKET (RFC 6455, text frames only)
+// ============================================================================
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+function send(socket, message) {
+  socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(message))));
+}
+
+// Client frames are only inspected for close and ping
+function handleClientData(socket, data) {
+  const opcode = data[0] & 0x0f;
+  if (opcode === 0x8) {
+    socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+    return;
+  }
+  if (opcode === 0x9) {
+    let length = data[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+      length = data.readUInt16BE(2);
+      offset = 4;
+    }
+    const mask = data.subarray(offset, offset + 4);
+    const payload = Buffer.from(data.subarray(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    socket.write(encodeFrame(0xa, payload));
+  }
+}
+
+// ============================================================================
+// FEED SERVER
+// ============================================================================
+
+// `getSnapshot()` returns the message sent to each client as it connects
+// and, with `snapshotInterval` (ms), resent to everyone that often so
+// contacts that never change don't expire in the clients' stores.
+// `onConnection(count)` runs as each client connects. Resolves once
+// listening.
+export function startFeedServer({
+  port = 8080,
+  name = 'Radar feed',
+  getSnapshot,
+  snapshotInterval = 0,
+  onConnection = () => {}
+} = {}) {
+  const clients = new Set();
+
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end(`${name}: connect a WebSocket to ws://localhost:${port}\n`);
+  });
+
+  server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '',
+      ''
+    ].join('\r\n'));
+
+    clients.add(socket);
+    socket.on('data', data => handleClientData(socket, data));
+    socket.on('close', () => clients.delete(socket));
+    socket.on('error', () => clients.delete(socket));
+
+    if (getSnapshot) send(socket, getSnapshot());
+    onConnection(clients.size);
+  });
+
+  const snapshotTimer = getSnapshot && snapshotInterval > 0
+    ? setInterval(() => {
+      if (clients.size > 0) feedServer.broadcast(getSnapshot());
+    }, snapshotInterval)
+    : null;
+
+  const feedServer = {
+    broadcast(message) {
+      clients.forEach(socket => send(socket, message));
+    },
+    // Drops every connection (clients are expected to reconnect)
+    dropAll() {
+      const count = clients.size;
+      clients.forEach(socket => socket.destroy());
+      clients.clear();
+      return count;
+    },
+    close() {
+      if (snapshotTimer) clearInterval(snapshotTimer);
+      feedServer.dropAll();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, () => resolve(feedServer));
+  });
+}
@@ -0,0 +1,116 @@
+// Local mock radar feed. Serves the radarFeed.js message schema over a
+// WebSocket (feedServer.mjs, Node built-ins only):
+//
+//   node mockFeedServer.mjs [--port 8080] [--rate 250] [--snapshot 2] [--drop 0]
+//
+// --rate is the delta interval in ms; --snapshot resends every contact each
+// N seconds, so the station and other contacts that never move outlive the
+// client's stale timeout; --drop closes every connection each N seconds to
+// exercise reconnect/backoff (0 = never). Connect to
+// ws://localhost:8080 from useRadarFeed or createRadarFeed.
+
+import { startFeedServer } from './feedServer.mjs';
+
+function readOption(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  if (index === -1) return fallback;
+  const value = Number(process.argv[index + 1]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+const PORT = readOption('port', 8080);
+const RATE = readOption('rate', 250);
+const SNAPSHOT = readOption('snapshot', 2);
+const DROP = readOption('drop', 0);
+
+// ============================================================================
+// SIMULATION
+// ============================================================================
+
+const world = new Map([
+  { id: 'hostile-1', position: [2000, 800, 1500], velocity: [-60, -10, -40], type: 'hostile' },
+  { id: 'hostile-2', position: [-1500, 400, 2000], velocity: [30, 0, -50], type: 'hostile' },
+  { id: 'friendly-1', position: [1000, -300, -800], velocity: [20, 5, 10], type: 'friendly' },
+  { id: 'friendly-2', position: [-500, 200, -1200], velocity: [-15, 0, 25], type: 'friendly' },
+  { id: 'neutral-1', position: [3000, 100, 500], velocity: [0, 0, -40], type: 'neutral' },
+  { id: 'neutral-2', position: [-2500, -600, -500], velocity: [35, 5, 0], type: 'neutral' },
+  { id: 'station-1', position: [0, 0, -4000], type: 'station' }
+].map(contact => [contact.id, contact]));
+
+let missileCount = 0;
+
+// Hostiles periodically launch a missile at the origin; it is removed
+// once it gets close
+function launchMissile() {
+  const hostiles = [...world.values()].filter(contact => contact.type === 'hostile');
+  if (hostiles.length === 0) return null;
+  const shooter = hostiles[missileCount % hostiles.length];
+  const [x, y, z] = shooter.position;
+  const length = Math.sqrt(x * x + y * y + z * z) || 1;
+  const speed = 300;
+  missileCount += 1;
+  const missile = {
+    id: `missile-${missileCount}`,
+    position: [...shooter.position],
+    velocity: [(-x / length) * speed, (-y / length) * speed, (-z / length) * speed],
+    type: 'missile'
+  };
+  world.set(missile.id, missile);
+  return missile;
+}
+
+function step(dt) {
+  const moved = [];
+  const removed = [];
+  world.forEach(contact => {
+    if (!contact.velocity) return;
+    contact.position = contact.position.map((value, i) => value + contact.velocity[i] * dt);
+    const [x, y, z] = contact.position;
+    if (contact.type === 'missile' && Math.sqrt(x * x + y * y + z * z) < 150) {
+      world.delete(contact.id);
+      removed.push(contact.id);
+      return;
+    }
+    moved.push({ id: contact.id, position: contact.position, velocity: contact.velocity });
+  });
+  return { moved, removed };
+}
+
+// ============================================================================
+// MAIN LOOP
+// ============================================================================
+
+const server = await startFeedServer({
+  port: PORT,
+  name: 'Mock radar feed',
+  getSnapshot: () => ({ type: 'snapshot', contacts: [...world.values()] }),
+  snapshotInterval: SNAPSHOT * 1000,
+  onConnection: count => console.log(`client connected (${count} total)`)
+});
+console.log(`Mock radar feed on ws://localhost:${PORT} (delta every ${RATE} ms)`);
+
+let elapsed = 0;
+let nextLaunch = 8;
+
+setInterval(() => {
+  const dt = RATE / 1000;
+  elapsed += dt;
+
+  const { moved, removed } = step(dt);
+  const messages = [{ type: 'delta', contacts: moved }];
+  if (removed.length > 0) messages.push({ type: 'remove', ids: removed });
+
+  if (elapsed >= nextLaunch) {
+    nextLaunch = elapsed + 12;
+    const missile = launchMissile();
+    if (missile) messages.push({ type: 'delta', contacts: [missile] });
+  }
+
+  server.broadcast(messages);
+}, RATE);
+
+if (DROP > 0) {
+  setInterval(() => {
+    console.log(`dropping ${server.dropAll()} connection(s)`);
+  }, DROP * 1000);
+}
@@ -0,0 +1,86 @@
+// Synthesized alert tones over the Web Audio API; no audio files. Browsers
+// keep audio suspended until the page has had a click or key press, so
+// tones raised before that are silent.
+
+// ============================================================================
+// TONES
+// ============================================================================
+
+// frequency  Hz at the start of each beep; `slideTo` glides to another pitch
+// wave       oscillator type: 'sine', 'square', 'sawtooth' or 'triangle'
+// duration   seconds per beep, `gap` seconds between `repeat` beeps
+// volume     0..1
+export const defaultAlertTones = {
+  'missile-incoming': { frequency: 1320, wave: 'square', duration: 0.08, gap: 0.05, repeat: 4, volume: 0.2 },
+  'hostile-in-range': { frequency: 660, wave: 'sawtooth', duration: 0.14, gap: 0.08, repeat: 2, volume: 0.15 },
+  'new-contact': { frequency: 990, wave: 'sine', duration: 0.07, gap: 0, repeat: 1, volume: 0.15 },
+  'contact-lost': { frequency: 520, slideTo: 260, wave: 'triangle', duration: 0.25, gap: 0, repeat: 1, volume: 0.15 },
+  default: { frequency: 880, wave: 'sine', duration: 0.1, gap: 0, repeat: 1, volume: 0.15 }
+};
+
+// `tones` is true for the defaults, or an object of per-type overrides (a
+// type set to false stays silent)
+export function resolveAlertTone(tones, type) {
+  if (!tones) return null;
+  const overrides = tones === true ? {} : tones;
+  if (overrides[type] === false) return null;
+  return {
+    ...(defaultAlertTones[type] || defaultAlertTones.default),
+    ...(overrides[type] || overrides.default)
+  };
+}
+
+// ============================================================================
+// SYNTH
+// ============================================================================
+
+// Returns { play(tone), close() }. The AudioContext is created on the first
+// play; without Web Audio (e.g. in Node) both do nothing.
+export function createAlertSynth() {
+  let context = null;
+
+  function getContext() {
+    if (context) return context;
+    if (typeof window === 'undefined') return null;
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+    context = new AudioContextClass();
+    return context;
+  }
+
+  function play(tone) {
+    const audio = getContext();
+    if (!audio || !tone) return;
+    if (audio.state === 'suspended') audio.resume().catch(() => {});
+
+    const start = audio.currentTime + 0.01;
+    for (let i = 0; i < tone.repeat; i++) {
+      const at = start + i * (tone.duration + tone.gap);
+      const oscillator = audio.createOscillator();
+      const gain = audio.createGain();
+      oscillator.type = tone.wave;
+      oscillator.frequency.setValueAtTime(tone.frequency, at);
+      if (tone.slideTo) oscillator.frequency.exponentialRampToValueAtTime(tone.slideTo, at + tone.duration);
+
+      // Short attack and release so beeps don't click; tones shorter than
+      // the release keep them in order instead of scheduling into the past
+      const attackEnd = at + Math.min(0.005, tone.duration / 2);
+      gain.gain.setValueAtTime(0, at);
+      gain.gain.linearRampToValueAtTime(tone.volume, attackEnd);
+      gain.gain.setValueAtTime(tone.volume, Math.max(attackEnd, at + tone.duration - 0.02));
+      gain.gain.linearRampToValueAtTime(0, at + tone.duration);
+
+      oscillator.connect(gain);
+      gain.connect(audio.destination);
+      oscillator.start(at);
+      oscillator.stop(at + tone.duration);
+    }
+  }
+
+  function close() {
+    if (context) context.close().catch(() => {});
+    context = null;
+  }
+
+  return { play, close };
+}
@@ -0,0 +1,201 @@
+// Alert engine: watches contacts passed through transformToRadarSpace from one
+// update to the next and raises alerts when a rule's condition starts to hold
+// (a hostile comes within range, a missile is on a collision course, ...) or
+// when a contact disappears. No React, DOM or audio; see radarAlertTones.js.
+
+import { contactName, formatDistance } from './radarCore.js';
+
+// ============================================================================
+// DEFAULT RULES
+// ============================================================================
+
+// hostileRange        metres, or a [min, max] band, for 'hostile-in-range'
+// missileMissDistance a missile closing to within this many metres at its
+//                     closest approach counts as incoming
+// cooldown            ms after an alert before its type can fire again
+// cooldowns           per-type overrides, e.g. { 'new-contact': 15000 }
+export const defaultAlertOptions = {
+  hostileRange: 2000,
+  missileMissDistance: 500,
+  cooldown: 5000,
+  cooldowns: {}
+};
+
+export const alertSeverities = ['info', 'warning', 'critical'];
+
+function inBand(distance, band) {
+  const [min, max] = Array.isArray(band) ? band : [0, band];
+  return (min === null || min === undefined || distance >= min)
+    && (max === null || max === undefined || distance <= max);
+}
+
+function upperName(contact) {
+  return String(contactName(contact)).toUpperCase();
+}
+
+// Rules are { id, severity, when, message, on, cooldown }. `when` is a
+// predicate (radarContact, options) => boolean. With `on: 'enter'` (the
+// default) the rule fires when `when` becomes true for a contact; with
+// `on: 'lost'` it fires for contacts that have gone, tested on their last
+// known state. `message` is text, or (radarContact, options) => text.
+export const defaultAlertRules = [
+  {
+    id: 'missile-incoming',
+    severity: 'critical',
+    when: (contact, options) => contact.type === 'missile'
+      && contact.closingSpeed > 0
+      && contact.timeToClosestApproach !== null
+      && contact.timeToClosestApproach !== undefined
+      && contact.closestApproachDistance <= options.missileMissDistance,
+    message: contact => `INCOMING MISSILE ${formatDistance(contact.distance)}`
+      + ` · IMPACT ${Math.ceil(contact.timeToClosestApproach)} S`
+  },
+  {
+    id: 'hostile-in-range',
+    severity: 'warning',
+    when: (contact, options) => contact.type === 'hostile' && inBand(contact.distance, options.hostileRange),
+    message: contact => `HOSTILE IN RANGE: ${upperName(contact)} ${formatDistance(contact.distance)}`
+  },
+  {
+    id: 'new-contact',
+    severity: 'info',
+    when: () => true,
+    message: contact => `NEW CONTACT: ${upperName(contact)} ${formatDistance(contact.distance)}`
+  },
+  {
+    id: 'contact-lost',
+    severity: 'info',
+    on: 'lost',
+    when: () => true,
+    message: contact => `CONTACT LOST: ${upperName(contact)}`
+  }
+];
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+// Returns a list of problems (empty when valid)
+export function validateAlertRules(rules) {
+  if (!Array.isArray(rules)) return ['Alert rules must be an array'];
+  const errors = [];
+  const ids = new Set();
+  rules.forEach((rule, index) => {
+    const name = rule && rule.id ? `rule "${rule.id}"` : `rule ${index}`;
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${name} must be an object`);
+      return;
+    }
+    if (!rule.id || typeof rule.id !== 'string') errors.push(`${name} needs a string id`);
+    if (rule.id && ids.has(rule.id)) errors.push(`${name} is defined twice`);
+    ids.add(rule.id);
+    if (typeof rule.when !== 'function') errors.push(`${name} needs a when function`);
+    if (rule.severity !== undefined && !alertSeverities.includes(rule.severity)) {
+      errors.push(`${name} has severity "${rule.severity}" (expected ${alertSeverities.join(', ')})`);
+    }
+    if (rule.on !== undefined && rule.on !== 'enter' && rule.on !== 'lost') {
+      errors.push(`${name} has on "${rule.on}" (expected enter or lost)`);
+    }
+    if (rule.message !== undefined && typeof rule.message !== 'string' && typeof rule.message !== 'function') {
+      errors.push(`${name} has an invalid message`);
+    }
+    if (rule.cooldown !== undefined && !(typeof rule.cooldown === 'number' && rule.cooldown >= 0)) {
+      errors.push(`${name} has an invalid cooldown`);
+    }
+  });
+  return errors;
+}
+
+// ============================================================================
+// ENGINE
+// ============================================================================
+
+function cooldownFor(rule, options) {
+  if (options.cooldowns && options.cooldowns[rule.id] !== undefined) return options.cooldowns[rule.id];
+  if (rule.cooldown !== undefined) return rule.cooldown;
+  return options.cooldown;
+}
+
+// Returns check(radarContacts, now) -> alerts raised by this update, each
+// { key, type, severity, message, contact, contacts, time }. Contacts that
+// set off the same rule together share one alert (`contacts` lists them
+// all). While a type is cooling down its alerts are dropped, though the
+// contacts still count as alerted. Contacts need an `id` to be tracked. The
+// first call only records the situation, like the screen-reader announcer.
+// Throws with every rule problem listed if the rules are invalid.
+export function createAlertEngine(rules = defaultAlertRules, options = {}) {
+  const errors = validateAlertRules(rules);
+  if (errors.length > 0) {
+    throw new Error(`Invalid alert rules:\n  ${errors.join('\n  ')}`);
+  }
+  const settings = { ...defaultAlertOptions, ...options };
+  let previous = null;
+  // Rule id -> ids of contacts its condition currently holds for
+  const active = new Map(rules.map(rule => [rule.id, new Set()]));
+  const lastFired = new Map();
+  let sequence = 0;
+
+  function raise(rule, contacts, now) {
+    const last = lastFired.get(rule.id);
+    if (last !== undefined && now - last < cooldownFor(rule, settings)) return null;
+    lastFired.set(rule.id, now);
+    const contact = contacts[0];
+    let message = rule.message === undefined ? rule.id : rule.message;
+    if (typeof message === 'function') message = message(contact, settings);
+    if (contacts.length > 1) message = `${message} (+${contacts.length - 1})`;
+    sequence += 1;
+    return {
+      key: sequence,
+      type: rule.id,
+      severity: rule.severity || 'info',
+      message,
+      contact,
+      contacts,
+      time: now
+    };
+  }
+
+  return function check(radarContacts, now = Date.now()) {
+    const current = new Map();
+    radarContacts.forEach(contact => {
+      if (contact.id != null) current.set(contact.id, contact);
+    });
+    const first = previous === null;
+    const alerts = [];
+
+    rules.forEach(rule => {
+      const triggered = [];
+      if (rule.on === 'lost') {
+        if (!first) {
+          previous.forEach((contact, id) => {
+            if (!current.has(id) && rule.when(contact, settings)) triggered.push(contact);
+          });
+        }
+      } else {
+        // Ids of contacts that have gone are dropped too, so a contact that
+        // comes back alerts again
+        const holding = active.get(rule.id);
+        const next = new Set();
+        current.forEach((contact, id) => {
+          if (!rule.when(contact, settings)) return;
+          if (!holding.has(id) && !first) triggered.push(contact);
+          next.add(id);
+        });
+        active.set(rule.id, next);
+      }
+      // The message names the nearest
+      triggered.sort((a, b) => a.distance - b.distance);
+      const alert = triggered.length > 0 ? raise(rule, triggered, now) : null;
+      if (alert) alerts.push(alert);
+    });
+
+    previous = current;
+    return alerts;
+  };
+}
+
+// Default rules with some added ahead of them, e.g.
+// withAlertRules([{ id: 'station-near', when: c => c.type === 'station' && c.distance < 1000 }])
+export function withAlertRules(rules, base = defaultAlertRules) {
+  return [...rules, ...base];
+}
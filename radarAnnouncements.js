@@ -0,0 +1,92 @@
+// Text descriptions of radar contacts for screen readers. Works on contacts
+// already passed through transformToRadarSpace; no React or DOM needed.
+
+import { contactName, relativeBearing } from './radarCore.js';
+
+export { relativeBearing };
+
+// ============================================================================
+// CONTACT DESCRIPTIONS
+// ============================================================================
+
+const typeNames = {
+  hostile: 'Hostile',
+  friendly: 'Friendly',
+  neutral: 'Neutral',
+  station: 'Station',
+  missile: 'Missile'
+};
+
+// Below this elevation a contact is read as level with the ship
+const LEVEL_ELEVATION = (2 * Math.PI) / 180;
+
+export function spokenDistance(distance) {
+  if (distance < 1000) return `${Math.round(distance)} metres`;
+  const kilometres = (distance / 1000).toFixed(1).replace(/\.0$/, '');
+  return `${kilometres} ${kilometres === '1' ? 'kilometre' : 'kilometres'}`;
+}
+
+export function verticalPosition(radarContact) {
+  if (Math.abs(radarContact.elevation) < LEVEL_ELEVATION) return 'level';
+  return radarContact.isAbove ? 'above' : 'below';
+}
+
+// e.g. "Hostile Cobra, 1.2 kilometres, bearing 045, above"
+export function describeContact(radarContact) {
+  const typeName = typeNames[radarContact.type] || 'Unknown';
+  const bearing = String(relativeBearing(radarContact)).padStart(3, '0');
+  return [
+    `${typeName} ${contactName(radarContact)}`,
+    radarContact.outOfRange
+      ? `beyond range, ${spokenDistance(radarContact.distance)}`
+      : spokenDistance(radarContact.distance),
+    `bearing ${bearing}`,
+    verticalPosition(radarContact)
+  ].join(', ');
+}
+
+// ============================================================================
+// ANNOUNCER
+// ============================================================================
+
+// Returns announce(radarContacts, selectedId) -> { polite, assertive }, each
+// a list of sentences describing what changed since the previous call:
+// new hostiles and target changes are polite, missiles coming inside
+// `missileRange` are assertive. The first call only records the situation.
+export function createAnnouncer({ missileRange = 1000 } = {}) {
+  let knownTypes = null;
+  let missilesInside = new Set();
+  let previousSelectedId = null;
+
+  return function announce(radarContacts, selectedId = null) {
+    const polite = [];
+    const assertive = [];
+    const types = new Map();
+    const inside = new Set();
+
+    radarContacts.forEach(contact => {
+      if (contact.id == null) return;
+      types.set(contact.id, contact.type);
+
+      if (knownTypes && contact.type === 'hostile' && knownTypes.get(contact.id) !== 'hostile') {
+        polite.push(`New hostile: ${describeContact(contact)}.`);
+      }
+      if (contact.type === 'missile' && contact.distance <= missileRange) {
+        inside.add(contact.id);
+        if (knownTypes && !missilesInside.has(contact.id)) {
+          assertive.push(`Missile inside ${spokenDistance(missileRange)}: ${describeContact(contact)}.`);
+        }
+      }
+    });
+
+    if (knownTypes && selectedId !== previousSelectedId) {
+      const target = radarContacts.find(contact => contact.id === selectedId);
+      polite.push(target ? `Target: ${describeContact(target)}.` : 'Target cleared.');
+    }
+
+    knownTypes = types;
+    missilesInside = inside;
+    previousSelectedId = selectedId;
+    return { polite, assertive };
+  };
+}
@@ -0,0 +1,290 @@
+// Framework-free radar core shared by the React component, the standalone
+// HTML page and any headless tooling. No three.js or DOM dependencies.
+
+import { resolveRangeScale, rangeScaleNames } from './radarScales.js';
+
+export { resolveRangeScale, rangeScaleNames };
+
+// ============================================================================
+// CONTACT MODEL
+// ============================================================================
+
+export const contactTypes = ['hostile', 'friendly', 'neutral', 'station', 'missile'];
+
+function isVector3(value) {
+  return Array.isArray(value)
+    && value.length === 3
+    && value.every(component => typeof component === 'number' && Number.isFinite(component));
+}
+
+// Checks the shape of a contact and returns it unchanged. Unknown types are
+// allowed (they render with the theme's default color).
+export function normalizeContact(contact) {
+  if (!contact || typeof contact !== 'object') {
+    throw new TypeError('Contact must be an object');
+  }
+  if (!isVector3(contact.position)) {
+    throw new TypeError(`Contact ${contact.id} needs a position of three finite numbers`);
+  }
+  if (contact.velocity !== undefined && contact.velocity !== null && !isVector3(contact.velocity)) {
+    throw new TypeError(`Contact ${contact.id} has an invalid velocity`);
+  }
+  return contact;
+}
+
+// Until a selection is made (`selectedId` undefined) the static `selected`
+// flag on the contact data decides; null means nothing is selected
+export function isContactSelected(contact, selectedId) {
+  if (selectedId === undefined) return !!contact.selected;
+  return selectedId !== null && contact.id === selectedId;
+}
+
+// Display name: `label`, then `callsign` or `name`, then the id
+export function contactName(contact) {
+  return contact.label || contact.callsign || contact.name || contact.id;
+}
+
+// ============================================================================
+// VECTOR MATH
+// ============================================================================
+
+// Rotates `v` by the inverse of unit quaternion `q` ([x, y, z, w]), i.e. takes
+// a world-space offset into the ship's frame
+export function rotateIntoShipFrame(v, q) {
+  const [vx, vy, vz] = v;
+  const qx = -q[0];
+  const qy = -q[1];
+  const qz = -q[2];
+  const qw = q[3];
+
+  // t = 2 * cross(q.xyz, v); v' = v + w * t + cross(q.xyz, t)
+  const tx = 2 * (qy * vz - qz * vy);
+  const ty = 2 * (qz * vx - qx * vz);
+  const tz = 2 * (qx * vy - qy * vx);
+
+  return [
+    vx + qw * tx + (qy * tz - qz * ty),
+    vy + qw * ty + (qz * tx - qx * tz),
+    vz + qw * tz + (qx * ty - qy * tx)
+  ];
+}
+
+// ============================================================================
+// WORLD-TO-RADAR TRANSFORM
+// ============================================================================
+
+// Maps a ship-relative offset onto the dish (distance -> radius, elevation -> height)
+export function mapToRadar(relX, relY, relZ, maxRange, radarRadius, scale) {
+  const distance = Math.sqrt(relX * relX + relY * relY + relZ * relZ);
+  const normalizedDist = scale.forward(Math.min(distance / maxRange, 1));
+
+  // Calculate angles. Straight above, below or at the player there is no
+  // azimuth: bearing 0, on the centre axis.
+  const horizontalDist = Math.sqrt(relX * relX + relZ * relZ);
+  const overhead = horizontalDist === 0;
+  const theta = overhead ? 0 : Math.atan2(relX, relZ); // Azimuth
+  const phi = Math.atan2(relY, horizontalDist); // Elevation
+
+  // Map to radar coordinates
+  const radarHorizontalDist = overhead ? 0 : normalizedDist * radarRadius;
+  const radarX = radarHorizontalDist * Math.sin(theta);
+  const radarZ = radarHorizontalDist * Math.cos(theta);
+  const radarY = normalizedDist * Math.sin(phi) * radarRadius * 0.5;
+
+  return {
+    position: [radarX, radarY, radarZ],
+    distance,
+    normalizedDist,
+    bearing: theta,
+    elevation: phi,
+    outOfRange: distance > maxRange
+  };
+}
+
+// Relative motion of a contact: closing speed (positive when closing) and
+// time / distance of closest approach assuming both keep constant velocity
+export function computeRelativeMotion(rel, relVel) {
+  const [x, y, z] = rel;
+  const [vx, vy, vz] = relVel;
+  const distance = Math.sqrt(x * x + y * y + z * z);
+  const speedSq = vx * vx + vy * vy + vz * vz;
+  const dot = x * vx + y * vy + z * vz;
+
+  const closingSpeed = distance > 0 ? -dot / distance : 0;
+  const timeToClosestApproach = speedSq > 0 && dot < 0 ? -dot / speedSq : null;
+  const t = timeToClosestApproach || 0;
+  const cx = x + vx * t;
+  const cy = y + vy * t;
+  const cz = z + vz * t;
+
+  return {
+    speed: Math.sqrt(speedSq),
+    closingSpeed,
+    timeToClosestApproach,
+    closestApproachDistance: Math.sqrt(cx * cx + cy * cy + cz * cz)
+  };
+}
+
+export function transformToRadarSpace(contact, options = {}) {
+  const {
+    playerPosition = [0, 0, 0],
+    playerQuaternion = [0, 0, 0, 1],
+    playerVelocity = [0, 0, 0],
+    maxRange = 5000,
+    radarRadius = 1,
+    shipRelative = true,
+    velocityScale = 5,
+    predictionTime = 0,
+    rangeScale = 'linear'
+  } = options;
+  const scale = resolveRangeScale(rangeScale);
+
+  // Calculate relative position
+  let rel = [
+    contact.position[0] - playerPosition[0],
+    contact.position[1] - playerPosition[1],
+    contact.position[2] - playerPosition[2]
+  ];
+
+  // Apply player rotation if ship-relative
+  if (shipRelative) rel = rotateIntoShipFrame(rel, playerQuaternion);
+  const [relX, relY, relZ] = rel;
+
+  const {
+    position,
+    distance,
+    normalizedDist,
+    bearing,
+    elevation,
+    outOfRange
+  } = mapToRadar(relX, relY, relZ, maxRange, radarRadius, scale);
+  const [radarX, , radarZ] = position;
+
+  const result = {
+    ...contact,
+    radarPosition: position,
+    basePosition: [radarX, 0, radarZ],
+    distance,
+    normalizedDistance: normalizedDist,
+    bearing,
+    elevation,
+    outOfRange,
+    isAbove: relY > 0
+  };
+
+  // A stationary contact still closes on a moving player, so relative motion
+  // is worked out when either side moves
+  const playerMoving = playerVelocity.some(component => component !== 0);
+  if (!contact.velocity && !playerMoving) return result;
+  const velocity = contact.velocity || [0, 0, 0];
+
+  // Velocity relative to the player, in the same frame as the position
+  let relVel = [
+    velocity[0] - playerVelocity[0],
+    velocity[1] - playerVelocity[1],
+    velocity[2] - playerVelocity[2]
+  ];
+  if (shipRelative) relVel = rotateIntoShipFrame(relVel, playerQuaternion);
+  const motion = computeRelativeMotion(rel, relVel);
+  // Vectors and ghosts are only drawn for contacts that report a velocity
+  if (!contact.velocity) return { ...result, ...motion };
+
+  // Vector tip and ghost are projected through the same mapping as the
+  // contact itself, so they stay consistent with the dish's nonlinear layout
+  const project = (seconds) => mapToRadar(
+    relX + relVel[0] * seconds,
+    relY + relVel[1] * seconds,
+    relZ + relVel[2] * seconds,
+    maxRange,
+    radarRadius,
+    scale
+  ).position;
+
+  return {
+    ...result,
+    ...motion,
+    velocityEnd: project(velocityScale),
+    predictedPosition: predictionTime > 0 ? project(predictionTime) : null
+  };
+}
+
+// Degrees clockwise from the ship's nose (-z on the dish), 0..359, for a
+// contact passed through transformToRadarSpace
+export function relativeBearing(radarContact) {
+  const [x, , z] = radarContact.basePosition;
+  // On the centre axis (-0 included) there is no bearing; call it dead ahead
+  if (x === 0 && z === 0) return 0;
+  const degrees = Math.round((Math.atan2(x, -z) * 180) / Math.PI);
+  return (degrees + 360) % 360;
+}
+
+// ============================================================================
+// GRID GEOMETRY
+// ============================================================================
+
+// Closed circle on the y = `y` plane as [x, y, z] points (first == last)
+export function circlePoints(radius, segments = 64, y = 0) {
+  const points = [];
+  for (let i = 0; i <= segments; i++) {
+    const angle = (i / segments) * Math.PI * 2;
+    points.push([Math.cos(angle) * radius, y, Math.sin(angle) * radius]);
+  }
+  return points;
+}
+
+// Spokes and inner range rings of the radar grid (the rim is the equatorial
+// ring, drawn separately)
+export function gridGeometry({
+  radius = 1,
+  divisions = 4,
+  spokeCount = 8,
+  ringSegments = 32
+} = {}) {
+  const spokes = [];
+  for (let i = 0; i < spokeCount; i++) {
+    const angle = (i / spokeCount) * Math.PI * 2;
+    spokes.push([
+      [0, 0, 0],
+      [Math.cos(angle) * radius, 0, Math.sin(angle) * radius]
+    ]);
+  }
+
+  const rings = [];
+  for (let i = 1; i < divisions; i++) {
+    const ringRadius = (i / divisions) * radius;
+    rings.push({ radius: ringRadius, points: circlePoints(ringRadius, ringSegments) });
+  }
+
+  return { spokes, rings };
+}
+
+// HUD range readout: 5.0 KM
+export function formatRange(maxRange) {
+  return `${(maxRange / 1000).toFixed(1)} KM`;
+}
+
+// Short form for ring labels: 800 M, 1.3 KM, 12 KM
+export function formatDistance(distance) {
+  if (distance < 1000) return `${Math.round(distance)} M`;
+  if (distance < 10000) return `${(distance / 1000).toFixed(1)} KM`;
+  return `${Math.round(distance / 1000)} KM`;
+}
+
+// Distance shown at each ring (including the rim) under the active scale
+export function rangeRingDistances({
+  radius = 1,
+  divisions = 4,
+  maxRange = 5000,
+  rangeScale = 'linear'
+} = {}) {
+  const scale = resolveRangeScale(rangeScale);
+  const result = [];
+  for (let i = 1; i <= divisions; i++) {
+    const fraction = i / divisions;
+    result.push({
+      radius: fraction * radius,
+      distance: scale.inverse(fraction) * maxRange
+    });
+  }
+  return result;
+}
@@ -0,0 +1,435 @@
+// The radar scene reduced to flat 2D primitives (lines, polygons, circles and
+// text) under a fixed projection, for the SVG fallback renderer and headless
+// snapshots. Works on contacts already passed through transformToRadarSpace;
+// no React or DOM.
+
+import { circlePoints, gridGeometry, rangeRingDistances, formatDistance } from './radarCore.js';
+import { contactLabel, measureLabel, rankLabelledContacts, placeLabels } from './radarLabels.js';
+import { viewSpan } from './radarViews.js';
+
+// ============================================================================
+// PROJECTION
+// ============================================================================
+
+// Parallel projection seen from the direction of the default camera
+// ([0, 2.5, 2]), so the layout matches the WebGL view without perspective.
+// project() returns [x, y, depth]: y grows down the screen and depth grows
+// towards the viewer. unitsAt() is screen units per radar unit at a point.
+export function obliqueProjection({ elevation = Math.atan2(2.5, 2), scale = 200 } = {}) {
+  const sin = Math.sin(elevation);
+  const cos = Math.cos(elevation);
+  return {
+    project: ([x, y, z]) => [x * scale, (z * sin - y * cos) * scale, z * cos + y * sin],
+    unitsAt: () => scale
+  };
+}
+
+// Camera axes and a point -> [right, up, forward] conversion for a camera
+// at `position` looking at `target`
+function cameraFrame(position, target, upDirection) {
+  const normalize = ([x, y, z]) => {
+    const length = Math.hypot(x, y, z);
+    return [x / length, y / length, z / length];
+  };
+  const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+  const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+  const forward = normalize([target[0] - position[0], target[1] - position[1], target[2] - position[2]]);
+  const right = normalize(cross(forward, upDirection));
+  const up = cross(right, forward);
+  return point => {
+    const offset = [point[0] - position[0], point[1] - position[1], point[2] - position[2]];
+    return [dot(offset, right), dot(offset, up), dot(offset, forward)];
+  };
+}
+
+// The live camera: perspective from `position` towards `target`, vertical
+// field of view `fov` in degrees, into a `width` x `height` pixel image.
+// `up` is the camera's up direction (the radarViews presets carry one).
+export function perspectiveProjection({
+  position = [0, 2.5, 2],
+  target = [0, 0, 0],
+  fov = 45,
+  up: upDirection = [0, 1, 0],
+  width = 800,
+  height = 600
+} = {}) {
+  const toCamera = cameraFrame(position, target, upDirection);
+  // Pixels per unit at one unit in front of the camera
+  const focal = height / (2 * Math.tan((fov * Math.PI) / 360));
+
+  return {
+    project: (point) => {
+      const [x, y, z] = toCamera(point);
+      return [width / 2 + (x * focal) / z, height / 2 - (y * focal) / z, -z];
+    },
+    unitsAt: point => focal / toCamera(point)[2]
+  };
+}
+
+// Parallel projection along the line from `position` to `target`, with
+// `span` scene units filling the image height, as an orthographic camera
+// draws it
+export function orthographicProjection({
+  position = [0, 12, 0],
+  target = [0, 0, 0],
+  up: upDirection = [0, 0, -1],
+  span = 2.5,
+  width = 800,
+  height = 600
+} = {}) {
+  const toCamera = cameraFrame(position, target, upDirection);
+  const scale = height / span;
+
+  return {
+    project: (point) => {
+      const [x, y, z] = toCamera(point);
+      return [width / 2 + x * scale, height / 2 - y * scale, -z];
+    },
+    unitsAt: () => scale
+  };
+}
+
+// The projection a radarViews preset (see resolveView) draws with
+export function viewProjection(view, { width = 800, height = 600 } = {}) {
+  const { position, target, fov, up } = view;
+  return view.orthographic
+    ? orthographicProjection({ position, target, up, span: viewSpan(view), width, height })
+    : perspectiveProjection({ position, target, fov, up, width, height });
+}
+
+// SVG matrix(a b c d e f) taking (x, z) on the dish plane to the screen.
+// Only meaningful for parallel projections such as obliqueProjection and
+// orthographicProjection.
+export function planeTransform(projection) {
+  const [ox, oy] = projection.project([0, 0, 0]);
+  const [xx, xy] = projection.project([1, 0, 0]);
+  const [zx, zy] = projection.project([0, 0, 1]);
+  return [xx - ox, xy - oy, zx - ox, zy - oy, ox, oy];
+}
+
+// [x, y, width, height] around the dish and anything raised above it
+export function drawingBounds(projection, radius = 1, margin = 0.15) {
+  const extent = radius * (1 + margin);
+  const corners = [
+    [-extent, 0, 0], [extent, 0, 0],
+    [0, 0, -extent], [0, 0, extent],
+    [0, -extent, 0], [0, extent, 0]
+  ].map(point => projection.project(point));
+  const xs = corners.map(point => point[0]);
+  const ys = corners.map(point => point[1]);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return [x, y, Math.max(...xs) - x, Math.max(...ys) - y];
+}
+
+// ============================================================================
+// PRIMITIVES
+// ============================================================================
+
+// Every primitive carries `color` and `opacity`; the rest depends on `type`:
+//   line     points, width, dashed
+//   polygon  points, filled
+//   circle   center, radius, filled
+//   text     position, text, size
+function flatPoints(projection, points) {
+  return points.map(point => {
+    const [x, y] = projection.project(point);
+    return [x, y];
+  });
+}
+
+function line(projection, points, color, opacity, width = 1, dashed = false) {
+  return { type: 'line', points: flatPoints(projection, points), color, opacity, width, dashed };
+}
+
+// Closed outline of `segments` points around `center` on the dish plane
+function planePolygon(projection, center, radius, segments, rotation = 0) {
+  const points = [];
+  for (let i = 0; i < segments; i++) {
+    const angle = rotation + (i / segments) * Math.PI * 2;
+    points.push([center[0] + Math.cos(angle) * radius, center[1], center[2] + Math.sin(angle) * radius]);
+  }
+  return flatPoints(projection, points);
+}
+
+// ============================================================================
+// RADAR FRAME
+// ============================================================================
+
+// Lower hemisphere drawn as latitude rings and meridians, like the wireframe
+function dishLines(projection, radius, theme) {
+  const { color, opacity } = theme.dish;
+  const lines = [];
+  for (let i = 1; i < 4; i++) {
+    const angle = (i / 4) * (Math.PI / 2);
+    lines.push(line(projection, circlePoints(radius * Math.cos(angle), 48, -radius * Math.sin(angle)), color, opacity));
+  }
+  for (let i = 0; i < 16; i++) {
+    const bearing = (i / 16) * Math.PI * 2;
+    const points = [];
+    for (let j = 0; j <= 8; j++) {
+      const angle = (j / 8) * (Math.PI / 2);
+      const r = radius * Math.cos(angle);
+      points.push([Math.cos(bearing) * r, -radius * Math.sin(angle), Math.sin(bearing) * r]);
+    }
+    lines.push(line(projection, points, color, opacity));
+  }
+  return lines;
+}
+
+function gridPrimitives(projection, { radius, divisions, theme, maxRange, rangeScale, showLabels, labelSize }) {
+  const { color, opacity } = theme.grid;
+  const { spokes, rings } = gridGeometry({ radius, divisions });
+  const primitives = [
+    ...spokes.map(points => line(projection, points, color, opacity)),
+    ...rings.map(ring => line(projection, ring.points, color, opacity))
+  ];
+
+  if (showLabels && maxRange) {
+    rangeRingDistances({ radius, divisions, maxRange, rangeScale }).forEach(ring => {
+      const [x, y] = projection.project([ring.radius * Math.SQRT1_2, 0, ring.radius * Math.SQRT1_2]);
+      primitives.push({
+        type: 'text',
+        position: [x, y],
+        text: formatDistance(ring.distance),
+        color,
+        opacity: 1,
+        size: labelSize
+      });
+    });
+  }
+  return primitives;
+}
+
+function centerPrimitives(projection, radius, theme) {
+  const color = theme.center.color;
+  const [x, y] = projection.project([0, 0, 0]);
+  const tip = [0, 0, -radius * 0.15];
+  return [
+    // Heading indicator
+    line(projection, [[0, 0, 0], tip], color, 1, 2),
+    {
+      type: 'polygon',
+      points: flatPoints(projection, [[0, 0, tip[2] - 0.02], [-0.02, 0, tip[2] + 0.02], [0.02, 0, tip[2] + 0.02]]),
+      color,
+      opacity: 1,
+      filled: true
+    },
+    // Centre cross and dot
+    line(projection, [[-0.03, 0, 0], [0.03, 0, 0]], color, 1, 2),
+    line(projection, [[0, 0, -0.03], [0, 0, 0.03]], color, 1, 2),
+    { type: 'circle', center: [x, y], radius: projection.unitsAt([0, 0, 0]) * 0.015, color, opacity: 1, filled: true }
+  ];
+}
+
+// ============================================================================
+// CONTACTS
+// ============================================================================
+
+const MARKER_SIZE = 0.025;
+
+// Screen-facing versions of ContactMarker's shapes, sized at the contact
+function markerPrimitive(projection, position, type, color, opacity, scale) {
+  const [x, y] = projection.project(position);
+  const size = MARKER_SIZE * projection.unitsAt(position) * scale;
+  const square = (side, filled) => {
+    const half = side / 2;
+    return {
+      type: 'polygon',
+      points: [[x - half, y - half], [x + half, y - half], [x + half, y + half], [x - half, y + half]],
+      color,
+      opacity,
+      filled
+    };
+  };
+
+  switch (type) {
+    case 'hostile':
+      return square(size, true);
+    case 'friendly':
+      return square(size, false);
+    case 'station':
+      return square(size * 1.8, false);
+    case 'missile':
+      return {
+        type: 'polygon',
+        points: [[x, y - size * 0.6], [x + size * 0.6, y + size * 0.6], [x - size * 0.6, y + size * 0.6]],
+        color,
+        opacity,
+        filled: true
+      };
+    default:
+      return { type: 'circle', center: [x, y], radius: size * 0.6, color, opacity, filled: true };
+  }
+}
+
+// Off-scale contacts: an arrow just outside the rim pointing along the bearing
+function edgeArrow(projection, basePosition, color) {
+  const length = Math.hypot(basePosition[0], basePosition[2]) || 1;
+  const dx = basePosition[0] / length;
+  const dz = basePosition[2] / length;
+  const at = [basePosition[0] * 1.06, 0, basePosition[2] * 1.06];
+  const half = MARKER_SIZE * 0.7;
+  const points = [
+    [at[0] + dx * half, 0, at[2] + dz * half],
+    [at[0] - dx * half - dz * MARKER_SIZE * 0.6, 0, at[2] - dz * half + dx * MARKER_SIZE * 0.6],
+    [at[0] - dx * half + dz * MARKER_SIZE * 0.6, 0, at[2] - dz * half - dx * MARKER_SIZE * 0.6]
+  ];
+  return { type: 'polygon', points: flatPoints(projection, points), color, opacity: 0.7, filled: true };
+}
+
+function contactPrimitives(projection, contact, { theme, selected, hovered, showVelocity }) {
+  const { radarPosition, basePosition, type, velocityEnd, predictedPosition } = contact;
+  const color = theme.contacts[type] || theme.contacts.default;
+  if (contact.outOfRange) return [edgeArrow(projection, basePosition, color)];
+
+  // Selection is a steady enlargement here; there is no animation loop
+  const scale = (hovered ? 1.3 : 1) * (selected ? 1.2 : 1);
+  const primitives = [];
+  if (!contact.decluttered) {
+    primitives.push(
+      line(projection, [basePosition, radarPosition], color, theme.stalk.opacity),
+      {
+        type: 'polygon',
+        points: planePolygon(projection, basePosition, 0.015, 6),
+        color,
+        opacity: 0.4,
+        filled: true
+      }
+    );
+  }
+  // Unresolved sensor blips are faded
+  const opacity = selected ? 1 : (contact.unresolved ? 0.45 : 0.85);
+  primitives.push(markerPrimitive(projection, radarPosition, type, color, opacity, scale));
+
+  // Fused tracks are ringed, brighter the surer the track
+  if (contact.fusion && contact.fusion.fused) {
+    const [x, y] = projection.project(radarPosition);
+    primitives.push({
+      type: 'circle',
+      center: [x, y],
+      radius: MARKER_SIZE * 1.55 * (type === 'station' ? 1.8 : 1) * scale * projection.unitsAt(radarPosition),
+      color,
+      opacity: 0.3 + 0.6 * contact.fusion.confidence,
+      filled: false
+    });
+  }
+
+  if (showVelocity && velocityEnd) {
+    primitives.push(line(projection, [radarPosition, velocityEnd], color, 0.9, 1.5));
+  }
+  if (showVelocity && predictedPosition) {
+    const [x, y] = projection.project(predictedPosition);
+    primitives.push(
+      line(projection, [radarPosition, predictedPosition], color, 0.35, 1, true),
+      {
+        type: 'circle',
+        center: [x, y],
+        radius: MARKER_SIZE * 0.5 * projection.unitsAt(predictedPosition),
+        color,
+        opacity: 0.35,
+        filled: false
+      }
+    );
+  }
+  return primitives;
+}
+
+// ============================================================================
+// CONTACT LABELS
+// ============================================================================
+
+// Name and distance text beside each marker, placed clear of each other
+function labelPrimitives(projection, radarContacts, { theme, isSelected, labelSize, limit }) {
+  const ranked = rankLabelledContacts(radarContacts, isSelected, limit);
+  const font = { size: labelSize, letterSpacing: 1 };
+  const labels = ranked.map(({ contact }, index) => {
+    const position = contact.outOfRange ? contact.basePosition : contact.radarPosition;
+    const [x, y] = projection.project(position);
+    return {
+      id: index,
+      anchor: [x, y],
+      markerSize: MARKER_SIZE * (contact.type === 'station' ? 1.8 : 1) * projection.unitsAt(position),
+      ...measureLabel(contactLabel(contact).text, font)
+    };
+  });
+  const boxes = placeLabels(labels, { gap: labelSize * 0.3 });
+
+  return ranked
+    .map(({ contact, selected }, index) => {
+      const box = boxes.get(index);
+      if (!box) return null;
+      return {
+        type: 'text',
+        position: [box.left + box.width / 2, box.top + box.height / 2],
+        text: contactLabel(contact).text,
+        color: theme.contacts[contact.type] || theme.contacts.default,
+        opacity: selected ? 1 : 0.85,
+        size: labelSize
+      };
+    })
+    .filter(Boolean);
+}
+
+// ============================================================================
+// DRAWING
+// ============================================================================
+
+// `scene` is the radar itself in paint order. `contacts` holds one entry per
+// contact ({ contact, selected, primitives }), far to near, so renderers can
+// paint in order and attach pointer handling per contact. `labels` are text
+// primitives to paint above the contacts (empty unless `showContactLabels`).
+// `theme` must be a resolved theme object; `labelSize` is in screen units.
+// `isHovered` picks the contact under the pointer; `hoveredId` is shorthand
+// for one with that id (contacts without an id never match it).
+export function buildRadarDrawing(radarContacts, {
+  theme,
+  projection = obliqueProjection(),
+  radius = 1,
+  divisions = 4,
+  maxRange = 5000,
+  rangeScale = 'linear',
+  showGrid = true,
+  showLabels = true,
+  labelSize = projection.unitsAt([0, 0, 0]) * 0.035,
+  showVelocity = true,
+  showContactLabels = false,
+  maxContactLabels = 30,
+  isSelected = () => false,
+  hoveredId = null,
+  isHovered = contact => hoveredId !== null && hoveredId !== undefined && contact.id === hoveredId
+}) {
+  const scene = [
+    ...dishLines(projection, radius, theme),
+    ...(showGrid
+      ? gridPrimitives(projection, { radius, divisions, theme, maxRange, rangeScale, showLabels, labelSize })
+      : []),
+    line(projection, circlePoints(radius, 64), theme.ring.color, theme.ring.opacity, 2),
+    ...centerPrimitives(projection, radius, theme)
+  ];
+
+  const contacts = radarContacts
+    .map(contact => {
+      const selected = isSelected(contact);
+      const position = contact.outOfRange ? contact.basePosition : contact.radarPosition;
+      return {
+        contact,
+        selected,
+        depth: projection.project(position)[2],
+        primitives: contactPrimitives(projection, contact, {
+          theme,
+          selected,
+          hovered: isHovered(contact),
+          showVelocity
+        })
+      };
+    })
+    .sort((a, b) => a.depth - b.depth);
+
+  const labels = showContactLabels
+    ? labelPrimitives(projection, radarContacts, { theme, isSelected, labelSize, limit: maxContactLabels })
+    : [];
+
+  return { scene, contacts, labels };
+}
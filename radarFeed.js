@@ -0,0 +1,320 @@
+import { normalizeContact } from './radarCore.js';
+
+// ============================================================================
+// MESSAGE SCHEMA
+// ============================================================================
+
+// A feed delivers JSON messages, one per WebSocket frame or iterator value
+// (strings are parsed, objects are used as-is):
+//
+//   { "type": "snapshot", "contacts": [Contact, ...] }
+//     Replaces every contact.
+//   { "type": "delta", "contacts": [{ "id": ..., ...changedFields }, ...] }
+//     Merges fields into existing contacts by id. Unknown ids are added,
+//     which needs at least a position.
+//   { "type": "remove", "ids": [id, ...] }
+//     Drops contacts.
+//
+// A frame may also carry an array of messages, applied in order. Contacts
+// have the usual shape: { id, position: [x, y, z], type, velocity? }.
+//
+// Any message may also carry `player` (the reporter's player state, e.g.
+// { playerQuaternion, heading }) and `selectedId` (its locked target, or
+// null). The latest of each is kept; they never expire.
+
+export const feedMessageTypes = ['snapshot', 'delta', 'remove'];
+
+// ============================================================================
+// CONTACT STORE
+// ============================================================================
+
+// Applies feed messages and expires contacts not mentioned for `staleAfter`
+// ms. Invalid contacts are skipped and passed to `onError`; the rest of the
+// message still applies. `player` and `selectedId` stay undefined until a
+// message sends them.
+export function createContactStore({
+  staleAfter = 10000,
+  now = Date.now,
+  onError = () => {}
+} = {}) {
+  const entries = new Map();
+  let cached = null;
+  let player;
+  let selectedId;
+
+  const put = (contact) => {
+    try {
+      normalizeContact(contact);
+    } catch (error) {
+      onError(error);
+      return false;
+    }
+    entries.set(contact.id, { contact, seen: now() });
+    return true;
+  };
+
+  const merge = (patch) => {
+    if (!patch || patch.id === undefined) {
+      onError(new TypeError('Delta contact needs an id'));
+      return false;
+    }
+    const entry = entries.get(patch.id);
+    return put(entry ? { ...entry.contact, ...patch } : patch);
+  };
+
+  function apply(message) {
+    if (Array.isArray(message)) {
+      return message.map(apply).some(Boolean);
+    }
+    if (!message || typeof message !== 'object') {
+      throw new TypeError('Feed message must be an object');
+    }
+
+    let changed = false;
+    switch (message.type) {
+      case 'snapshot':
+        entries.clear();
+        changed = true;
+        (message.contacts || []).forEach(put);
+        break;
+      case 'delta':
+        (message.contacts || []).forEach(patch => {
+          if (merge(patch)) changed = true;
+        });
+        break;
+      case 'remove':
+        (message.ids || []).forEach(id => {
+          if (entries.delete(id)) changed = true;
+        });
+        break;
+      default:
+        throw new Error(`Unknown feed message type: ${message.type}`);
+    }
+    if (message.player !== undefined) {
+      player = message.player;
+      changed = true;
+    }
+    if (message.selectedId !== undefined) {
+      selectedId = message.selectedId;
+      changed = true;
+    }
+
+    if (changed) cached = null;
+    return changed;
+  }
+
+  function expire() {
+    if (!(staleAfter > 0) || staleAfter === Infinity) return false;
+    const cutoff = now() - staleAfter;
+    let changed = false;
+    entries.forEach((entry, id) => {
+      if (entry.seen < cutoff) {
+        entries.delete(id);
+        changed = true;
+      }
+    });
+    if (changed) cached = null;
+    return changed;
+  }
+
+  function getContacts() {
+    if (!cached) cached = [...entries.values()].map(entry => entry.contact);
+    return cached;
+  }
+
+  function clear() {
+    entries.clear();
+    cached = null;
+    player = undefined;
+    selectedId = undefined;
+  }
+
+  return {
+    apply,
+    expire,
+    getContacts,
+    getPlayer: () => player,
+    getSelectedId: () => selectedId,
+    clear
+  };
+}
+
+// ============================================================================
+// FEED CONNECTION
+// ============================================================================
+
+// Delay before reconnect attempt `attempt` (0-based)
+export function backoffDelay(attempt, { initialDelay = 500, maxDelay = 15000, backoffFactor = 2 } = {}) {
+  return Math.min(maxDelay, initialDelay * Math.pow(backoffFactor, attempt));
+}
+
+function isAsyncIterable(value) {
+  return !!value && typeof value[Symbol.asyncIterator] === 'function';
+}
+
+// Connects a contact store to a source:
+//   'ws://...'         WebSocket, reconnected with exponential backoff
+//   () => iterable     async iterable factory, called again on reconnect
+//   async iterable     consumed once; the feed closes when it ends
+// Listeners get { contacts, status, error, player, selectedId } where status
+// is 'connecting', 'open', 'reconnecting' or 'closed'. Contacts are kept while reconnecting
+// and expire through the normal stale timeout.
+export function createRadarFeed(source, options = {}) {
+  const {
+    staleAfter = 10000,
+    reconnect = true,
+    initialDelay = 500,
+    maxDelay = 15000,
+    backoffFactor = 2,
+    protocols,
+    WebSocket: WebSocketImpl = globalThis.WebSocket,
+    onError = () => {}
+  } = options;
+
+  const isUrl = typeof source === 'string';
+  const canReconnect = reconnect && (isUrl || typeof source === 'function');
+  if (!isUrl && typeof source !== 'function' && !isAsyncIterable(source)) {
+    throw new TypeError('Radar feed source must be a WebSocket URL, an async iterable or a function returning one');
+  }
+  if (isUrl && !WebSocketImpl) {
+    throw new Error('No WebSocket implementation available; pass options.WebSocket');
+  }
+
+  const listeners = new Set();
+  let status = 'connecting';
+  let lastError = null;
+  let attempt = 0;
+  let closed = false;
+  let socket = null;
+  let retryTimer = null;
+
+  const report = (error) => {
+    lastError = error;
+    onError(error);
+  };
+
+  const store = createContactStore({ staleAfter, onError: report });
+
+  const snapshot = () => ({
+    contacts: store.getContacts(),
+    status,
+    error: lastError,
+    player: store.getPlayer(),
+    selectedId: store.getSelectedId()
+  });
+  const notify = () => {
+    const state = snapshot();
+    listeners.forEach(listener => listener(state));
+  };
+
+  const setStatus = (next) => {
+    if (status === next) return;
+    status = next;
+    notify();
+  };
+
+  const receive = (raw) => {
+    // Only a connection that delivers counts as recovered; one that opens
+    // and drops straight away keeps backing off
+    attempt = 0;
+    try {
+      const message = typeof raw === 'string' ? JSON.parse(raw) : raw;
+      if (store.apply(message)) notify();
+    } catch (error) {
+      report(error);
+      notify();
+    }
+  };
+
+  const expiryTimer = staleAfter > 0 && staleAfter !== Infinity
+    ? setInterval(() => {
+      if (store.expire()) notify();
+    }, Math.max(250, staleAfter / 4))
+    : null;
+
+  function scheduleReconnect() {
+    if (closed) return;
+    if (!canReconnect) {
+      setStatus('closed');
+      return;
+    }
+    const delay = backoffDelay(attempt, { initialDelay, maxDelay, backoffFactor });
+    attempt += 1;
+    setStatus('reconnecting');
+    retryTimer = setTimeout(connect, delay);
+  }
+
+  function opened() {
+    lastError = null;
+    setStatus('open');
+  }
+
+  function openSocket() {
+    try {
+      socket = new WebSocketImpl(source, protocols);
+    } catch (error) {
+      report(error);
+      scheduleReconnect();
+      return;
+    }
+    socket.onopen = opened;
+    socket.onmessage = (event) => receive(event.data);
+    socket.onerror = () => report(new Error(`Radar feed connection error: ${source}`));
+    socket.onclose = () => {
+      socket = null;
+      scheduleReconnect();
+    };
+  }
+
+  async function consume() {
+    try {
+      const iterable = typeof source === 'function' ? source() : source;
+      opened();
+      for await (const message of iterable) {
+        if (closed) break;
+        receive(message);
+      }
+    } catch (error) {
+      report(error);
+    }
+    scheduleReconnect();
+  }
+
+  function connect() {
+    retryTimer = null;
+    if (closed) return;
+    if (isUrl) {
+      openSocket();
+    } else {
+      consume();
+    }
+  }
+
+  connect();
+
+  return {
+    subscribe(listener) {
+      listeners.add(listener);
+      listener(snapshot());
+      return () => listeners.delete(listener);
+    },
+    getContacts: store.getContacts,
+    getPlayer: store.getPlayer,
+    getSelectedId: store.getSelectedId,
+    getStatus: () => status,
+    // Stops reconnecting and timers; an iterator mid-await stops at its next value
+    close() {
+      if (closed) return;
+      closed = true;
+      if (retryTimer) clearTimeout(retryTimer);
+      if (expiryTimer) clearInterval(expiryTimer);
+      if (socket) {
+        socket.onclose = null;
+        socket.close();
+        socket = null;
+      }
+      setStatus('closed');
+      listeners.clear();
+    }
+  };
+}
@@ -0,0 +1,102 @@
+// Contact filtering and decluttering. Works on contacts already passed
+// through transformToRadarSpace (the range band uses their `distance`).
+// Framework-free.
+
+import { isContactSelected, contactTypes } from './radarCore.js';
+
+// ============================================================================
+// FILTER MODEL
+// ============================================================================
+
+// hiddenTypes     contact types not shown
+// rangeBand       [min, max] distance in metres; either end may be null
+// includeTags     if not empty, only contacts with at least one of these tags
+// excludeTags     contacts with any of these tags are hidden
+// priorityOnly    show only hostiles, missiles and the selected target
+// declutterRange  beyond this distance (metres) stalks and base points are
+//                 left out, leaving just the marker; null keeps them all
+//
+// The selected target is always shown. Tags are read from `contact.tags`.
+export const defaultRadarFilter = {
+  hiddenTypes: [],
+  rangeBand: [null, null],
+  includeTags: [],
+  excludeTags: [],
+  priorityOnly: false,
+  declutterRange: null
+};
+
+export const priorityTypes = ['hostile', 'missile'];
+
+export function normalizeFilter(filter) {
+  return { ...defaultRadarFilter, ...filter };
+}
+
+// ============================================================================
+// FILTERING
+// ============================================================================
+
+function hasAnyTag(contact, tags) {
+  return Array.isArray(contact.tags) && contact.tags.some(tag => tags.includes(tag));
+}
+
+export function isContactVisible(radarContact, filter, selectedId) {
+  const {
+    hiddenTypes,
+    rangeBand,
+    includeTags,
+    excludeTags,
+    priorityOnly
+  } = normalizeFilter(filter);
+  if (isContactSelected(radarContact, selectedId)) return true;
+  if (priorityOnly && !priorityTypes.includes(radarContact.type)) return false;
+  if (hiddenTypes.includes(radarContact.type)) return false;
+
+  const [min, max] = rangeBand || [null, null];
+  if (min !== null && min !== undefined && radarContact.distance < min) return false;
+  if (max !== null && max !== undefined && radarContact.distance > max) return false;
+
+  if (includeTags.length > 0 && !hasAnyTag(radarContact, includeTags)) return false;
+  if (excludeTags.length > 0 && hasAnyTag(radarContact, excludeTags)) return false;
+  return true;
+}
+
+// Visible contacts; those beyond `declutterRange` come back as copies with
+// `decluttered: true`, which renderers take as "marker only"
+export function applyRadarFilter(radarContacts, filter, selectedId) {
+  const { declutterRange } = normalizeFilter(filter);
+  return radarContacts
+    .filter(contact => isContactVisible(contact, filter, selectedId))
+    .map(contact => (declutterRange !== null && contact.distance > declutterRange
+      ? { ...contact, decluttered: true }
+      : contact));
+}
+
+// ============================================================================
+// LEGEND HELPERS
+// ============================================================================
+
+export function countByType(contacts) {
+  const counts = {};
+  contacts.forEach(contact => {
+    if (contact.type) counts[contact.type] = (counts[contact.type] || 0) + 1;
+  });
+  return counts;
+}
+
+// The standard types, then any others present (e.g. produced by IFF rules)
+export function legendTypes(counts) {
+  const extra = Object.keys(counts).filter(type => !contactTypes.includes(type)).sort();
+  return [...contactTypes, ...extra];
+}
+
+// Returns a new filter with `type` shown or hidden
+export function toggleType(filter, type) {
+  const { hiddenTypes } = normalizeFilter(filter);
+  return {
+    ...filter,
+    hiddenTypes: hiddenTypes.includes(type)
+      ? hiddenTypes.filter(hidden => hidden !== type)
+      : [...hiddenTypes, type]
+  };
+}
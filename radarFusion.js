@@ -0,0 +1,283 @@
+// Multi-source fusion: combines contact lists reported by several sources
+// (wing members, beacons, your own scanner) into one picture. Reports of the
+// same object are correlated by id or by closeness in space and time, and
+// merged into tracks with a confidence value. Framework-free.
+//
+// A source is { id, position, time, contacts }:
+//   id        name of the reporter, e.g. a wing member's callsign
+//   position  where the reporter is, in world coordinates
+//   time      ms timestamp of the report (default: the fusion time)
+//   contacts  contacts as the reporter sees them, in world coordinates; a
+//             contact may carry its own `confidence` (0..1)
+
+// ============================================================================
+// DEFAULT OPTIONS
+// ============================================================================
+
+// maxAge            reports older than this many ms are dropped
+// gateDistance      metres within which two reports may be the same object
+// gateGrowth        metres per second of report age added to the gate, as
+//                   old positions are less certain
+// correlateById     reports sharing an id are the same object
+// reportConfidence  confidence of a fresh report without its own
+// referenceRange    metres from its reporter at which a report carries half
+//                   the weight of one made up close
+// maxProximityGroups
+//                   above this many objects after id correlation, reports
+//                   are only correlated by id, which bounds the work in
+//                   dense pictures
+export const defaultFusionOptions = {
+  maxAge: 5000,
+  gateDistance: 150,
+  gateGrowth: 50,
+  correlateById: true,
+  reportConfidence: 0.6,
+  referenceRange: 2000,
+  maxProximityGroups: 3000
+};
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+function isVector3(value) {
+  return Array.isArray(value)
+    && value.length === 3
+    && value.every(component => typeof component === 'number' && Number.isFinite(component));
+}
+
+// Returns a list of problems (empty when valid)
+export function validateContactSources(sources) {
+  if (!Array.isArray(sources)) return ['Contact sources must be an array'];
+  const errors = [];
+  const ids = new Set();
+  sources.forEach((source, index) => {
+    const name = source && source.id ? `source "${source.id}"` : `source ${index}`;
+    if (!source || typeof source !== 'object') {
+      errors.push(`${name} must be an object`);
+      return;
+    }
+    if (source.id === undefined || source.id === null) errors.push(`${name} needs an id`);
+    if (source.id !== undefined && ids.has(source.id)) errors.push(`${name} is defined twice`);
+    ids.add(source.id);
+    if (!isVector3(source.position)) errors.push(`${name} needs a position of three finite numbers`);
+    if (source.time !== undefined && !(typeof source.time === 'number' && Number.isFinite(source.time))) {
+      errors.push(`${name} has an invalid time`);
+    }
+    if (!Array.isArray(source.contacts)) {
+      errors.push(`${name} needs a contacts array`);
+      return;
+    }
+    source.contacts.forEach((contact, contactIndex) => {
+      if (!contact || !isVector3(contact.position)) {
+        errors.push(`${name} contact ${contactIndex} needs a position of three finite numbers`);
+      }
+    });
+  });
+  return errors;
+}
+
+// ============================================================================
+// FUSION
+// ============================================================================
+
+function distanceBetween(a, b) {
+  const dx = a[0] - b[0];
+  const dy = a[1] - b[1];
+  const dz = a[2] - b[2];
+  return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+// One entry per contact per source, brought forward to the fusion time
+// along its velocity
+function collectReports(sources, now, settings) {
+  const reports = [];
+  sources.forEach((source, sourceIndex) => {
+    const age = source.time === undefined ? 0 : Math.max(now - source.time, 0);
+    if (age > settings.maxAge) return;
+    const freshness = settings.maxAge > 0 ? 1 - age / settings.maxAge : 1;
+    source.contacts.forEach(contact => {
+      const seconds = age / 1000;
+      const position = contact.velocity
+        ? contact.position.map((value, axis) => value + contact.velocity[axis] * seconds)
+        : contact.position;
+      const confidence = typeof contact.confidence === 'number' ? contact.confidence : settings.reportConfidence;
+      const quality = Math.min(Math.max(confidence, 0), 1) * freshness;
+      const range = distanceBetween(source.position, contact.position);
+      reports.push({
+        source: source.id,
+        sourceIndex,
+        contact,
+        position,
+        age,
+        quality,
+        weight: quality / (1 + range / settings.referenceRange)
+      });
+    });
+  });
+  return reports;
+}
+
+function weightedPosition(reports) {
+  const total = reports.reduce((sum, report) => sum + report.weight, 0);
+  // All-zero weights (e.g. confidence 0) fall back to a plain mean
+  const weightOf = report => (total > 0 ? report.weight / total : 1 / reports.length);
+  return [0, 1, 2].map(axis => reports.reduce((sum, report) => sum + report.position[axis] * weightOf(report), 0));
+}
+
+function makeGroup(reports) {
+  return {
+    reports,
+    sources: new Set(reports.map(report => report.source)),
+    position: weightedPosition(reports),
+    age: Math.min(...reports.map(report => report.age))
+  };
+}
+
+function gateFor(settings, age) {
+  return settings.gateDistance + settings.gateGrowth * age / 1000;
+}
+
+// Groups reports into objects: first by id, then by joining groups that fall
+// within each other's gate, closest pairs first. A source reports an object
+// once, so groups holding the same source never join. Groups are bucketed
+// into columns (x, z) as wide as the largest gate, so only neighbours are
+// compared; radar pictures are wide and shallow, so height is left to the
+// distance check.
+function correlate(reports, settings) {
+  let groups = [];
+  if (settings.correlateById) {
+    const byId = new Map();
+    reports.forEach(report => {
+      const { id } = report.contact;
+      if (id === undefined || id === null) {
+        groups.push([report]);
+      } else if (byId.has(id)) {
+        byId.get(id).push(report);
+      } else {
+        const group = [report];
+        byId.set(id, group);
+        groups.push(group);
+      }
+    });
+  } else {
+    groups = reports.map(report => [report]);
+  }
+  groups = groups.map(makeGroup);
+  if (groups.length > settings.maxProximityGroups) return groups;
+
+  const oldest = groups.reduce((max, group) => Math.max(max, group.age), 0);
+  const cellSize = gateFor(settings, oldest);
+  if (!(cellSize > 0)) return groups;
+
+  const cells = new Map();
+  const pairs = [];
+  groups.forEach((group, index) => {
+    const cx = Math.floor(group.position[0] / cellSize);
+    const cz = Math.floor(group.position[2] / cellSize);
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dz = -1; dz <= 1; dz++) {
+        (cells.get(`${cx + dx},${cz + dz}`) || []).forEach(other => {
+          const distance = distanceBetween(group.position, groups[other].position);
+          if (distance <= gateFor(settings, Math.max(group.age, groups[other].age))) {
+            pairs.push({ a: other, b: index, distance });
+          }
+        });
+      }
+    }
+    const key = `${cx},${cz}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(index);
+  });
+  pairs.sort((p, q) => p.distance - q.distance || p.a - q.a || p.b - q.b);
+
+  // Union-find over group indexes; each root holds its sources
+  const parent = groups.map((group, index) => index);
+  const sources = groups.map(group => group.sources);
+  const find = (index) => {
+    let root = index;
+    while (parent[root] !== root) root = parent[root];
+    parent[index] = root;
+    return root;
+  };
+  pairs.forEach(({ a, b }) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA === rootB || [...sources[rootB]].some(source => sources[rootA].has(source))) return;
+    parent[rootB] = rootA;
+    sources[rootA] = new Set([...sources[rootA], ...sources[rootB]]);
+  });
+
+  const joined = new Map();
+  groups.forEach((group, index) => {
+    const root = find(index);
+    if (!joined.has(root)) joined.set(root, []);
+    joined.get(root).push(...group.reports);
+  });
+  return [...joined.values()].map(makeGroup);
+}
+
+// Average of the reported velocities, by the same weights as the position
+function fusedVelocity(reports) {
+  const moving = reports.filter(report => isVector3(report.contact.velocity));
+  if (moving.length === 0) return undefined;
+  const total = moving.reduce((sum, report) => sum + report.weight, 0);
+  const weightOf = report => (total > 0 ? report.weight / total : 1 / moving.length);
+  return [0, 1, 2].map(axis => moving.reduce((sum, report) => sum + report.contact.velocity[axis] * weightOf(report), 0));
+}
+
+function toTrack(group) {
+  // Attributes are merged with the freshest report winning (earlier sources
+  // first on ties). The id comes from the earliest source with one, whatever
+  // the report ages, so selection, trails and alerts keep following the
+  // track as reports come and go.
+  const ordered = group.reports.slice().sort((a, b) => a.age - b.age || a.sourceIndex - b.sourceIndex);
+  const named = group.reports
+    .filter(report => report.contact.id !== undefined && report.contact.id !== null)
+    .sort((a, b) => a.sourceIndex - b.sourceIndex);
+  const lead = named.length > 0 ? named[0] : ordered[0];
+  // Independent reports: the track is missed only if every report is wrong
+  const confidence = 1 - group.reports.reduce((product, report) => product * (1 - report.quality), 1);
+  const velocity = fusedVelocity(group.reports);
+  const attributes = ordered.reduceRight((merged, report) => ({ ...merged, ...report.contact }), {});
+  const track = {
+    ...attributes,
+    id: lead.contact.id,
+    position: group.position,
+    fusion: {
+      fused: group.sources.size > 1,
+      sources: [...group.sources],
+      reports: group.reports.length,
+      ids: [...new Set(named.map(report => report.contact.id))],
+      confidence,
+      age: group.age
+    }
+  };
+  delete track.confidence;
+  if (velocity) track.velocity = velocity;
+  return track;
+}
+
+// Returns one contact per correlated object, each with
+// `fusion: { fused, sources, reports, ids, confidence, age }`. `fused` is
+// true when more than one source saw it, `ids` lists the ids it was
+// reported under and `age` is the ms since its freshest report. Besides the
+// defaults above, `options.now` sets the fusion time (default: the newest
+// source time). Tracks come out in the order of their first report. Throws
+// with every problem listed if the sources are invalid.
+export function fuseContacts(sources, options = {}) {
+  const errors = validateContactSources(sources);
+  if (errors.length > 0) {
+    throw new Error(`Invalid contact sources:\n  ${errors.join('\n  ')}`);
+  }
+  const settings = { ...defaultFusionOptions, ...options };
+  const times = sources.map(source => source.time).filter(time => time !== undefined);
+  const now = settings.now !== undefined ? settings.now : (times.length > 0 ? Math.max(...times) : 0);
+
+  const reports = collectReports(sources, now, settings);
+  const order = new Map(reports.map((report, index) => [report, index]));
+  return correlate(reports, settings)
+    .map(group => ({ group, first: Math.min(...group.reports.map(report => order.get(report))) }))
+    .sort((a, b) => a.first - b.first)
+    .map(({ group }) => toTrack(group));
+}
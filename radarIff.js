@@ -0,0 +1,194 @@
+// Identification friend or foe: derives a contact's display type from its
+// attributes with an ordered rule list, first match wins. Framework-free.
+//
+// Contact attributes the default rules read (all optional):
+//   faction      minor faction name
+//   allegiance   superpower, e.g. 'Federation', 'Empire', 'Alliance'
+//   legalStatus  journal legal status, e.g. 'Clean', 'Wanted', 'Enemy'
+//   wanted       true as a shorthand for a wanted legal status
+//   group        player group or wing the pilot belongs to
+//   weapons      'stowed', 'deployed' or 'firing'
+//   kind         'ship', 'station', 'missile', ... (falls back to `type`)
+//
+// The context describes the player's side:
+//   { faction, allegiance, groups, alliedFactions, hostileFactions,
+//     alliedAllegiances, hostileAllegiances }
+
+// ============================================================================
+// DEFAULT RULES
+// ============================================================================
+
+const wantedLegalStatus = ['Wanted', 'Enemy', 'Hostile', 'Warrant', 'PassengerWanted'];
+
+function kindOf(contact) {
+  return contact.kind || contact.type;
+}
+
+function includes(list, value) {
+  return value !== undefined && value !== null && Array.isArray(list) && list.includes(value);
+}
+
+// Rules are { id, type, when, reason }. `when` is a predicate
+// (contact, context) => boolean, or an object of attribute values that must
+// all match (an array value matches any of its entries). `reason` is text
+// for the HUD, or (contact, context) => text. `type` may also be a function.
+export const defaultIffRules = [
+  {
+    id: 'ordnance',
+    type: 'missile',
+    when: contact => kindOf(contact) === 'missile',
+    reason: 'Ordnance'
+  },
+  {
+    id: 'installation',
+    type: 'station',
+    when: contact => kindOf(contact) === 'station',
+    reason: 'Installation'
+  },
+  {
+    id: 'player-group',
+    type: 'friendly',
+    when: (contact, context) => includes(context.groups, contact.group),
+    reason: contact => `In your group: ${contact.group}`
+  },
+  {
+    id: 'weapons-firing',
+    type: 'hostile',
+    when: { weapons: 'firing' },
+    reason: 'Firing weapons'
+  },
+  {
+    id: 'wanted',
+    type: 'hostile',
+    when: contact => contact.wanted === true || wantedLegalStatus.includes(contact.legalStatus),
+    reason: contact => (contact.legalStatus ? `Legal status: ${contact.legalStatus}` : 'Wanted')
+  },
+  {
+    id: 'hostile-faction',
+    type: 'hostile',
+    when: (contact, context) => includes(context.hostileFactions, contact.faction),
+    reason: contact => `Hostile faction: ${contact.faction}`
+  },
+  {
+    id: 'allied-faction',
+    type: 'friendly',
+    when: (contact, context) => (!!contact.faction && contact.faction === context.faction)
+      || includes(context.alliedFactions, contact.faction),
+    reason: contact => `Allied faction: ${contact.faction}`
+  },
+  {
+    id: 'hostile-allegiance',
+    type: 'hostile',
+    when: (contact, context) => includes(context.hostileAllegiances, contact.allegiance),
+    reason: contact => `Hostile allegiance: ${contact.allegiance}`
+  },
+  {
+    id: 'allied-allegiance',
+    type: 'friendly',
+    when: (contact, context) => includes(context.alliedAllegiances, contact.allegiance),
+    reason: contact => `Allied allegiance: ${contact.allegiance}`
+  },
+  {
+    id: 'weapons-deployed',
+    type: 'hostile',
+    when: { weapons: 'deployed' },
+    reason: 'Hardpoints deployed'
+  },
+  {
+    // Whatever the source already said, when nothing above applied
+    id: 'declared',
+    type: contact => contact.type,
+    when: contact => !!contact.type,
+    reason: contact => `Reported as ${contact.type}`
+  },
+  {
+    id: 'unidentified',
+    type: 'neutral',
+    when: () => true,
+    reason: 'No identification'
+  }
+];
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+// Returns a list of problems (empty when valid)
+export function validateIffRules(rules) {
+  if (!Array.isArray(rules)) return ['IFF rules must be an array'];
+  const errors = [];
+  const ids = new Set();
+  rules.forEach((rule, index) => {
+    const name = rule && rule.id ? `rule "${rule.id}"` : `rule ${index}`;
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${name} must be an object`);
+      return;
+    }
+    if (!rule.id || typeof rule.id !== 'string') errors.push(`${name} needs a string id`);
+    if (rule.id && ids.has(rule.id)) errors.push(`${name} is defined twice`);
+    ids.add(rule.id);
+    if (typeof rule.type !== 'string' && typeof rule.type !== 'function') {
+      errors.push(`${name} needs a type (string or function)`);
+    }
+    if (typeof rule.when !== 'function' && (!rule.when || typeof rule.when !== 'object')) {
+      errors.push(`${name} needs a when (function or attribute object)`);
+    }
+    if (rule.reason !== undefined && typeof rule.reason !== 'string' && typeof rule.reason !== 'function') {
+      errors.push(`${name} has an invalid reason`);
+    }
+  });
+  return errors;
+}
+
+// ============================================================================
+// ENGINE
+// ============================================================================
+
+function matches(rule, contact, context) {
+  if (typeof rule.when === 'function') return !!rule.when(contact, context);
+  return Object.entries(rule.when).every(([key, expected]) => (
+    Array.isArray(expected) ? expected.includes(contact[key]) : contact[key] === expected
+  ));
+}
+
+function resolve(value, contact, context) {
+  return typeof value === 'function' ? value(contact, context) : value;
+}
+
+// classify(contact) returns a copy with `type` set by the first matching
+// rule and `iff: { rule, reason, declaredType }` describing the decision.
+// Contacts that match no rule keep their type and get `iff.rule` null.
+// Throws with every rule problem listed if the rules are invalid.
+export function createIffEngine(rules = defaultIffRules, context = {}) {
+  const errors = validateIffRules(rules);
+  if (errors.length > 0) {
+    throw new Error(`Invalid IFF rules:\n  ${errors.join('\n  ')}`);
+  }
+
+  function classify(contact) {
+    const rule = rules.find(candidate => matches(candidate, contact, context));
+    if (!rule) {
+      return { ...contact, iff: { rule: null, reason: null, declaredType: contact.type } };
+    }
+    return {
+      ...contact,
+      type: resolve(rule.type, contact, context),
+      iff: {
+        rule: rule.id,
+        reason: rule.reason === undefined ? rule.id : resolve(rule.reason, contact, context),
+        declaredType: contact.type
+      }
+    };
+  }
+
+  return {
+    classify,
+    classifyAll: contacts => contacts.map(classify)
+  };
+}
+
+// Default rules with some inserted ahead of them, e.g.
+// withIffRules([{ id: 'pirates', type: 'hostile', when: { faction: 'Kumo Crew' } }])
+export function withIffRules(rules, base = defaultIffRules) {
+  return [...rules, ...base];
+}
@@ -0,0 +1,106 @@
+// Contact labels: which contacts get one, what it says, and where it goes so
+// labels in a dense cluster don't overlap. Works on contacts already passed
+// through transformToRadarSpace and on screen coordinates; no React or DOM.
+
+import { contactName, formatDistance } from './radarCore.js';
+import { priorityTypes } from './radarFilters.js';
+
+// ============================================================================
+// LABEL CONTENT
+// ============================================================================
+
+// Label text is drawn in one monospace line at this size (px)
+export const labelFont = { size: 9, letterSpacing: 1 };
+
+// { name, range, text }: renderers may color the two parts differently,
+// `text` is the whole line
+export function contactLabel(radarContact) {
+  const name = String(contactName(radarContact)).toUpperCase();
+  const range = formatDistance(radarContact.distance);
+  return { name, range, text: `${name} ${range}` };
+}
+
+// Monospace glyphs are about 0.6em wide; estimating keeps placement free of
+// DOM measurement, and identical in the WebGL and SVG renderers
+export function measureLabel(text, { size, letterSpacing } = labelFont) {
+  return { width: text.length * (size * 0.6 + letterSpacing), height: size + 4 };
+}
+
+// ============================================================================
+// RANKING
+// ============================================================================
+
+// Off-scale contacts are edge arrows and decluttered ones are marker only,
+// so neither is labelled unless it is the target
+function wantsLabel(radarContact, selected) {
+  return selected || (!radarContact.outOfRange && !radarContact.decluttered);
+}
+
+// Contacts to label, most important first: the target, then hostiles and
+// missiles, then the rest, nearest first within each group. `isSelected`
+// is a predicate, as for buildRadarDrawing.
+export function rankLabelledContacts(radarContacts, isSelected, limit = Infinity) {
+  return radarContacts
+    .map(contact => ({ contact, selected: isSelected(contact) }))
+    .filter(({ contact, selected }) => wantsLabel(contact, selected))
+    .map(entry => ({
+      ...entry,
+      rank: (entry.selected ? 2 : 0) + (priorityTypes.includes(entry.contact.type) ? 1 : 0)
+    }))
+    .sort((a, b) => b.rank - a.rank || a.contact.distance - b.contact.distance)
+    .slice(0, limit);
+}
+
+// ============================================================================
+// PLACEMENT
+// ============================================================================
+
+// Label boxes `offset` away from the anchor, tried in order
+const candidates = [
+  (x, y, w, h, offset) => [x + offset, y - h / 2],
+  (x, y, w, h, offset) => [x - offset - w, y - h / 2],
+  (x, y, w, h, offset) => [x + offset, y - offset - h],
+  (x, y, w, h, offset) => [x + offset, y + offset],
+  (x, y, w, h, offset) => [x - offset - w, y - offset - h],
+  (x, y, w, h, offset) => [x - offset - w, y + offset],
+  (x, y, w, h, offset) => [x - w / 2, y - offset - h],
+  (x, y, w, h, offset) => [x - w / 2, y + offset]
+];
+
+function overlaps(a, b) {
+  return a.left < b.left + b.width && b.left < a.left + a.width
+    && a.top < b.top + b.height && b.top < a.top + a.height;
+}
+
+// `labels` are { id, anchor: [x, y], width, height, markerSize? } in screen
+// units, most important first. Each takes the first candidate position,
+// `gap` clear of its marker (a `markerSize` square), that overlaps neither an
+// earlier label nor any marker; labels with no free position are hidden.
+// Returns a Map of id -> { left, top, width, height } box, or null when hidden.
+export function placeLabels(labels, { gap = 3, markerSize = 8 } = {}) {
+  const sizeOf = label => label.markerSize || markerSize;
+  const markers = labels.map(label => ({
+    left: label.anchor[0] - sizeOf(label) / 2,
+    top: label.anchor[1] - sizeOf(label) / 2,
+    width: sizeOf(label),
+    height: sizeOf(label)
+  }));
+  const placed = [];
+  const result = new Map();
+
+  labels.forEach((label) => {
+    const { id, anchor, width, height } = label;
+    const offset = sizeOf(label) / 2 + gap;
+    let box = null;
+    for (let i = 0; i < candidates.length && !box; i++) {
+      const [left, top] = candidates[i](anchor[0], anchor[1], width, height, offset);
+      const candidate = { left, top, width, height };
+      const blocked = placed.some(other => overlaps(candidate, other))
+        || markers.some(marker => overlaps(candidate, marker));
+      if (!blocked) box = candidate;
+    }
+    if (box) placed.push(box);
+    result.set(id, box);
+  });
+  return result;
+}
@@ -0,0 +1,263 @@
+// Radar session recording and playback. Framework-free: the recorder takes
+// the same data that feeds RadarScene, and playback hands it back frame by
+// frame, so a replay drives the radar exactly as the live data did.
+
+// ============================================================================
+// FILE FORMAT
+// ============================================================================
+
+// NDJSON: a header line, then one frame per line. JSON: the header fields
+// plus a `frames` array. Frames are keyed by `t` (ms from the start):
+//
+//   { "format": "elite-radar-recording", "version": 1, "startedAt": "...", "duration": 61234 }
+//   { "t": 0, "snapshot": [Contact, ...], "player": {...}, "selectedId": "h1" }
+//   { "t": 400, "delta": [Contact, ...], "remove": ["m2"] }
+//   { "t": 800, "delta": [...], "player": {...}, "selectedId": null }
+//
+// `snapshot` frames (keyframes, written periodically for fast seeking) hold
+// every contact; otherwise `delta` holds only contacts that changed, in
+// full. `player` ({ position, quaternion, velocity }) and `selectedId`
+// appear only when they change.
+
+export const RECORDING_FORMAT = 'elite-radar-recording';
+export const RECORDING_VERSION = 1;
+
+const DEFAULT_PLAYER = {
+  position: [0, 0, 0],
+  quaternion: [0, 0, 0, 1],
+  velocity: [0, 0, 0]
+};
+
+function roundArray(values, decimals) {
+  const factor = Math.pow(10, decimals);
+  return values.map(value => Math.round(value * factor) / factor);
+}
+
+// Positions and velocities are rounded to `precision` decimals to keep files
+// small; everything else on the contact is stored as-is
+function compactContact(contact, precision) {
+  const compact = { ...contact, position: roundArray(contact.position, precision) };
+  if (contact.velocity) compact.velocity = roundArray(contact.velocity, precision);
+  return compact;
+}
+
+// ============================================================================
+// RECORDER
+// ============================================================================
+
+export function createRecorder({
+  keyframeInterval = 10000,
+  precision = 1,
+  now = Date.now
+} = {}) {
+  let frames = [];
+  let startTime = null;
+  let startedAt = null;
+  let lastKeyframe = -Infinity;
+  let previousContacts = new Map();
+  let previousPlayer = '';
+  let previousSelectedId;
+
+  function capture({
+    contacts = [],
+    playerPosition = DEFAULT_PLAYER.position,
+    playerQuaternion = DEFAULT_PLAYER.quaternion,
+    playerVelocity = DEFAULT_PLAYER.velocity,
+    selectedId = null
+  }) {
+    const time = now();
+    if (startTime === null) {
+      startTime = time;
+      startedAt = new Date(time).toISOString();
+    }
+    const t = Math.round(time - startTime);
+    const isKeyframe = t - lastKeyframe >= keyframeInterval;
+
+    const current = new Map();
+    contacts.forEach(contact => {
+      const compact = compactContact(contact, precision);
+      current.set(contact.id, { contact: compact, key: JSON.stringify(compact) });
+    });
+
+    const player = {
+      position: roundArray(playerPosition, precision),
+      quaternion: roundArray(playerQuaternion, 5),
+      velocity: roundArray(playerVelocity, precision)
+    };
+    const playerKey = JSON.stringify(player);
+    const selected = selectedId === undefined ? null : selectedId;
+
+    const frame = { t };
+    if (isKeyframe) {
+      frame.snapshot = [...current.values()].map(entry => entry.contact);
+      frame.player = player;
+      frame.selectedId = selected;
+      lastKeyframe = t;
+    } else {
+      const delta = [];
+      current.forEach((entry, id) => {
+        const previous = previousContacts.get(id);
+        if (!previous || previous.key !== entry.key) delta.push(entry.contact);
+      });
+      const remove = [...previousContacts.keys()].filter(id => !current.has(id));
+      if (delta.length > 0) frame.delta = delta;
+      if (remove.length > 0) frame.remove = remove;
+      if (playerKey !== previousPlayer) frame.player = player;
+      if (selected !== previousSelectedId) frame.selectedId = selected;
+    }
+
+    previousContacts = current;
+    previousPlayer = playerKey;
+    previousSelectedId = selected;
+
+    // Nothing changed: no frame
+    if (Object.keys(frame).length === 1) return null;
+    frames.push(frame);
+    return frame;
+  }
+
+  function getRecording() {
+    return {
+      format: RECORDING_FORMAT,
+      version: RECORDING_VERSION,
+      startedAt,
+      duration: frames.length > 0 ? frames[frames.length - 1].t : 0,
+      frames: frames.slice()
+    };
+  }
+
+  function clear() {
+    frames = [];
+    startTime = null;
+    startedAt = null;
+    lastKeyframe = -Infinity;
+    previousContacts = new Map();
+    previousPlayer = '';
+    previousSelectedId = undefined;
+  }
+
+  return {
+    capture,
+    clear,
+    getRecording,
+    getFrameCount: () => frames.length,
+    serialize: (format = 'ndjson') => serializeRecording(getRecording(), format)
+  };
+}
+
+// ============================================================================
+// SERIALIZATION
+// ============================================================================
+
+export function serializeRecording(recording, format = 'ndjson') {
+  if (format === 'json') return JSON.stringify(recording);
+  const { frames, ...header } = recording;
+  return [header, ...frames].map(line => JSON.stringify(line)).join('\n') + '\n';
+}
+
+// Accepts either format; throws if the text is not a recording
+export function parseRecording(text) {
+  const trimmed = text.trim();
+  let recording;
+  try {
+    recording = JSON.parse(trimmed);
+  } catch (error) {
+    const lines = trimmed.split(/\r?\n/).filter(line => line.trim() !== '');
+    const [header, ...frames] = lines.map(line => JSON.parse(line));
+    recording = { ...header, frames };
+  }
+
+  if (!recording || recording.format !== RECORDING_FORMAT) {
+    throw new Error('Not a radar recording');
+  }
+  if (recording.version > RECORDING_VERSION) {
+    throw new Error(`Unsupported radar recording version: ${recording.version}`);
+  }
+  if (!Array.isArray(recording.frames)) recording.frames = [];
+  if (recording.frames.length > 0 && !recording.frames[0].snapshot) {
+    throw new Error('Radar recording must start with a snapshot frame');
+  }
+  return recording;
+}
+
+// Browser only: offers the recording as a file download
+export function downloadRecording(recording, {
+  format = 'ndjson',
+  filename = `radar-${(recording.startedAt || 'recording').replace(/[:.]/g, '-')}.${format}`
+} = {}) {
+  const type = format === 'json' ? 'application/json' : 'application/x-ndjson';
+  const url = URL.createObjectURL(new Blob([serializeRecording(recording, format)], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// ============================================================================
+// PLAYBACK
+// ============================================================================
+
+// Reconstructs the radar inputs at any time. Moving forward applies frames
+// incrementally; moving back restarts from the nearest earlier keyframe.
+// The returned frame object only changes identity when something changed.
+export function createPlayback(recording) {
+  const frames = recording.frames || [];
+  const duration = recording.duration || (frames.length > 0 ? frames[frames.length - 1].t : 0);
+  const keyframes = frames
+    .map((frame, index) => (frame.snapshot ? index : -1))
+    .filter(index => index !== -1);
+
+  let contacts = new Map();
+  let player = DEFAULT_PLAYER;
+  let selectedId = null;
+  let cursor = 0;
+  let time = -Infinity;
+  let current = null;
+
+  function applyFrame(frame) {
+    if (frame.snapshot) {
+      contacts = new Map(frame.snapshot.map(contact => [contact.id, contact]));
+    }
+    (frame.delta || []).forEach(contact => contacts.set(contact.id, contact));
+    (frame.remove || []).forEach(id => contacts.delete(id));
+    if (frame.player) player = frame.player;
+    if (frame.selectedId !== undefined) selectedId = frame.selectedId;
+  }
+
+  function rewind(target) {
+    let start = 0;
+    keyframes.forEach(index => {
+      if (frames[index].t <= target) start = index;
+    });
+    contacts = new Map();
+    player = DEFAULT_PLAYER;
+    selectedId = null;
+    cursor = start;
+  }
+
+  function frameAt(target) {
+    if (target < time) rewind(target);
+    time = target;
+
+    let changed = current === null;
+    while (cursor < frames.length && frames[cursor].t <= target) {
+      applyFrame(frames[cursor]);
+      cursor += 1;
+      changed = true;
+    }
+
+    if (changed) {
+      current = {
+        contacts: [...contacts.values()],
+        playerPosition: player.position,
+        playerQuaternion: player.quaternion,
+        playerVelocity: player.velocity,
+        selectedId
+      };
+    }
+    return current;
+  }
+
+  return { duration, frameAt };
+}
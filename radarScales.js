@@ -0,0 +1,71 @@
+// ============================================================================
+// RANGE SCALES
+// ============================================================================
+
+// A range scale maps a contact's distance, as a fraction of maxRange (0..1),
+// to a fraction of the dish radius (0..1). `inverse` maps back, which is how
+// range ring labels are worked out. Both must be monotonic with f(0) = 0 and
+// f(1) = 1.
+
+const linear = {
+  forward: fraction => fraction,
+  inverse: radius => radius
+};
+
+const squareRoot = {
+  forward: fraction => Math.sqrt(fraction),
+  inverse: radius => radius * radius
+};
+
+// `base` controls how strongly near space is expanded (higher = stronger)
+function logarithmic({ base = 10 } = {}) {
+  const k = base - 1;
+  return {
+    forward: fraction => Math.log(1 + k * fraction) / Math.log(base),
+    inverse: radius => (Math.pow(base, radius) - 1) / k
+  };
+}
+
+// Inner band (0..innerFraction of maxRange) is zoomed to fill 0..innerRadius
+// of the dish; the outer band is compressed into the remaining rim
+function banded({ innerFraction = 0.25, innerRadius = 0.6 } = {}) {
+  return {
+    forward: fraction => (fraction <= innerFraction
+      ? (fraction / innerFraction) * innerRadius
+      : innerRadius + ((fraction - innerFraction) / (1 - innerFraction)) * (1 - innerRadius)),
+    inverse: radius => (radius <= innerRadius
+      ? (radius / innerRadius) * innerFraction
+      : innerFraction + ((radius - innerRadius) / (1 - innerRadius)) * (1 - innerFraction))
+  };
+}
+
+const scaleFactories = {
+  linear: () => linear,
+  logarithmic,
+  sqrt: () => squareRoot,
+  banded
+};
+
+export const rangeScaleNames = Object.keys(scaleFactories);
+
+// Accepts a scale name, { type, ...options }, a { forward, inverse } object,
+// or a bare forward function (labels then fall back to linear spacing)
+export function resolveRangeScale(scale = 'linear') {
+  if (typeof scale === 'function') {
+    return { forward: scale, inverse: linear.inverse };
+  }
+  if (typeof scale === 'string') {
+    const factory = scaleFactories[scale];
+    if (!factory) throw new Error(`Unknown range scale: ${scale}`);
+    return factory();
+  }
+  if (scale && typeof scale.forward === 'function') {
+    return { inverse: linear.inverse, ...scale };
+  }
+  if (scale && scale.type) {
+    const factory = scaleFactories[scale.type];
+    if (!factory) throw new Error(`Unknown range scale: ${scale.type}`);
+    return factory(scale);
+  }
+  throw new Error('Invalid range scale');
+}
@@ -0,0 +1,163 @@
+// Sensor simulation: decides which contacts the player's scanner can see and
+// how well, before they reach transformToRadarSpace. Distant or quiet
+// contacts drop out or come back as unresolved blips, and measured positions
+// carry noise. Framework-free; the noise comes from a seeded generator so a
+// given seed and sequence of updates always measures the same way.
+//
+// Contact attributes read (all optional):
+//   signature  how loud the contact is on sensors; 1 is a typical ship
+//   silent     true while running silent, which scales the signature down
+//   kind       'ship', 'station', 'missile', ... (falls back to `type`)
+
+// ============================================================================
+// RANDOM NUMBERS
+// ============================================================================
+
+// mulberry32: small, fast and good enough for jitter. Returns () => [0, 1).
+export function createRng(seed = 1) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal sample (Box-Muller) from a [0, 1) generator
+function gaussian(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// ============================================================================
+// DEFAULT SENSOR
+// ============================================================================
+
+// range         metres at which a signature-1 contact is lost
+// resolution    fraction of a contact's detection range within which it is
+//               resolved; further out it is an unresolved blip
+// jitter        position noise, standard deviation as a fraction of distance
+// minJitter     noise floor in metres, so close contacts still wander
+// silentFactor  signature multiplier for contacts running silent
+// unresolved    'show' for faded blips, 'hide' to drop them as well
+// signatures    signature by kind for contacts that don't set one
+// seed          seed for the noise
+export const defaultSensor = {
+  range: 6000,
+  resolution: 0.6,
+  jitter: 0.01,
+  minJitter: 0,
+  silentFactor: 0.1,
+  unresolved: 'show',
+  signatures: { station: 20, missile: 0.2, default: 1 },
+  seed: 1
+};
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+function isNonNegative(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// Returns a list of problems (empty when valid)
+export function validateSensor(sensor) {
+  if (!sensor || typeof sensor !== 'object') return ['Sensor must be an object'];
+  const errors = [];
+  if (!(isNonNegative(sensor.range) && sensor.range > 0)) errors.push('range must be a positive number');
+  if (!(isNonNegative(sensor.resolution) && sensor.resolution <= 1)) {
+    errors.push('resolution must be a number from 0 to 1');
+  }
+  ['jitter', 'minJitter', 'silentFactor'].forEach(key => {
+    if (!isNonNegative(sensor[key])) errors.push(`${key} must be a non-negative number`);
+  });
+  if (sensor.unresolved !== 'show' && sensor.unresolved !== 'hide') {
+    errors.push(`unresolved is "${sensor.unresolved}" (expected show or hide)`);
+  }
+  if (!sensor.signatures || typeof sensor.signatures !== 'object') {
+    errors.push('signatures must be an object');
+  } else {
+    Object.entries(sensor.signatures).forEach(([kind, value]) => {
+      if (!isNonNegative(value)) errors.push(`signatures.${kind} must be a non-negative number`);
+    });
+  }
+  if (typeof sensor.seed !== 'number' || !Number.isFinite(sensor.seed)) errors.push('seed must be a number');
+  return errors;
+}
+
+// ============================================================================
+// SENSOR MODEL
+// ============================================================================
+
+function kindOf(contact) {
+  return contact.kind || contact.type;
+}
+
+// Effective signature after running silent
+export function contactSignature(contact, sensor = defaultSensor) {
+  const { signatures } = sensor;
+  let signature = contact.signature;
+  if (!isNonNegative(signature)) {
+    const kind = kindOf(contact);
+    signature = signatures[kind] !== undefined ? signatures[kind] : signatures.default;
+  }
+  return contact.silent ? signature * sensor.silentFactor : signature;
+}
+
+// Like the radar equation, detection range grows with the fourth root of
+// the signature: sixteen times louder is seen twice as far
+export function detectionRange(signature, sensor = defaultSensor) {
+  return sensor.range * Math.pow(signature, 0.25);
+}
+
+// Returns { measure(contacts, playerPosition), reset() }. `measure` returns
+// the contacts the sensor picks up: resolved ones are copies with a noisy
+// position, unresolved ones keep only their id and noisy position, with
+// `type: 'unresolved'` and `unresolved: true`. Each gets
+// `sensor: { resolved, signature, detectionRange, distance }`, distance
+// being the true one. Every call draws fresh noise; `reset` rewinds the
+// generator to the seed. Throws with every problem listed if the settings
+// are invalid.
+export function createSensorModel(options = {}) {
+  const sensor = {
+    ...defaultSensor,
+    ...options,
+    signatures: { ...defaultSensor.signatures, ...(options.signatures || {}) }
+  };
+  const errors = validateSensor(sensor);
+  if (errors.length > 0) {
+    throw new Error(`Invalid sensor:\n  ${errors.join('\n  ')}`);
+  }
+  let random = createRng(sensor.seed);
+
+  function measure(contacts, playerPosition = [0, 0, 0]) {
+    const detected = [];
+    contacts.forEach(contact => {
+      const offset = [0, 1, 2].map(axis => contact.position[axis] - playerPosition[axis]);
+      const distance = Math.sqrt(offset[0] * offset[0] + offset[1] * offset[1] + offset[2] * offset[2]);
+      const signature = contactSignature(contact, sensor);
+      const range = detectionRange(signature, sensor);
+      if (distance > range) return;
+      const resolved = distance <= range * sensor.resolution;
+      if (!resolved && sensor.unresolved === 'hide') return;
+
+      const spread = Math.max(distance * sensor.jitter, sensor.minJitter);
+      const position = contact.position.map(value => value + gaussian(random) * spread);
+      const reading = { resolved, signature, detectionRange: range, distance };
+      detected.push(resolved
+        ? { ...contact, position, sensor: reading }
+        : { id: contact.id, type: 'unresolved', label: 'Unresolved', position, unresolved: true, sensor: reading });
+    });
+    return detected;
+  }
+
+  function reset() {
+    random = createRng(sensor.seed);
+  }
+
+  return { measure, reset, settings: sensor };
+}
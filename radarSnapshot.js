@@ -0,0 +1,341 @@
+// Headless radar snapshots for reports and visual regression tests: the
+// radar as an SVG string, or PNG bytes, laid out as RadarScene's default
+// camera sees it. Runs in plain Node or a browser; no DOM, WebGL or React.
+
+import { transformToRadarSpace, isContactSelected, formatRange } from './radarCore.js';
+import { resolveTheme } from './radarThemes.js';
+import { buildRadarDrawing, viewProjection } from './radarDrawing.js';
+import { createIffEngine } from './radarIff.js';
+import { applyRadarFilter, countByType, legendTypes, normalizeFilter } from './radarFilters.js';
+import { resolveView } from './radarViews.js';
+import { createSensorModel } from './radarSensors.js';
+import { fuseContacts } from './radarFusion.js';
+
+const FONT = "'Courier New', monospace";
+
+// ============================================================================
+// SVG MARKUP
+// ============================================================================
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function element(name, attributes, content) {
+  const attributeText = Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+  return content === undefined
+    ? `<${name}${attributeText}/>`
+    : `<${name}${attributeText}>${content}</${name}>`;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function pointList(points) {
+  return points.map(([x, y]) => `${round(x)},${round(y)}`).join(' ');
+}
+
+function primitiveMarkup(primitive) {
+  const { type, color, opacity } = primitive;
+  switch (type) {
+    case 'line':
+      return element('polyline', {
+        points: pointList(primitive.points),
+        fill: 'none',
+        stroke: color,
+        'stroke-opacity': opacity,
+        'stroke-width': primitive.width,
+        'stroke-dasharray': primitive.dashed ? '4 3' : undefined
+      });
+    case 'polygon':
+      return element('polygon', {
+        points: pointList(primitive.points),
+        fill: primitive.filled ? color : 'none',
+        'fill-opacity': opacity,
+        stroke: color,
+        'stroke-opacity': opacity
+      });
+    case 'circle':
+      return element('circle', {
+        cx: round(primitive.center[0]),
+        cy: round(primitive.center[1]),
+        r: round(primitive.radius),
+        fill: primitive.filled ? color : 'none',
+        'fill-opacity': opacity,
+        stroke: primitive.filled ? 'none' : color,
+        'stroke-opacity': opacity
+      });
+    case 'text':
+      return element('text', {
+        x: round(primitive.position[0]),
+        y: round(primitive.position[1]),
+        fill: color,
+        'fill-opacity': opacity,
+        'font-size': primitive.size,
+        'font-family': FONT,
+        'letter-spacing': 1,
+        'text-anchor': 'middle',
+        'dominant-baseline': 'middle'
+      }, escapeXml(primitive.text));
+    default:
+      return '';
+  }
+}
+
+// ============================================================================
+// BACKGROUND AND OVERLAYS
+// ============================================================================
+
+// Splits on commas outside parentheses, so rgba() stops stay whole
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of text) {
+    if (char === '(') depth += 1;
+    if (char === ')') depth -= 1;
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current.trim());
+  return parts;
+}
+
+// Theme backgrounds are CSS. Plain colors and radial-gradient() (as used by
+// the built-in themes) are translated; anything else falls back to black.
+function backgroundFill(background) {
+  const gradient = /^radial-gradient\((.*)\)$/.exec(background.trim());
+  if (!gradient) {
+    return /gradient\(|url\(/.test(background) ? { fill: '#000000' } : { fill: background };
+  }
+
+  const parts = splitTopLevel(gradient[1]);
+  if (/^(circle|ellipse|closest|farthest|at\b)/.test(parts[0])) parts.shift();
+  const stops = parts.map((part, index) => {
+    const match = /^(.*?)\s+([\d.]+%)$/.exec(part);
+    const offset = match ? match[2] : `${(index / Math.max(parts.length - 1, 1)) * 100}%`;
+    return element('stop', { offset, 'stop-color': match ? match[1] : part });
+  });
+
+  // r of ~71% reaches the corners, like the CSS farthest-corner default
+  return {
+    defs: element('radialGradient', { id: 'radar-background', cx: '50%', cy: '50%', r: '70.71%' }, stops.join('')),
+    fill: 'url(#radar-background)'
+  };
+}
+
+function overlayMarkup(theme, width, height, { showScanlines, showVignette }) {
+  const defs = [];
+  const layers = [];
+  if (showScanlines) {
+    defs.push(element('pattern', { id: 'radar-scanlines', width: 4, height: 4, patternUnits: 'userSpaceOnUse' },
+      element('rect', { y: 2, width: 4, height: 2, fill: theme.overlay.scanlines })));
+    layers.push(element('rect', { width, height, fill: 'url(#radar-scanlines)' }));
+  }
+  if (showVignette) {
+    defs.push(element('radialGradient', { id: 'radar-vignette', cx: '50%', cy: '50%', r: '70.71%' }, [
+      element('stop', { offset: '40%', 'stop-color': theme.overlay.vignette, 'stop-opacity': 0 }),
+      element('stop', { offset: '100%', 'stop-color': theme.overlay.vignette })
+    ].join('')));
+    layers.push(element('rect', { width, height, fill: 'url(#radar-vignette)' }));
+  }
+  return { defs, layers };
+}
+
+// ============================================================================
+// HUD
+// ============================================================================
+
+// Positions follow the EliteRadar3D overlays: header 20px from the top,
+// legend and range readout 20px in from the bottom corners
+function hudMarkup(theme, width, height, { title, showHeader, showLegend, showRangeInfo, maxRange, typeCounts, filter }) {
+  const markup = [];
+  const text = (x, y, content, attributes) => element('text', {
+    x,
+    y,
+    'font-family': FONT,
+    'font-size': 10,
+    'letter-spacing': 1,
+    'dominant-baseline': 'middle',
+    ...attributes
+  }, escapeXml(content));
+
+  if (showHeader) {
+    markup.push(text(width / 2, 28, `◆ ${String(title).toUpperCase()} ◆`, {
+      'font-size': 14,
+      'letter-spacing': 4,
+      'text-anchor': 'middle',
+      fill: theme.hud.text
+    }));
+  }
+
+  // Per-type counts, hidden types dimmed, then the priority toggle
+  if (showLegend) {
+    const step = 18;
+    const types = legendTypes(typeCounts);
+    const priorityY = height - 26;
+    const bottomY = priorityY - step - 4;
+    types.forEach((type, index) => {
+      const y = bottomY - (types.length - 1 - index) * step;
+      const color = theme.contacts[type] || theme.contacts.default;
+      const opacity = filter.hiddenTypes.includes(type) ? 0.35 : 1;
+      markup.push(element('rect', { x: 20, y: y - 4, width: 8, height: 8, fill: color, opacity }));
+      markup.push(text(36, y, `${type.toUpperCase()} ${typeCounts[type] || 0}`, { fill: color, opacity }));
+    });
+    markup.push(text(20, priorityY, '◆ PRIORITY ONLY', {
+      fill: theme.hud.text,
+      opacity: filter.priorityOnly ? 1 : 0.35
+    }));
+  }
+
+  if (showRangeInfo) {
+    markup.push(text(width - 20, height - 26, `RANGE: ${formatRange(maxRange)}`, {
+      'text-anchor': 'end',
+      fill: theme.hud.muted
+    }));
+  }
+  return markup;
+}
+
+// ============================================================================
+// SNAPSHOTS
+// ============================================================================
+
+// Takes EliteRadar3D's data props (contacts, player state, maxRange, theme,
+// selectedId, ...) plus the image size, and returns a standalone SVG document
+export function renderRadarSVG({
+  contacts = [],
+  playerPosition,
+  playerQuaternion,
+  playerVelocity,
+  shipRelative = true,
+  maxRange = 5000,
+  rangeScale = 'linear',
+  radarRadius = 1,
+  gridDivisions = 4,
+  theme: themeProp = 'eliteClassic',
+  iffRules,
+  iffContext,
+  sensor,
+  contactSources,
+  fusionOptions,
+  filter: filterOption,
+  view = 'fixed',
+  selectedId,
+  showGrid = true,
+  showRangeLabels = true,
+  showVelocityVectors = true,
+  showContactLabels = false,
+  maxContactLabels = 30,
+  velocityScale = 5,
+  predictionTime = 0,
+  showHeader = true,
+  title = 'Scanner Display',
+  showLegend = true,
+  showRangeInfo = true,
+  showScanlines = true,
+  showVignette = true,
+  width = 800,
+  height = 600
+} = {}) {
+  const theme = resolveTheme(themeProp);
+  // The view's resting camera, as the <Canvas> in EliteRadar3D places it
+  const projection = viewProjection(resolveView(view), { width, height });
+  const filter = normalizeFilter(filterOption);
+  const own = contacts.length > 0 ? [{ id: 'own', position: playerPosition || [0, 0, 0], contacts }] : [];
+  const tracks = contactSources ? fuseContacts([...own, ...contactSources], fusionOptions) : contacts;
+  const classified = iffRules ? createIffEngine(iffRules, iffContext).classifyAll(tracks) : tracks;
+  // One measurement from a fresh model, so a snapshot is repeatable
+  const sensed = sensor
+    ? createSensorModel(sensor === true ? {} : sensor).measure(classified, playerPosition)
+    : classified;
+  const transformed = sensed.map(contact => transformToRadarSpace(contact, {
+    playerPosition,
+    playerQuaternion,
+    playerVelocity,
+    maxRange,
+    radarRadius,
+    shipRelative,
+    velocityScale,
+    predictionTime,
+    rangeScale
+  }));
+  const radarContacts = applyRadarFilter(transformed, filter, selectedId);
+
+  const drawing = buildRadarDrawing(radarContacts, {
+    theme,
+    projection,
+    radius: radarRadius,
+    divisions: gridDivisions,
+    maxRange,
+    rangeScale,
+    showGrid,
+    showLabels: showRangeLabels,
+    labelSize: 9,
+    showVelocity: showVelocityVectors,
+    showContactLabels,
+    maxContactLabels,
+    isSelected: contact => isContactSelected(contact, selectedId)
+  });
+
+  const background = backgroundFill(theme.background);
+  const overlays = overlayMarkup(theme, width, height, { showScanlines, showVignette });
+  const defs = [background.defs, ...overlays.defs].filter(Boolean);
+
+  const body = [
+    defs.length > 0 ? element('defs', {}, defs.join('')) : '',
+    element('rect', { width, height, fill: background.fill }),
+    ...drawing.scene.map(primitiveMarkup),
+    ...drawing.contacts.map(entry => element('g', { 'data-contact-id': entry.contact.id },
+      entry.primitives.map(primitiveMarkup).join(''))),
+    ...drawing.labels.map(primitiveMarkup),
+    ...overlays.layers,
+    ...hudMarkup(theme, width, height, {
+      title,
+      showHeader,
+      showLegend,
+      showRangeInfo,
+      maxRange,
+      typeCounts: countByType(sensed),
+      filter
+    })
+  ];
+
+  return element('svg', {
+    xmlns: 'http://www.w3.org/2000/svg',
+    width,
+    height,
+    viewBox: `0 0 ${width} ${height}`
+  }, `\n${body.filter(Boolean).join('\n')}\n`) + '\n';
+}
+
+// PNG bytes via @resvg/resvg-js, an optional dependency loaded on first use.
+// The specifier is held in a variable so bundlers leave the import alone.
+const RASTERIZER = '@resvg/resvg-js';
+
+export async function renderRadarPNG(options = {}) {
+  const svg = renderRadarSVG(options);
+  let rasterizer;
+  try {
+    rasterizer = await import(RASTERIZER);
+  } catch (error) {
+    throw new Error(
+      `renderRadarPNG needs the optional ${RASTERIZER} package to rasterize the SVG `
+      + `(npm install ${RASTERIZER}); renderRadarSVG works without it. Cause: ${error.message}`
+    );
+  }
+  const { Resvg } = rasterizer.default || rasterizer;
+  return new Resvg(svg, { font: { loadSystemFonts: true } }).render().asPng();
+}
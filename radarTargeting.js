@@ -0,0 +1,85 @@
+// Target cycling and key bindings. Framework-free; the React hooks are in
+// useRadarTargeting.js.
+
+// ============================================================================
+// DEFAULT KEY BINDINGS
+// ============================================================================
+
+// Bindings use KeyboardEvent.code with optional modifier prefixes,
+// e.g. 'KeyG', 'Shift+KeyG', 'Ctrl+Alt+KeyT'
+export const defaultTargetBindings = {
+  next: ['KeyG'],
+  previous: ['Shift+KeyG'],
+  nearest: ['KeyT'],
+  nearestHostile: ['KeyH'],
+  clear: ['Escape']
+};
+
+// ============================================================================
+// TARGET SELECTION
+// ============================================================================
+
+// Cycle order is nearest-first, using the distance from transformToRadarSpace
+export function sortByRange(radarContacts) {
+  return [...radarContacts].sort((a, b) => a.distance - b.distance);
+}
+
+export function cycleTarget(radarContacts, currentId, step = 1) {
+  const ordered = sortByRange(radarContacts);
+  if (ordered.length === 0) return null;
+
+  const index = ordered.findIndex(contact => contact.id === currentId);
+  if (index === -1) {
+    return step > 0 ? ordered[0] : ordered[ordered.length - 1];
+  }
+  return ordered[(index + step + ordered.length) % ordered.length];
+}
+
+export function nearestTarget(radarContacts, predicate = () => true) {
+  let nearest = null;
+  radarContacts.forEach(contact => {
+    if (!predicate(contact)) return;
+    if (!nearest || contact.distance < nearest.distance) nearest = contact;
+  });
+  return nearest;
+}
+
+// Returns the contact that should become the target, or null to clear it
+export function applyTargetAction(action, radarContacts, currentId) {
+  switch (action) {
+    case 'next':
+      return cycleTarget(radarContacts, currentId, 1);
+    case 'previous':
+      return cycleTarget(radarContacts, currentId, -1);
+    case 'nearest':
+      return nearestTarget(radarContacts);
+    case 'nearestHostile':
+      return nearestTarget(radarContacts, contact => contact.type === 'hostile');
+    case 'clear':
+      return null;
+    default:
+      throw new Error(`Unknown target action: ${action}`);
+  }
+}
+
+// ============================================================================
+// KEY BINDINGS
+// ============================================================================
+
+export function eventToBinding(event) {
+  const modifiers = [];
+  if (event.ctrlKey) modifiers.push('Ctrl');
+  if (event.altKey) modifiers.push('Alt');
+  if (event.shiftKey) modifiers.push('Shift');
+  if (event.metaKey) modifiers.push('Meta');
+  return [...modifiers, event.code].join('+');
+}
+
+// Normalises 'Shift+Ctrl+KeyG' and 'Ctrl+Shift+KeyG' to the same string
+export function normalizeBinding(binding) {
+  const parts = binding.split('+');
+  const code = parts.pop();
+  const order = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+  const modifiers = order.filter(modifier => parts.includes(modifier));
+  return [...modifiers, code].join('+');
+}
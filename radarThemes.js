@@ -0,0 +1,230 @@
+// ============================================================================
+// BUILT-IN THEMES
+// ============================================================================
+
+const eliteClassic = {
+  label: 'Classic',
+  background: 'radial-gradient(ellipse at center, #0a1a0a 0%, #000800 50%, #000000 100%)',
+  dish: { color: '#00ff00', opacity: 0.15 },
+  ring: { color: '#00ff44', opacity: 0.6 },
+  grid: { color: '#00aa00', opacity: 0.25 },
+  center: { color: '#00ff00' },
+  stalk: { opacity: 0.6 },
+  contacts: {
+    hostile: '#ff3333',
+    friendly: '#33ff88',
+    neutral: '#ffff33',
+    station: '#00ffff',
+    missile: '#ff00ff',
+    unresolved: '#5f8f6f',
+    default: '#ffffff'
+  },
+  scanline: '#00ff00',
+  glow: '#00ff44',
+  hud: { text: '#00ff44', muted: '#00aa00' },
+  overlay: { scanlines: 'rgba(0,0,0,0.1)', vignette: 'rgba(0,0,0,0.6)' }
+};
+
+const eliteDangerous = {
+  label: 'Dangerous',
+  background: 'radial-gradient(ellipse at center, #1a0f05 0%, #0a0500 50%, #000000 100%)',
+  dish: { color: '#ff6600', opacity: 0.12 },
+  ring: { color: '#ff8800', opacity: 0.5 },
+  grid: { color: '#663300', opacity: 0.2 },
+  center: { color: '#ff8800' },
+  stalk: { opacity: 0.5 },
+  contacts: {
+    hostile: '#ff4444',
+    friendly: '#44ff66',
+    neutral: '#ff9900',
+    station: '#4499ff',
+    missile: '#ff44ff',
+    unresolved: '#8f7a5f',
+    default: '#ffffff'
+  },
+  scanline: '#ff6600',
+  glow: '#ff8800',
+  hud: { text: '#ff8800', muted: '#663300' },
+  overlay: { scanlines: 'rgba(0,0,0,0.1)', vignette: 'rgba(0,0,0,0.6)' }
+};
+
+// ============================================================================
+// THEME SCHEMA
+// ============================================================================
+
+// Leaf types: 'color' (hex, rgb(a), hsl(a) or a CSS color name), 'opacity'
+// (0..1), 'string'.
+// `contacts` is open-ended so custom contact types can have colors too.
+const themeSchema = {
+  label: 'string',
+  background: 'string',
+  dish: { color: 'color', opacity: 'opacity' },
+  ring: { color: 'color', opacity: 'opacity' },
+  grid: { color: 'color', opacity: 'opacity' },
+  center: { color: 'color' },
+  stalk: { opacity: 'opacity' },
+  contacts: 'colorMap',
+  scanline: 'color',
+  glow: 'color',
+  hud: { text: 'color', muted: 'color' },
+  overlay: { scanlines: 'color', vignette: 'color' }
+};
+
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const FUNCTION_COLOR = /^(rgba?|hsla?)\(\s*[-+.\d]+(deg|%)?(\s*[,/\s]\s*[-+.\d]+%?){2,3}\s*\)$/i;
+
+// The CSS named colors, which canvas, SVG and three.js all understand
+const NAMED_COLORS = new Set(`
+  aliceblue antiquewhite aqua aquamarine azure beige bisque black
+  blanchedalmond blue blueviolet brown burlywood cadetblue chartreuse
+  chocolate coral cornflowerblue cornsilk crimson cyan darkblue darkcyan
+  darkgoldenrod darkgray darkgreen darkgrey darkkhaki darkmagenta
+  darkolivegreen darkorange darkorchid darkred darksalmon darkseagreen
+  darkslateblue darkslategray darkslategrey darkturquoise darkviolet deeppink
+  deepskyblue dimgray dimgrey dodgerblue firebrick floralwhite forestgreen
+  fuchsia gainsboro ghostwhite gold goldenrod gray green greenyellow grey
+  honeydew hotpink indianred indigo ivory khaki lavender lavenderblush
+  lawngreen lemonchiffon lightblue lightcoral lightcyan lightgoldenrodyellow
+  lightgray lightgreen lightgrey lightpink lightsalmon lightseagreen
+  lightskyblue lightslategray lightslategrey lightsteelblue lightyellow lime
+  limegreen linen magenta maroon mediumaquamarine mediumblue mediumorchid
+  mediumpurple mediumseagreen mediumslateblue mediumspringgreen
+  mediumturquoise mediumvioletred midnightblue mintcream mistyrose moccasin
+  navajowhite navy oldlace olive olivedrab orange orangered orchid
+  palegoldenrod palegreen paleturquoise palevioletred papayawhip peachpuff
+  peru pink plum powderblue purple rebeccapurple red rosybrown royalblue
+  saddlebrown salmon sandybrown seagreen seashell sienna silver skyblue
+  slateblue slategray slategrey snow springgreen steelblue tan teal thistle
+  tomato turquoise violet wheat white whitesmoke yellow yellowgreen
+`.trim().split(/\s+/));
+
+function isColor(value) {
+  const color = value.trim();
+  return HEX_COLOR.test(color) || FUNCTION_COLOR.test(color) || NAMED_COLORS.has(color.toLowerCase());
+}
+
+function checkLeaf(type, value, path, errors) {
+  switch (type) {
+    case 'color':
+      if (typeof value !== 'string' || value.trim() === '') {
+        errors.push(`${path} must be a CSS color string`);
+      } else if (value.startsWith('#') && !HEX_COLOR.test(value)) {
+        errors.push(`${path} is not a valid hex color: ${value}`);
+      } else if (!isColor(value)) {
+        errors.push(`${path} is not a hex, rgb(), hsl() or named color: ${value}`);
+      }
+      break;
+    case 'opacity':
+      if (typeof value !== 'number' || value < 0 || value > 1) {
+        errors.push(`${path} must be a number between 0 and 1`);
+      }
+      break;
+    case 'string':
+      if (typeof value !== 'string') errors.push(`${path} must be a string`);
+      break;
+    case 'colorMap':
+      if (!value || typeof value !== 'object') {
+        errors.push(`${path} must be an object of colors`);
+        break;
+      }
+      Object.entries(value).forEach(([key, color]) => {
+        checkLeaf('color', color, `${path}.${key}`, errors);
+      });
+      break;
+    default:
+      break;
+  }
+}
+
+function checkNode(schema, value, path, errors, partial) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(`${path || 'theme'} must be an object`);
+    return;
+  }
+
+  Object.keys(value).forEach(key => {
+    if (!(key in schema)) errors.push(`${path ? `${path}.` : ''}${key} is not a theme property`);
+  });
+
+  Object.entries(schema).forEach(([key, type]) => {
+    const keyPath = path ? `${path}.${key}` : key;
+    if (value[key] === undefined) {
+      if (!partial) errors.push(`${keyPath} is required`);
+      return;
+    }
+    if (typeof type === 'object') {
+      checkNode(type, value[key], keyPath, errors, partial);
+    } else {
+      checkLeaf(type, value[key], keyPath, errors);
+    }
+  });
+}
+
+// Returns a list of problems (empty when valid). Partial themes, as accepted
+// by registerTheme, may omit anything; full themes must define everything.
+export function validateTheme(theme, { partial = false } = {}) {
+  const errors = [];
+  checkNode(themeSchema, theme, '', errors, partial);
+  return errors;
+}
+
+// ============================================================================
+// THEME REGISTRY
+// ============================================================================
+
+export const themes = { eliteClassic, eliteDangerous };
+
+// Deep-merges a partial theme over a base without touching either
+export function mergeTheme(base, overrides) {
+  const merged = { ...base };
+  Object.entries(overrides).forEach(([key, value]) => {
+    const isNested = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isNested ? mergeTheme(base[key] || {}, value) : value;
+  });
+  return merged;
+}
+
+// Registers a full or partial theme, merged over `extends` (default
+// 'eliteClassic'). Throws with every schema problem listed if invalid.
+export function registerTheme(name, theme, { extends: baseName = 'eliteClassic' } = {}) {
+  if (!name || typeof name !== 'string') {
+    throw new Error('registerTheme: theme name must be a non-empty string');
+  }
+  const base = themes[baseName];
+  if (!base) throw new Error(`registerTheme: unknown base theme "${baseName}"`);
+
+  const errors = validateTheme(theme, { partial: true });
+  if (errors.length > 0) {
+    throw new Error(`registerTheme: invalid theme "${name}":\n  ${errors.join('\n  ')}`);
+  }
+
+  const merged = mergeTheme(base, { label: name, ...theme });
+  themes[name] = merged;
+  return merged;
+}
+
+export function getTheme(name) {
+  return themes[name] || null;
+}
+
+export function listThemes() {
+  return Object.keys(themes);
+}
+
+// Theme objects passed directly as props are treated like unregistered
+// partial themes; results are cached so the merged object stays stable
+const resolvedObjects = new WeakMap();
+
+export function resolveTheme(theme) {
+  if (theme && typeof theme === 'object') {
+    if (!resolvedObjects.has(theme)) {
+      const errors = validateTheme(theme, { partial: true });
+      if (errors.length > 0) {
+        throw new Error(`Invalid theme:\n  ${errors.join('\n  ')}`);
+      }
+      resolvedObjects.set(theme, mergeTheme(eliteClassic, theme));
+    }
+    return resolvedObjects.get(theme);
+  }
+  return themes[theme] || themes.eliteClassic;
+}
@@ -0,0 +1,57 @@
+// ============================================================================
+// VIEW PRESETS
+// ============================================================================
+
+// Camera placements for the radar, in scene units around the dish (radius 1
+// by default). `position` and `target` are [x, y, z], `fov` is the vertical
+// field of view in degrees and `up` the camera's up direction. The ship's
+// nose is -z. `wobble: false` keeps RadarScene's idle sway out of views
+// where it would skew bearings or fight the user. `orthographic: true`
+// draws the view without perspective, framed as `fov` frames the target.
+export const radarViews = {
+  // The original view: behind and above, looking down at the centre
+  fixed: { label: 'Fixed', position: [0, 2.5, 2], target: [0, 0, 0], fov: 45, up: [0, 1, 0] },
+  // Starts where `fixed` does; drag to orbit within the limits below
+  orbit: { label: 'Orbit', position: [0, 2.5, 2], target: [0, 0, 0], fov: 45, up: [0, 1, 0], interactive: true, wobble: false },
+  // Straight down, nose up the screen, without perspective so ranges and
+  // bearings read true across the dish
+  top: { label: 'Top', position: [0, 12, 0], target: [0, 0, 0], fov: 12, up: [0, 0, -1], wobble: false, orthographic: true },
+  // Low behind the dish, like the scanner seen from the pilot's seat
+  cockpit: { label: 'Cockpit', position: [0, 0.8, 2.7], target: [0, -0.1, 0], fov: 40, up: [0, 1, 0] },
+  // From the starboard side, nose to the right: height against range ahead
+  side: { label: 'Side', position: [7, 0, 0], target: [0, 0, 0], fov: 20, up: [0, 1, 0], wobble: false }
+};
+
+export const radarViewNames = Object.keys(radarViews);
+
+// OrbitControls limits for the 'orbit' view (angles in radians from +y)
+export const defaultOrbitLimits = {
+  minDistance: 1.5,
+  maxDistance: 6,
+  minPolarAngle: 0,
+  maxPolarAngle: Math.PI * 0.6
+};
+
+// Accepts a view name or a { position, target, fov, up } object (missing
+// fields come from `fixed`)
+export function resolveView(view = 'fixed') {
+  if (typeof view === 'string') {
+    if (!radarViews[view]) throw new Error(`Unknown radar view: ${view} (expected ${radarViewNames.join(', ')})`);
+    return radarViews[view];
+  }
+  if (view && typeof view === 'object') return { ...radarViews.fixed, label: 'Custom', ...view };
+  throw new Error('Invalid radar view');
+}
+
+// Scene units spanned vertically at the view's target, which is what an
+// orthographic view shows
+export function viewSpan(view) {
+  const offset = view.position.map((value, axis) => value - view.target[axis]);
+  return 2 * Math.hypot(...offset) * Math.tan((view.fov * Math.PI) / 360);
+}
+
+// The next named view, for a view-cycling button
+export function nextViewName(view) {
+  const index = radarViewNames.indexOf(view);
+  return radarViewNames[(index + 1) % radarViewNames.length];
+}
@@ -0,0 +1,186 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import {
+  parseJournalLines,
+  createJournalTracker,
+  readJournalFiles,
+  classifyShip,
+  pilotKey,
+  isJournalFileName
+} from '../eliteJournal.js';
+import { transformToRadarSpace, relativeBearing } from '../radarCore.js';
+
+const JOURNAL = 'Journal.2024-05-01T183012.01.log';
+
+function fixture(name) {
+  return readFile(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+}
+
+// Stands in for a browser File
+async function fixtureFile(name) {
+  const text = await fixture(name);
+  return { name, text: async () => text };
+}
+
+async function replayFixture() {
+  const errors = [];
+  const tracker = createJournalTracker();
+  tracker.applyEvents(parseJournalLines(await fixture(JOURNAL), error => errors.push(error)));
+  tracker.applyStatus(JSON.parse(await fixture('Status.json')));
+  return { tracker, errors };
+}
+
+function byId(contacts) {
+  return new Map(contacts.map(contact => [contact.id, contact]));
+}
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+test('journal file names are recognised', () => {
+  assert.ok(isJournalFileName(JOURNAL));
+  assert.ok(isJournalFileName('Journal.240501183012.01.log'));
+  assert.ok(!isJournalFileName('Status.json'));
+});
+
+test('a truncated line goes to onError and the rest are kept', async () => {
+  const errors = [];
+  const events = parseJournalLines(await fixture(JOURNAL), error => errors.push(error));
+  assert.equal(errors.length, 1);
+  assert.ok(errors[0] instanceof SyntaxError);
+  assert.equal(events.length, 9);
+  assert.equal(events[0].event, 'Fileheader');
+  assert.equal(events[events.length - 1].event, 'ShipTargeted');
+});
+
+// ============================================================================
+// TRACKER
+// ============================================================================
+
+test('the fixture session yields a station, a wing mate and two ships', async () => {
+  const { tracker, errors } = await replayFixture();
+  assert.equal(errors.length, 1);
+  const contacts = byId(tracker.getContacts());
+  assert.deepEqual([...contacts.keys()].sort(), ['ship-1', 'ship-2', 'station:128666762', 'wing:Vex Arden']);
+
+  const station = contacts.get('station:128666762');
+  assert.equal(station.type, 'station');
+  assert.equal(station.label, 'Jameson Memorial');
+  assert.equal(station.faction, "Pilots' Federation Local Branch");
+
+  tracker.getContacts().forEach(contact => {
+    assert.equal(contact.estimated, true);
+    assert.equal(contact.position.length, 3);
+    assert.ok(contact.position.every(Number.isFinite));
+  });
+});
+
+test('scan stages build up one contact, classified hostile once wanted', async () => {
+  const { tracker } = await replayFixture();
+  const cobra = byId(tracker.getContacts()).get('ship-1');
+  assert.equal(cobra.type, 'hostile');
+  assert.equal(cobra.label, 'Cobra Mk III');
+  assert.equal(cobra.pilot, 'Kara Voss');
+  assert.equal(cobra.legalStatus, 'Wanted');
+  assert.equal(cobra.bounty, 12500);
+  assert.equal(cobra.shieldHealth, 42);
+});
+
+test('a targeted wing mate is friendly despite the Cmdr prefix', async () => {
+  const { tracker } = await replayFixture();
+  const anaconda = byId(tracker.getContacts()).get('ship-2');
+  assert.equal(anaconda.pilot, 'Cmdr Vex Arden');
+  assert.equal(anaconda.type, 'friendly');
+});
+
+test('the selected target follows the last lock', async () => {
+  const { tracker } = await replayFixture();
+  assert.equal(tracker.getSelectedId(), 'ship-1');
+  tracker.applyEvent({ event: 'ShipTargeted', TargetLocked: false });
+  assert.equal(tracker.getSelectedId(), null);
+});
+
+test('Status.json sets flags and the player heading', async () => {
+  const { tracker } = await replayFixture();
+  const player = tracker.getPlayer();
+  assert.equal(player.system, 'Shinrarta Dezhra');
+  assert.equal(player.docked, false);
+  assert.equal(player.shieldsUp, true);
+  assert.equal(player.hardpointsDeployed, true);
+  assert.equal(player.inMainShip, true);
+  assert.equal(player.heading, 90);
+  assert.equal(player.body, 'Shinrarta Dezhra A 1');
+
+  // Heading east: a contact due east (+x) is dead ahead on the radar
+  const ahead = transformToRadarSpace({ position: [1000, 0, 0] }, { playerQuaternion: player.playerQuaternion });
+  assert.equal(relativeBearing(ahead), 0);
+});
+
+test('jumping out clears local contacts but keeps the wing', async () => {
+  const { tracker } = await replayFixture();
+  tracker.applyEvent({ event: 'FSDJump', StarSystem: 'Sol', StarPos: [0, 0, 0] });
+  assert.deepEqual(tracker.getContacts().map(contact => contact.id), ['wing:Vex Arden']);
+  assert.equal(tracker.getSelectedId(), null);
+  assert.equal(tracker.getPlayer().system, 'Sol');
+});
+
+test('dropped files are read in name order, then Status.json', async () => {
+  const errors = [];
+  const files = [await fixtureFile('Status.json'), await fixtureFile(JOURNAL), { name: 'notes.txt', text: async () => '' }];
+  const tracker = await readJournalFiles(files, { onError: error => errors.push(error) });
+  assert.equal(errors.length, 1);
+  assert.equal(tracker.getContacts().length, 4);
+  assert.equal(tracker.getPlayer().heading, 90);
+});
+
+test('a half-written Status.json goes to onError and the journal still loads', async () => {
+  const errors = [];
+  const files = [
+    await fixtureFile(JOURNAL),
+    { name: 'Status.json', text: async () => '{ "timestamp":"2024-05-01T18:33:00Z", "Flags":' },
+    { name: 'NavRoute.json', text: async () => '{ "event":"NavRoute" }' }
+  ];
+  const tracker = await readJournalFiles(files, { onError: error => errors.push(error) });
+  assert.equal(errors.length, 2);
+  assert.equal(tracker.getContacts().length, 4);
+});
+
+// ============================================================================
+// CLASSIFICATION
+// ============================================================================
+
+test('pilot names reduce to one key', () => {
+  assert.equal(pilotKey('Vex Arden'), 'vex arden');
+  assert.equal(pilotKey('Cmdr Vex Arden'), 'vex arden');
+  assert.equal(pilotKey('$cmdr_decorate:#name=Vex Arden;'), 'vex arden');
+  assert.equal(pilotKey('$npc_name_decorate:#name=Kara Voss;'), 'kara voss');
+  assert.equal(pilotKey(undefined), '');
+});
+
+test('targeting the interdictor finds the same hostile contact', () => {
+  const tracker = createJournalTracker();
+  tracker.applyEvents([
+    { event: 'Interdicted', Submitted: false, Interdictor: 'Kara Voss', IsPlayer: false, Faction: 'Kumo Crew' },
+    {
+      event: 'ShipTargeted', TargetLocked: true, Ship: 'cobramkiii', Ship_Localised: 'Cobra Mk III', ScanStage: 2,
+      PilotName: '$npc_name_decorate:#name=Kara Voss;', PilotName_Localised: 'Kara Voss', PilotRank: 'Dangerous'
+    }
+  ]);
+  assert.deepEqual(
+    tracker.getContacts().map(contact => [contact.id, contact.type, contact.pilot]),
+    [['ship-1', 'hostile', 'Kara Voss']]
+  );
+  assert.equal(tracker.getSelectedId(), 'ship-1');
+});
+
+test('classifyShip covers ordnance, police, wanted and neutral ships', () => {
+  const wing = new Set(['Vex Arden']);
+  assert.equal(classifyShip({ Ship: 'dumbfiremissile' }), 'missile');
+  assert.equal(classifyShip({ Ship: 'viper', PilotName: '$ShipName_Police_Federation;' }), 'friendly');
+  assert.equal(classifyShip({ Ship: 'anaconda', PilotName: '$cmdr_decorate:#name=Vex Arden;' }, { wing }), 'friendly');
+  assert.equal(classifyShip({ Ship: 'python', LegalStatus: 'Wanted' }), 'hostile');
+  assert.equal(classifyShip({ Ship: 'python', PilotName: '$npc_name_decorate:#name=Kara Voss;' }, { hostiles: new Set(['Kara Voss']) }), 'hostile');
+  assert.equal(classifyShip({ Ship: 'type9', LegalStatus: 'Clean' }, { wing }), 'neutral');
+});
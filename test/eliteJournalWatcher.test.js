@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { watchJournalDirectory } from '../eliteJournalWatcher.mjs';
+
+const fixtures = new URL('./fixtures/', import.meta.url);
+
+test('the watcher replays the newest journal and Status.json', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'elite-journal-'));
+  try {
+    for (const name of ['Journal.2024-05-01T183012.01.log', 'Status.json']) {
+      await fs.copyFile(new URL(name, fixtures), path.join(directory, name));
+    }
+    const errors = [];
+    const tracker = await new Promise((resolve) => {
+      const watcher = watchJournalDirectory(directory, {
+        pollInterval: 20,
+        onError: error => errors.push(error),
+        onUpdate: (updated) => {
+          watcher.close();
+          resolve(updated);
+        }
+      });
+    });
+    assert.equal(errors.length, 1);
+    assert.equal(tracker.getContacts().length, 4);
+    assert.equal(tracker.getSelectedId(), 'ship-1');
+    assert.equal(tracker.getPlayer().heading, 90);
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+});
+
+test('a half-written Status.json is read again once complete, at the same mtime', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'elite-journal-'));
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+  try {
+    const statusPath = path.join(directory, 'Status.json');
+    const status = await fs.readFile(new URL('Status.json', fixtures), 'utf8');
+    const stamp = new Date('2024-05-01T18:33:00Z');
+    await fs.writeFile(statusPath, status.slice(0, 40));
+    await fs.utimes(statusPath, stamp, stamp);
+
+    const updates = [];
+    const errors = [];
+    const watcher = watchJournalDirectory(directory, {
+      pollInterval: 20,
+      onError: error => errors.push(error),
+      onUpdate: tracker => updates.push(tracker.getPlayer().heading)
+    });
+    await sleep(100);
+    assert.deepEqual(updates, []);
+
+    await fs.writeFile(statusPath, status);
+    await fs.utimes(statusPath, stamp, stamp);
+    await sleep(100);
+    watcher.close();
+    assert.deepEqual(updates, [90]);
+    assert.deepEqual(errors, []);
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+});
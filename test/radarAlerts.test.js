@@ -0,0 +1,105 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createAlertEngine, defaultAlertRules, validateAlertRules, withAlertRules } from '../radarAlerts.js';
+
+function hostile(id, distance) {
+  return { id, type: 'hostile', distance };
+}
+
+function types(alerts) {
+  return alerts.map(alert => alert.type);
+}
+
+// ============================================================================
+// ENTER AND LOST
+// ============================================================================
+
+test('the first update only records the situation', () => {
+  const check = createAlertEngine();
+  assert.deepEqual(check([hostile('a', 500)], 0), []);
+});
+
+test('a rule fires when its condition starts to hold, once', () => {
+  const check = createAlertEngine(defaultAlertRules, { cooldown: 0 });
+  check([hostile('a', 3000)], 0);
+  assert.deepEqual(check([hostile('a', 2500)], 100), []);
+  assert.deepEqual(types(check([hostile('a', 1500)], 200)), ['hostile-in-range']);
+  assert.deepEqual(check([hostile('a', 1000)], 300), []);
+});
+
+test('a contact that goes and comes back alerts again', () => {
+  const check = createAlertEngine(defaultAlertRules, { cooldown: 0 });
+  check([hostile('a', 1000)], 0);
+  assert.deepEqual(types(check([], 100)), ['contact-lost']);
+  assert.deepEqual(types(check([hostile('a', 1000)], 200)), ['hostile-in-range', 'new-contact']);
+});
+
+test('a missile on a collision course is incoming', () => {
+  const check = createAlertEngine();
+  check([], 0);
+  const missile = {
+    id: 'm', type: 'missile', distance: 1200, closingSpeed: 300, timeToClosestApproach: 4, closestApproachDistance: 50
+  };
+  const [alert] = check([missile], 100);
+  assert.equal(alert.type, 'missile-incoming');
+  assert.equal(alert.severity, 'critical');
+  assert.match(alert.message, /IMPACT 4 S/);
+});
+
+// ============================================================================
+// GROUPING AND COOLDOWNS
+// ============================================================================
+
+test('contacts that trigger a rule together share one alert named after the nearest', () => {
+  const check = createAlertEngine([{ id: 'close', when: contact => contact.distance < 1000, message: contact => contact.id }]);
+  check([], 0);
+  const [alert] = check([hostile('far', 900), hostile('near', 200)], 100);
+  assert.equal(alert.message, 'near (+1)');
+  assert.deepEqual(alert.contacts.map(contact => contact.id), ['near', 'far']);
+});
+
+test('a type cooling down drops its alerts but still counts the contacts as alerted', () => {
+  const check = createAlertEngine([{ id: 'seen', when: () => true }], { cooldown: 1000 });
+  check([], 0);
+  assert.equal(check([hostile('a', 1)], 100).length, 1);
+  assert.equal(check([hostile('a', 1), hostile('b', 1)], 500).length, 0);
+  assert.equal(check([hostile('a', 1), hostile('b', 1)], 2000).length, 0);
+  assert.equal(check([hostile('a', 1), hostile('b', 1), hostile('c', 1)], 2100).length, 1);
+});
+
+test('per-type cooldowns override the rule and the default', () => {
+  const check = createAlertEngine([{ id: 'seen', when: () => true, cooldown: 10000 }], { cooldowns: { seen: 0 } });
+  check([], 0);
+  assert.equal(check([hostile('a', 1)], 1).length, 1);
+  assert.equal(check([hostile('a', 1), hostile('b', 1)], 2).length, 1);
+});
+
+test('alert keys count up per engine', () => {
+  const check = createAlertEngine([{ id: 'seen', when: () => true, cooldown: 0 }]);
+  check([], 0);
+  const keys = [check([hostile('a', 1)], 1), check([hostile('a', 1), hostile('b', 1)], 2)].map(([alert]) => alert.key);
+  assert.deepEqual(keys, [1, 2]);
+});
+
+// ============================================================================
+// RULE LISTS AND VALIDATION
+// ============================================================================
+
+test('withAlertRules puts the added rules ahead of the defaults', () => {
+  const rules = withAlertRules([{ id: 'station-near', when: contact => contact.type === 'station' }]);
+  assert.deepEqual(rules.map(rule => rule.id), ['station-near', ...defaultAlertRules.map(rule => rule.id)]);
+});
+
+test('invalid rules list every problem', () => {
+  assert.deepEqual(validateAlertRules(defaultAlertRules), []);
+  assert.throws(
+    () => createAlertEngine([{ id: 'a', when: () => true }, { id: 'a', severity: 'loud', on: 'leave' }, null]),
+    error => {
+      assert.match(error.message, /^Invalid alert rules:/);
+      ['defined twice', 'when function', 'severity "loud"', 'on "leave"', 'rule 2 must be an object'].forEach(text => {
+        assert.ok(error.message.includes(text), `mentions ${text}`);
+      });
+      return true;
+    }
+  );
+});
@@ -0,0 +1,157 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mapToRadar, transformToRadarSpace, relativeBearing, resolveRangeScale } from '../radarCore.js';
+
+const linear = resolveRangeScale('linear');
+
+function close(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: expected ${expected}, got ${actual}`);
+}
+
+function closeVector(actual, expected, message) {
+  expected.forEach((value, axis) => close(actual[axis], value, `${message}[${axis}]`));
+}
+
+// ============================================================================
+// BEARING
+// ============================================================================
+
+test('bearings are clockwise from the nose', () => {
+  const cases = [
+    [[0, 0, -1000], 0],
+    [[1000, 0, 0], 90],
+    [[0, 0, 1000], 180],
+    [[-1000, 0, 0], 270],
+    [[1000, 0, -1000], 45]
+  ];
+  cases.forEach(([position, bearing]) => {
+    const contact = transformToRadarSpace({ position }, { maxRange: 5000 });
+    assert.equal(relativeBearing(contact), bearing, `bearing of ${position}`);
+  });
+});
+
+test('bearing follows the ship when it turns', () => {
+  // Yawed 90° to port: the nose points along -x
+  const half = Math.SQRT1_2;
+  const contact = transformToRadarSpace({ position: [-1000, 0, 0] }, {
+    maxRange: 5000,
+    playerQuaternion: [0, half, 0, half]
+  });
+  assert.equal(relativeBearing(contact), 0);
+});
+
+test('a contact straight above sits on the centre axis', () => {
+  const { position, bearing, elevation } = mapToRadar(0, 5000, 0, 5000, 1, linear);
+  closeVector(position, [0, 0.5, 0], 'position');
+  assert.equal(bearing, 0);
+  close(elevation, Math.PI / 2, 'elevation');
+  assert.equal(relativeBearing(transformToRadarSpace({ position: [0, 5000, 0] })), 0);
+});
+
+test('a contact straight below sits on the centre axis', () => {
+  const { position, elevation } = mapToRadar(0, -2500, 0, 5000, 1, linear);
+  closeVector(position, [0, -0.25, 0], 'position');
+  close(elevation, -Math.PI / 2, 'elevation');
+});
+
+test('a contact at the player is at the centre with bearing 0', () => {
+  const contact = transformToRadarSpace({ position: [100, 200, 300] }, { playerPosition: [100, 200, 300] });
+  closeVector(contact.radarPosition, [0, 0, 0], 'position');
+  assert.equal(contact.distance, 0);
+  assert.equal(relativeBearing(contact), 0);
+  assert.equal(contact.outOfRange, false);
+});
+
+test('negative zero offsets do not flip the bearing', () => {
+  const { position, bearing } = mapToRadar(-0, 1000, -0, 5000, 1, linear);
+  assert.equal(bearing, 0);
+  assert.equal(relativeBearing({ basePosition: [position[0], 0, position[2]] }), 0);
+});
+
+// ============================================================================
+// ELEVATION
+// ============================================================================
+
+test('elevation is the angle above the horizontal plane', () => {
+  close(mapToRadar(0, 1000, -1000, 5000, 1, linear).elevation, Math.PI / 4, 'above');
+  close(mapToRadar(0, -1000, -1000, 5000, 1, linear).elevation, -Math.PI / 4, 'below');
+  close(mapToRadar(1000, 0, 0, 5000, 1, linear).elevation, 0, 'level');
+});
+
+test('height is half the scaled distance times the sine of the elevation', () => {
+  const distance = Math.sqrt(2) * 1000;
+  const { position, normalizedDist } = mapToRadar(0, 1000, -1000, 5000, 2, linear);
+  close(normalizedDist, distance / 5000, 'normalized distance');
+  close(position[1], (distance / 5000) * Math.SQRT1_2 * 2 * 0.5, 'height');
+});
+
+test('level contacts sit on the dish plane', () => {
+  const contact = transformToRadarSpace({ position: [2000, 0, -2000] }, { maxRange: 5000 });
+  close(contact.radarPosition[1], 0, 'height');
+  assert.equal(contact.isAbove, false);
+});
+
+// ============================================================================
+// CLAMPING
+// ============================================================================
+
+test('contacts beyond maxRange clamp to the rim and are flagged', () => {
+  const contact = transformToRadarSpace({ position: [0, 0, -20000] }, { maxRange: 5000, radarRadius: 1 });
+  closeVector(contact.radarPosition, [0, 0, -1], 'position');
+  assert.equal(contact.normalizedDistance, 1);
+  assert.equal(contact.outOfRange, true);
+});
+
+test('a contact exactly at maxRange is on the rim but in range', () => {
+  const contact = transformToRadarSpace({ position: [5000, 0, 0] }, { maxRange: 5000 });
+  closeVector(contact.radarPosition, [1, 0, 0], 'position');
+  assert.equal(contact.outOfRange, false);
+});
+
+test('clamped contacts keep their elevation for the stalk', () => {
+  const { position, outOfRange } = mapToRadar(0, 10000, -10000, 5000, 1, linear);
+  assert.equal(outOfRange, true);
+  close(position[1], Math.SQRT1_2 * 0.5, 'height');
+});
+
+test('range scales stay inside the dish', () => {
+  ['linear', 'logarithmic', 'sqrt', 'banded'].forEach(name => {
+    const scale = resolveRangeScale(name);
+    const near = mapToRadar(0, 0, -1, 5000, 1, scale);
+    const far = mapToRadar(0, 0, -1e9, 5000, 1, scale);
+    assert.ok(near.normalizedDist >= 0 && near.normalizedDist < 0.1, `${name} near`);
+    close(far.normalizedDist, 1, `${name} far`);
+  });
+});
+
+// ============================================================================
+// RELATIVE MOTION
+// ============================================================================
+
+test('a stationary contact closes on a moving player', () => {
+  const contact = transformToRadarSpace(
+    { id: 'station', position: [0, 0, -1000] },
+    { playerVelocity: [0, 0, -100] }
+  );
+  close(contact.closingSpeed, 100, 'closing speed');
+  close(contact.timeToClosestApproach, 10, 'time to closest approach');
+  close(contact.closestApproachDistance, 0, 'closest approach');
+  // Only contacts reporting a velocity get a vector and a ghost
+  assert.equal(contact.velocityEnd, undefined);
+});
+
+test('without motion on either side there is no relative motion', () => {
+  const contact = transformToRadarSpace({ id: 'station', position: [0, 0, -1000] });
+  assert.equal(contact.closingSpeed, undefined);
+  assert.equal(contact.timeToClosestApproach, undefined);
+});
+
+test('a contact matching the player velocity is not closing', () => {
+  const contact = transformToRadarSpace(
+    { id: 'wing', position: [200, 0, 0], velocity: [0, 0, -100] },
+    { playerVelocity: [0, 0, -100] }
+  );
+  close(contact.closingSpeed, 0, 'closing speed');
+  assert.equal(contact.timeToClosestApproach, null);
+  assert.ok(contact.velocityEnd);
+});
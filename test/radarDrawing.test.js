@@ -0,0 +1,30 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildRadarDrawing } from '../radarDrawing.js';
+import { transformToRadarSpace } from '../radarCore.js';
+import { resolveTheme } from '../radarThemes.js';
+
+const theme = resolveTheme('eliteClassic');
+const radarContacts = [
+  { type: 'hostile', position: [1000, 0, -1000] },
+  { type: 'neutral', position: [-1000, 200, 500] },
+  { id: 'a', type: 'friendly', position: [0, 0, -2000] }
+].map(contact => transformToRadarSpace(contact));
+
+function primitivesOf(options) {
+  return buildRadarDrawing(radarContacts, { theme, ...options }).contacts
+    .map(({ contact, primitives }) => [contact.type, primitives]);
+}
+
+test('contacts without an id are never the hovered one', () => {
+  const plain = primitivesOf({});
+  assert.deepEqual(primitivesOf({ hoveredId: undefined }), plain);
+  assert.notDeepEqual(primitivesOf({ hoveredId: 'a' }), plain);
+});
+
+test('isHovered picks out a contact without an id', () => {
+  const plain = primitivesOf({});
+  const hovered = primitivesOf({ isHovered: contact => contact === radarContacts[1] });
+  const changed = hovered.filter((entry, index) => JSON.stringify(entry) !== JSON.stringify(plain[index]));
+  assert.deepEqual(changed.map(([type]) => type), ['neutral']);
+});
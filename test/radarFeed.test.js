@@ -0,0 +1,147 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createContactStore, createRadarFeed, backoffDelay } from '../radarFeed.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function ids(contacts) {
+  return contacts.map(contact => contact.id).sort();
+}
+
+// ============================================================================
+// CONTACT STORE
+// ============================================================================
+
+test('snapshots replace, deltas merge and removals drop', () => {
+  const store = createContactStore();
+  store.apply({ type: 'snapshot', contacts: [
+    { id: 'a', position: [0, 0, 0], type: 'hostile' },
+    { id: 'b', position: [1, 1, 1], type: 'friendly' }
+  ] });
+  store.apply([
+    { type: 'delta', contacts: [{ id: 'a', position: [5, 0, 0] }, { id: 'c', position: [2, 2, 2] }] },
+    { type: 'remove', ids: ['b'] }
+  ]);
+  const contacts = store.getContacts();
+  assert.deepEqual(ids(contacts), ['a', 'c']);
+  assert.deepEqual(contacts.find(contact => contact.id === 'a'), { id: 'a', position: [5, 0, 0], type: 'hostile' });
+});
+
+test('invalid contacts go to onError and the rest still apply', () => {
+  const errors = [];
+  const store = createContactStore({ onError: error => errors.push(error) });
+  const changed = store.apply({ type: 'delta', contacts: [{ id: 'x' }, { position: [0, 0, 0] }, { id: 'ok', position: [0, 0, 0] }] });
+  assert.equal(changed, true);
+  assert.equal(errors.length, 2);
+  assert.deepEqual(ids(store.getContacts()), ['ok']);
+  assert.throws(() => store.apply({ type: 'bogus' }), /Unknown feed message type/);
+});
+
+test('contacts not mentioned for staleAfter ms expire', () => {
+  let time = 0;
+  const store = createContactStore({ staleAfter: 1000, now: () => time });
+  store.apply({ type: 'snapshot', contacts: [{ id: 'a', position: [0, 0, 0] }, { id: 'b', position: [0, 0, 0] }] });
+  time = 800;
+  store.apply({ type: 'delta', contacts: [{ id: 'a', position: [1, 0, 0] }] });
+  time = 1500;
+  assert.equal(store.expire(), true);
+  assert.deepEqual(ids(store.getContacts()), ['a']);
+  time = 1900;
+  assert.equal(store.expire(), true);
+  assert.deepEqual(store.getContacts(), []);
+});
+
+// ============================================================================
+// FEED CONNECTION
+// ============================================================================
+
+test('backoff delays grow to the cap', () => {
+  const delays = [0, 1, 2, 3, 10].map(attempt => backoffDelay(attempt));
+  assert.deepEqual(delays, [500, 1000, 2000, 4000, 15000]);
+});
+
+test('an iterable source feeds contacts and closes when it ends', async () => {
+  async function* messages() {
+    yield JSON.stringify({ type: 'snapshot', contacts: [{ id: 'a', position: [0, 0, 0] }] });
+    yield { type: 'delta', contacts: [{ id: 'b', position: [1, 0, 0] }] };
+  }
+  const feed = createRadarFeed(messages(), { staleAfter: Infinity });
+  const states = [];
+  feed.subscribe(state => states.push(state));
+  await sleep(20);
+  assert.deepEqual(ids(feed.getContacts()), ['a', 'b']);
+  assert.equal(feed.getStatus(), 'closed');
+  assert.ok(states.some(state => state.status === 'open'));
+  feed.close();
+});
+
+test('a source that fails straight after opening keeps backing off', async () => {
+  const calls = [];
+  const feed = createRadarFeed(() => {
+    calls.push(Date.now());
+    return (async function* failing() {
+      throw new Error('dropped');
+    }());
+  }, { staleAfter: Infinity, initialDelay: 10, backoffFactor: 2, maxDelay: 1000, onError: () => {} });
+  await sleep(400);
+  feed.close();
+  // 10, 20, 40, 80, 160 ms apart: about six calls in 400 ms, against forty
+  // if every open reset the backoff
+  assert.ok(calls.length >= 3 && calls.length <= 8, `calls: ${calls.length}`);
+  const gaps = calls.slice(1).map((time, index) => time - calls[index]);
+  assert.ok(gaps[gaps.length - 1] > gaps[0] * 2, `gaps: ${gaps.join(', ')}`);
+});
+
+test('a delivered message starts the backoff over', async () => {
+  const calls = [];
+  const feed = createRadarFeed(() => {
+    calls.push(Date.now());
+    return (async function* oneMessage() {
+      yield { type: 'delta', contacts: [{ id: 'a', position: [0, 0, 0] }] };
+      throw new Error('dropped');
+    }());
+  }, { staleAfter: Infinity, initialDelay: 10, backoffFactor: 4, maxDelay: 1000, onError: () => {} });
+  await sleep(150);
+  feed.close();
+  // Always the first delay, so reconnects stay 10 ms apart
+  assert.ok(calls.length >= 5, `calls: ${calls.length}`);
+});
+
+// ============================================================================
+// PLAYER STATE AND TARGET
+// ============================================================================
+
+test('player state and the locked target pass through and never expire', () => {
+  let time = 0;
+  const store = createContactStore({ staleAfter: 1000, now: () => time });
+  assert.equal(store.getPlayer(), undefined);
+  assert.equal(store.getSelectedId(), undefined);
+
+  const player = { heading: 90, playerQuaternion: [0, -Math.SQRT1_2, 0, Math.SQRT1_2] };
+  store.apply({ type: 'snapshot', contacts: [{ id: 'ship-1', position: [0, 0, 0] }], player, selectedId: 'ship-1' });
+  time = 5000;
+  store.expire();
+  assert.deepEqual(store.getContacts(), []);
+  assert.deepEqual(store.getPlayer(), player);
+  assert.equal(store.getSelectedId(), 'ship-1');
+
+  // null clears the target; messages without the fields leave them alone
+  store.apply({ type: 'delta', contacts: [], selectedId: null });
+  store.apply({ type: 'remove', ids: [] });
+  assert.equal(store.getSelectedId(), null);
+  assert.deepEqual(store.getPlayer(), player);
+});
+
+test('feed listeners get the player state and target', async () => {
+  async function* messages() {
+    yield { type: 'snapshot', contacts: [{ id: 'a', position: [0, 0, 0] }], player: { heading: 45 }, selectedId: 'a' };
+  }
+  const feed = createRadarFeed(messages(), { staleAfter: Infinity });
+  let last = null;
+  feed.subscribe(state => { last = state; });
+  await sleep(20);
+  assert.deepEqual(last.player, { heading: 45 });
+  assert.equal(last.selectedId, 'a');
+  assert.equal(feed.getSelectedId(), 'a');
+  feed.close();
+});
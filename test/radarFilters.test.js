@@ -0,0 +1,118 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  applyRadarFilter,
+  countByType,
+  isContactVisible,
+  legendTypes,
+  normalizeFilter,
+  toggleType
+} from '../radarFilters.js';
+
+const contacts = [
+  { id: 'h1', type: 'hostile', distance: 800, tags: ['pirate'] },
+  { id: 'h2', type: 'hostile', distance: 6000, tags: ['bounty', 'pirate'] },
+  { id: 'f1', type: 'friendly', distance: 1200, tags: ['wing'] },
+  { id: 'n1', type: 'neutral', distance: 3000 },
+  { id: 's1', type: 'station', distance: 9000, tags: ['dock'] },
+  { id: 'm1', type: 'missile', distance: 400 }
+];
+
+function visible(filter, selectedId) {
+  return applyRadarFilter(contacts, filter, selectedId).map(contact => contact.id);
+}
+
+// ============================================================================
+// PREDICATES
+// ============================================================================
+
+test('the default filter shows everything', () => {
+  assert.deepEqual(visible(), ['h1', 'h2', 'f1', 'n1', 's1', 'm1']);
+  assert.deepEqual(visible({}), visible(normalizeFilter()));
+});
+
+test('hidden types are left out', () => {
+  assert.deepEqual(visible({ hiddenTypes: ['hostile', 'station'] }), ['f1', 'n1', 'm1']);
+});
+
+test('the range band is inclusive and either end may be open', () => {
+  assert.deepEqual(visible({ rangeBand: [800, 3000] }), ['h1', 'f1', 'n1']);
+  assert.deepEqual(visible({ rangeBand: [null, 1000] }), ['h1', 'm1']);
+  assert.deepEqual(visible({ rangeBand: [5000, undefined] }), ['h2', 's1']);
+  assert.deepEqual(visible({ rangeBand: null }), visible());
+});
+
+test('include tags keep contacts with any of the tags', () => {
+  assert.deepEqual(visible({ includeTags: ['wing', 'dock'] }), ['f1', 's1']);
+});
+
+test('exclude tags drop contacts with any of the tags', () => {
+  assert.deepEqual(visible({ excludeTags: ['bounty', 'wing'] }), ['h1', 'n1', 's1', 'm1']);
+});
+
+test('contacts without tags never match a tag filter', () => {
+  assert.equal(isContactVisible(contacts[3], { includeTags: ['pirate'] }), false);
+  assert.equal(isContactVisible(contacts[3], { excludeTags: ['pirate'] }), true);
+});
+
+test('priority only keeps hostiles and missiles', () => {
+  assert.deepEqual(visible({ priorityOnly: true }), ['h1', 'h2', 'm1']);
+});
+
+// ============================================================================
+// COMPOSITION
+// ============================================================================
+
+test('every filter has to pass', () => {
+  assert.deepEqual(visible({ priorityOnly: true, rangeBand: [null, 1000], excludeTags: ['pirate'] }), ['m1']);
+  assert.deepEqual(visible({ includeTags: ['pirate'], excludeTags: ['bounty'] }), ['h1']);
+  assert.deepEqual(visible({ hiddenTypes: ['missile'], priorityOnly: true, rangeBand: [1000, null] }), ['h2']);
+});
+
+test('the selected target is shown whatever the filters say', () => {
+  const filter = { hiddenTypes: ['station'], priorityOnly: true, rangeBand: [null, 1000], excludeTags: ['dock'] };
+  assert.deepEqual(visible(filter, 's1'), ['h1', 's1', 'm1']);
+});
+
+test('the static selected flag counts until a selection is made', () => {
+  const flagged = [{ id: 'n2', type: 'neutral', distance: 100, selected: true }];
+  assert.equal(applyRadarFilter(flagged, { priorityOnly: true }).length, 1);
+  assert.equal(applyRadarFilter(flagged, { priorityOnly: true }, null).length, 0);
+});
+
+test('contacts beyond the declutter range are marked, not hidden', () => {
+  const result = applyRadarFilter(contacts, { declutterRange: 3000, hiddenTypes: ['station'] });
+  assert.deepEqual(
+    result.map(contact => [contact.id, !!contact.decluttered]),
+    [['h1', false], ['h2', true], ['f1', false], ['n1', false], ['m1', false]]
+  );
+  // Marked contacts are copies; the rest are passed through
+  assert.notEqual(result[1], contacts[1]);
+  assert.equal(contacts[1].decluttered, undefined);
+  assert.equal(result[0], contacts[0]);
+});
+
+// ============================================================================
+// LEGEND HELPERS
+// ============================================================================
+
+test('contacts are counted by type', () => {
+  assert.deepEqual(countByType([...contacts, { id: 'x' }]), {
+    hostile: 2, friendly: 1, neutral: 1, station: 1, missile: 1
+  });
+});
+
+test('the legend lists the standard types, then others alphabetically', () => {
+  assert.deepEqual(
+    legendTypes({ hostile: 1, trader: 2, bounty: 1 }),
+    ['hostile', 'friendly', 'neutral', 'station', 'missile', 'bounty', 'trader']
+  );
+});
+
+test('toggling a type hides it, then shows it again', () => {
+  const filter = { priorityOnly: true };
+  const hidden = toggleType(filter, 'missile');
+  assert.deepEqual(hidden, { priorityOnly: true, hiddenTypes: ['missile'] });
+  assert.deepEqual(toggleType(hidden, 'missile'), { priorityOnly: true, hiddenTypes: [] });
+  assert.deepEqual(filter, { priorityOnly: true });
+});
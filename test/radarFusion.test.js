@@ -0,0 +1,159 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fuseContacts, validateContactSources } from '../radarFusion.js';
+
+function source(id, contacts, extra = {}) {
+  return { id, position: [0, 0, 0], contacts, ...extra };
+}
+
+// ============================================================================
+// CORRELATION
+// ============================================================================
+
+test('reports sharing an id become one fused track', () => {
+  const tracks = fuseContacts([
+    source('own', [{ id: 'h1', type: 'hostile', position: [1000, 0, 0] }]),
+    source('wing', [{ id: 'h1', type: 'hostile', position: [3000, 0, 0] }])
+  ]);
+  assert.equal(tracks.length, 1);
+  assert.equal(tracks[0].fusion.fused, true);
+  assert.deepEqual(tracks[0].fusion.sources, ['own', 'wing']);
+});
+
+test('nearby reports under different ids are correlated', () => {
+  const tracks = fuseContacts([
+    source('own', [{ id: 'h1', position: [1000, 0, 0] }]),
+    source('wing', [{ id: 'w-7', position: [1050, 20, 0] }, { id: 'w-8', position: [5000, 0, 0] }])
+  ]);
+  assert.deepEqual(tracks.map(track => track.id), ['h1', 'w-8']);
+  assert.deepEqual(tracks[0].fusion.ids, ['h1', 'w-7']);
+  assert.equal(tracks[1].fusion.fused, false);
+});
+
+test('two reports from one source never merge', () => {
+  const tracks = fuseContacts([
+    source('own', [{ id: 'a', position: [1000, 0, 0] }, { id: 'b', position: [1010, 0, 0] }])
+  ]);
+  assert.equal(tracks.length, 2);
+});
+
+test('closest pairs join first', () => {
+  // wing-1's report sits between two of ours but nearer the second
+  const tracks = fuseContacts([
+    source('own', [{ id: 'a', position: [0, 0, 0] }, { id: 'b', position: [200, 0, 0] }]),
+    source('wing', [{ id: 'x', position: [120, 0, 0] }])
+  ]);
+  const joined = tracks.find(track => track.fusion.fused);
+  assert.equal(joined.id, 'b');
+});
+
+test('contacts correlate across the whole picture, not just near the origin', () => {
+  const far = [180000, 4000, -250000];
+  const tracks = fuseContacts([
+    source('own', [{ id: 'a', position: far }]),
+    source('wing', [{ id: 'x', position: far.map(value => value + 30) }])
+  ]);
+  assert.equal(tracks.length, 1);
+});
+
+// ============================================================================
+// TIME
+// ============================================================================
+
+test('old reports are moved forward along their velocity, and stale ones dropped', () => {
+  const tracks = fuseContacts([
+    source('own', [{ id: 'a', position: [1000, 0, 0], velocity: [100, 0, 0] }], { time: 10000 }),
+    // Two seconds older: at 800 then, at 1000 now
+    source('wing', [{ id: 'x', position: [800, 0, 0], velocity: [100, 0, 0] }], { time: 8000 }),
+    source('old', [{ id: 'y', position: [1000, 0, 0] }], { time: 1000 })
+  ]);
+  assert.equal(tracks.length, 1);
+  assert.deepEqual(tracks[0].position, [1000, 0, 0]);
+  assert.deepEqual(tracks[0].fusion.sources, ['own', 'wing']);
+});
+
+test('the gate widens with report age', () => {
+  const sources = time => [
+    source('own', [{ id: 'a', position: [0, 0, 0] }], { time: 10000 }),
+    source('wing', [{ id: 'x', position: [300, 0, 0] }], { time })
+  ];
+  // 150 m gate, plus 50 m per second of age
+  assert.equal(fuseContacts(sources(10000)).length, 2);
+  assert.equal(fuseContacts(sources(7000)).length, 1);
+});
+
+test('the track id does not flip as report times change order', () => {
+  const picture = (timeA, timeB) => fuseContacts([
+    source('wing-a', [{ id: 'wing-x', position: [1000, 0, 0] }], { time: timeA }),
+    source('wing-b', [{ id: 'other-x', position: [1020, 0, 0] }], { time: timeB })
+  ]);
+  const first = picture(1000, 1500);
+  const second = picture(2500, 2000);
+  assert.equal(first[0].id, 'wing-x');
+  assert.equal(second[0].id, 'wing-x');
+  assert.deepEqual(second[0].fusion.ids, ['wing-x', 'other-x']);
+});
+
+test('attributes merge with the freshest report winning', () => {
+  const [track] = fuseContacts([
+    source('own', [{ id: 'a', type: 'neutral', position: [0, 0, 0] }], { time: 1000 }),
+    source('wing', [{ id: 'a', type: 'hostile', label: 'Cobra', position: [0, 0, 0] }], { time: 2000 })
+  ]);
+  assert.equal(track.id, 'a');
+  assert.equal(track.type, 'hostile');
+  assert.equal(track.label, 'Cobra');
+});
+
+// ============================================================================
+// CONFIDENCE AND WEIGHTING
+// ============================================================================
+
+test('confidence rises with each independent source and falls with age', () => {
+  const single = fuseContacts([source('own', [{ id: 'a', position: [0, 0, 0] }])]);
+  const pair = fuseContacts([
+    source('own', [{ id: 'a', position: [0, 0, 0] }]),
+    source('wing', [{ id: 'a', position: [0, 0, 0] }])
+  ]);
+  const stale = fuseContacts([
+    source('own', [{ id: 'a', position: [0, 0, 0] }], { time: 0 }),
+    source('clock', [], { time: 2500 })
+  ]);
+  assert.equal(single[0].fusion.confidence, 0.6);
+  assert.ok(Math.abs(pair[0].fusion.confidence - 0.84) < 1e-9);
+  assert.ok(Math.abs(stale[0].fusion.confidence - 0.3) < 1e-9);
+  assert.equal(stale[0].fusion.age, 2500);
+  assert.equal(stale[0].confidence, undefined);
+});
+
+test('reports made closer to their reporter weigh more', () => {
+  const [track] = fuseContacts([
+    { id: 'near', position: [1000, 0, 0], contacts: [{ id: 'a', position: [1000, 0, 0] }] },
+    { id: 'far', position: [-5000, 0, 0], contacts: [{ id: 'a', position: [1100, 0, 0] }] }
+  ]);
+  assert.ok(track.position[0] < 1050, `position ${track.position[0]}`);
+});
+
+// ============================================================================
+// LIMITS AND VALIDATION
+// ============================================================================
+
+test('above maxProximityGroups only ids correlate', () => {
+  const sources = [
+    source('own', [{ id: 'a', position: [0, 0, 0] }, { id: 'b', position: [5000, 0, 0] }]),
+    source('wing', [{ id: 'x', position: [10, 0, 0] }, { id: 'b', position: [5000, 0, 0] }])
+  ];
+  assert.equal(fuseContacts(sources).length, 2);
+  assert.equal(fuseContacts(sources, { maxProximityGroups: 2 }).length, 3);
+});
+
+test('invalid sources list every problem', () => {
+  assert.deepEqual(validateContactSources([source('own', [])]), []);
+  assert.throws(
+    () => fuseContacts([{ id: 'a', contacts: [{}] }, { id: 'a', position: [0, 0, 0], contacts: 3 }]),
+    error => {
+      assert.match(error.message, /^Invalid contact sources:/);
+      assert.equal(error.message.split('\n').length, 5);
+      return true;
+    }
+  );
+});
@@ -0,0 +1,156 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createIffEngine, defaultIffRules, validateIffRules, withIffRules } from '../radarIff.js';
+
+function classify(contact, context = {}, rules = defaultIffRules) {
+  return createIffEngine(rules, context).classify({ id: 'a', ...contact });
+}
+
+// ============================================================================
+// RULE ORDERING
+// ============================================================================
+
+test('the first matching rule wins', () => {
+  // A wanted pilot in the player's group is still a wingmate
+  const result = classify({ group: 'Wing One', wanted: true }, { groups: ['Wing One'] });
+  assert.equal(result.type, 'friendly');
+  assert.equal(result.iff.rule, 'player-group');
+});
+
+test('firing weapons outranks an allied faction', () => {
+  const result = classify({ faction: 'Mother Gaia', weapons: 'firing' }, { faction: 'Mother Gaia' });
+  assert.equal(result.type, 'hostile');
+  assert.equal(result.iff.rule, 'weapons-firing');
+});
+
+test('an allied faction outranks deployed hardpoints', () => {
+  const result = classify({ faction: 'Mother Gaia', weapons: 'deployed' }, { faction: 'Mother Gaia' });
+  assert.equal(result.type, 'friendly');
+  assert.equal(result.iff.rule, 'allied-faction');
+});
+
+test('ordnance and installations are classified before anything else', () => {
+  assert.equal(classify({ kind: 'missile', wanted: true }).type, 'missile');
+  assert.equal(classify({ type: 'station', faction: 'Kumo Crew' }, { hostileFactions: ['Kumo Crew'] }).type, 'station');
+});
+
+test('a declared type is kept when nothing else applies', () => {
+  const result = classify({ type: 'hostile' });
+  assert.equal(result.type, 'hostile');
+  assert.equal(result.iff.rule, 'declared');
+  assert.equal(result.iff.reason, 'Reported as hostile');
+});
+
+test('a contact with no attributes is unidentified', () => {
+  const result = classify({});
+  assert.equal(result.type, 'neutral');
+  assert.equal(result.iff.rule, 'unidentified');
+});
+
+test('added rules run ahead of the defaults', () => {
+  const rules = withIffRules([{ id: 'pirates', type: 'hostile', when: { faction: 'Kumo Crew' } }]);
+  const result = classify({ faction: 'Kumo Crew' }, { faction: 'Kumo Crew' }, rules);
+  assert.equal(result.type, 'hostile');
+  assert.equal(result.iff.rule, 'pirates');
+  // With no reason the rule id is shown
+  assert.equal(result.iff.reason, 'pirates');
+  assert.equal(rules.length, defaultIffRules.length + 1);
+});
+
+// ============================================================================
+// CONTEXT MATCHING
+// ============================================================================
+
+test('factions are matched against the context', () => {
+  const context = { faction: 'Mother Gaia', alliedFactions: ['Li Yong-Rui'], hostileFactions: ['Kumo Crew'] };
+  assert.equal(classify({ faction: 'Mother Gaia' }, context).iff.rule, 'allied-faction');
+  assert.equal(classify({ faction: 'Li Yong-Rui' }, context).iff.rule, 'allied-faction');
+  const hostile = classify({ faction: 'Kumo Crew' }, context);
+  assert.equal(hostile.type, 'hostile');
+  assert.equal(hostile.iff.reason, 'Hostile faction: Kumo Crew');
+  assert.equal(classify({ faction: 'Somebody Else' }, context).iff.rule, 'unidentified');
+});
+
+test('allegiances are matched against the context', () => {
+  const context = { alliedAllegiances: ['Federation'], hostileAllegiances: ['Empire'] };
+  assert.equal(classify({ allegiance: 'Federation' }, context).type, 'friendly');
+  assert.equal(classify({ allegiance: 'Empire' }, context).type, 'hostile');
+  assert.equal(classify({ allegiance: 'Alliance' }, context).type, 'neutral');
+});
+
+test('a contact without a faction does not match an empty player faction', () => {
+  assert.equal(classify({}, { faction: undefined }).iff.rule, 'unidentified');
+});
+
+test('missing context lists match nothing', () => {
+  assert.equal(classify({ group: 'Wing One', faction: 'Kumo Crew' }).iff.rule, 'unidentified');
+});
+
+test('legal status marks a contact hostile', () => {
+  const result = classify({ legalStatus: 'Wanted' });
+  assert.equal(result.type, 'hostile');
+  assert.equal(result.iff.reason, 'Legal status: Wanted');
+  assert.equal(classify({ legalStatus: 'Clean' }).iff.rule, 'unidentified');
+});
+
+test('an attribute object matches any entry of an array value', () => {
+  const rules = [{ id: 'traders', type: 'friendly', when: { kind: 'ship', role: ['trader', 'miner'] } }];
+  assert.equal(classify({ kind: 'ship', role: 'miner' }, {}, rules).iff.rule, 'traders');
+  assert.equal(classify({ kind: 'ship', role: 'pirate' }, {}, rules).iff.rule, null);
+  assert.equal(classify({ kind: 'station', role: 'trader' }, {}, rules).iff.rule, null);
+});
+
+test('predicates and resolvers receive the context', () => {
+  const rules = [{
+    id: 'squadron',
+    type: (contact, context) => (contact.squadron === context.squadron ? 'friendly' : 'hostile'),
+    when: contact => !!contact.squadron,
+    reason: (contact, context) => `Squadron ${contact.squadron} vs ${context.squadron}`
+  }];
+  const result = classify({ squadron: 'ABCD' }, { squadron: 'WXYZ' }, rules);
+  assert.equal(result.type, 'hostile');
+  assert.equal(result.iff.reason, 'Squadron ABCD vs WXYZ');
+});
+
+test('a contact matching no rule keeps its type', () => {
+  const rules = [{ id: 'never', type: 'hostile', when: () => false }];
+  const result = classify({ type: 'neutral' }, {}, rules);
+  assert.equal(result.type, 'neutral');
+  assert.deepEqual(result.iff, { rule: null, reason: null, declaredType: 'neutral' });
+});
+
+test('classification copies the contact and records the declared type', () => {
+  const contact = { id: 'a', type: 'neutral', weapons: 'firing' };
+  const [result] = createIffEngine().classifyAll([contact]);
+  assert.equal(result.type, 'hostile');
+  assert.equal(result.iff.declaredType, 'neutral');
+  assert.equal(contact.type, 'neutral');
+});
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+test('the default rules are valid', () => {
+  assert.deepEqual(validateIffRules(defaultIffRules), []);
+});
+
+test('validation lists every problem', () => {
+  const errors = validateIffRules([
+    { id: 'a', type: 'hostile', when: {} },
+    { id: 'a', type: 3, when: 'always', reason: 5 },
+    null
+  ]);
+  assert.deepEqual(errors, [
+    'rule "a" is defined twice',
+    'rule "a" needs a type (string or function)',
+    'rule "a" needs a when (function or attribute object)',
+    'rule "a" has an invalid reason',
+    'rule 2 must be an object'
+  ]);
+  assert.deepEqual(validateIffRules('nope'), ['IFF rules must be an array']);
+});
+
+test('creating an engine with invalid rules throws', () => {
+  assert.throws(() => createIffEngine([{ id: 'a' }]), /Invalid IFF rules:\n {2}rule "a" needs a type/);
+});
@@ -0,0 +1,120 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { contactLabel, labelFont, measureLabel, placeLabels, rankLabelledContacts } from '../radarLabels.js';
+
+function label(id, x, y, extra = {}) {
+  return { id, anchor: [x, y], width: 40, height: 13, ...extra };
+}
+
+function overlaps(a, b) {
+  return a.left < b.left + b.width && b.left < a.left + a.width
+    && a.top < b.top + b.height && b.top < a.top + a.height;
+}
+
+// ============================================================================
+// LABEL CONTENT
+// ============================================================================
+
+test('the label is the upper-case name and the range', () => {
+  assert.deepEqual(contactLabel({ id: 'h1', callsign: 'Viper Mk III', distance: 1520 }), {
+    name: 'VIPER MK III',
+    range: '1.5 KM',
+    text: 'VIPER MK III 1.5 KM'
+  });
+  assert.equal(contactLabel({ id: 7, distance: 640 }).text, '7 640 M');
+});
+
+test('labels are measured from their length and the font', () => {
+  const { width, height } = measureLabel('ABCDE');
+  assert.equal(width, 5 * (labelFont.size * 0.6 + labelFont.letterSpacing));
+  assert.equal(height, labelFont.size + 4);
+  assert.deepEqual(measureLabel('AB', { size: 10, letterSpacing: 0 }), { width: 12, height: 14 });
+});
+
+// ============================================================================
+// RANKING
+// ============================================================================
+
+const contacts = [
+  { id: 'n-near', type: 'neutral', distance: 100 },
+  { id: 'h-far', type: 'hostile', distance: 4000 },
+  { id: 'f-mid', type: 'friendly', distance: 900 },
+  { id: 'm-mid', type: 'missile', distance: 900 },
+  { id: 's-far', type: 'station', distance: 8000 },
+  { id: 'h-off', type: 'hostile', distance: 9000, outOfRange: true },
+  { id: 'n-clutter', type: 'neutral', distance: 7000, decluttered: true }
+];
+
+function ranked(selectedId, limit) {
+  const isSelected = contact => contact.id === selectedId;
+  return rankLabelledContacts(contacts, isSelected, limit).map(entry => entry.contact.id);
+}
+
+test('the target ranks first, then hostiles and missiles, then the rest by range', () => {
+  assert.deepEqual(ranked('s-far'), ['s-far', 'm-mid', 'h-far', 'n-near', 'f-mid']);
+});
+
+test('off-scale and decluttered contacts are only labelled as the target', () => {
+  assert.ok(!ranked(null).includes('h-off'));
+  assert.ok(!ranked(null).includes('n-clutter'));
+  assert.equal(ranked('h-off')[0], 'h-off');
+  assert.equal(ranked('n-clutter')[0], 'n-clutter');
+});
+
+test('the limit keeps the most important labels', () => {
+  assert.deepEqual(ranked('f-mid', 2), ['f-mid', 'm-mid']);
+});
+
+// ============================================================================
+// PLACEMENT
+// ============================================================================
+
+test('a lone label goes to the right of its marker', () => {
+  const boxes = placeLabels([label('a', 100, 100)]);
+  // Half the 8px marker plus the 3px gap
+  assert.deepEqual(boxes.get('a'), { left: 107, top: 93.5, width: 40, height: 13 });
+});
+
+test('labels in a cluster move to the next free position', () => {
+  const boxes = placeLabels([label('a', 100, 100), label('b', 100, 100), label('c', 100, 100)]);
+  assert.deepEqual(boxes.get('a'), { left: 107, top: 93.5, width: 40, height: 13 });
+  assert.deepEqual(boxes.get('b'), { left: 53, top: 93.5, width: 40, height: 13 });
+  assert.deepEqual(boxes.get('c'), { left: 107, top: 80, width: 40, height: 13 });
+});
+
+test('labels keep clear of other contacts\' markers', () => {
+  // b's marker sits where a's label would go
+  const boxes = placeLabels([label('a', 100, 100), label('b', 120, 100)]);
+  assert.equal(boxes.get('a').left, 53);
+  assert.equal(boxes.get('b').left, 127);
+});
+
+test('labels with no free position are hidden', () => {
+  const cluster = Array.from({ length: 12 }, (_, i) => label(`c${i}`, 100, 100));
+  const boxes = placeLabels(cluster);
+  const shown = [...boxes.values()].filter(Boolean);
+  assert.ok(shown.length > 1 && shown.length < cluster.length);
+  assert.equal(boxes.get('c11'), null);
+  // Earlier labels win
+  assert.notEqual(boxes.get('c0'), null);
+});
+
+test('no two placed labels overlap each other or a marker', () => {
+  const labels = [
+    label('a', 100, 100), label('b', 110, 104), label('c', 95, 90),
+    label('d', 160, 100), label('e', 104, 120), label('f', 60, 100)
+  ];
+  const boxes = [...placeLabels(labels).values()].filter(Boolean);
+  boxes.forEach((box, i) => {
+    boxes.slice(i + 1).forEach(other => assert.ok(!overlaps(box, other)));
+    labels.forEach(({ anchor }) => {
+      assert.ok(!overlaps(box, { left: anchor[0] - 4, top: anchor[1] - 4, width: 8, height: 8 }));
+    });
+  });
+});
+
+test('marker size and gap set the offset', () => {
+  const boxes = placeLabels([label('a', 100, 100, { markerSize: 20 })], { gap: 5 });
+  assert.equal(boxes.get('a').left, 115);
+  assert.equal(placeLabels([label('b', 100, 100)], { markerSize: 4, gap: 0 }).get('b').left, 102);
+});
@@ -0,0 +1,183 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  RECORDING_FORMAT,
+  createPlayback,
+  createRecorder,
+  parseRecording,
+  serializeRecording
+} from '../radarRecording.js';
+
+function ship(id, x, extra = {}) {
+  return { id, type: 'hostile', position: [x, 0, 0], ...extra };
+}
+
+// Records a short session with a fake clock: a keyframe at 0 and 1000 ms,
+// with moves, an arrival, a removal and selection changes in between
+function recordSession() {
+  let clock = 5000;
+  const recorder = createRecorder({ keyframeInterval: 1000, now: () => clock });
+  const at = (t, inputs) => {
+    clock = 5000 + t;
+    return recorder.capture(inputs);
+  };
+
+  at(0, { contacts: [ship('a', 100), ship('b', 200)], selectedId: 'a' });
+  at(400, { contacts: [ship('a', 110), ship('b', 200)], selectedId: 'a' });
+  at(600, { contacts: [ship('a', 120), ship('b', 200), ship('m', 50, { type: 'missile' })], selectedId: 'a' });
+  at(800, { contacts: [ship('a', 130), ship('m', 40, { type: 'missile' })], selectedId: null, playerPosition: [0, 0, 10] });
+  at(1000, { contacts: [ship('a', 140), ship('m', 30, { type: 'missile' })], playerPosition: [0, 0, 10] });
+  at(1200, { contacts: [ship('a', 150)], playerPosition: [0, 0, 10] });
+  return recorder;
+}
+
+function createRecordingFromSession() {
+  return recordSession().getRecording();
+}
+
+function ids(frame) {
+  return frame.contacts.map(contact => contact.id).sort();
+}
+
+function positionOf(frame, id) {
+  return frame.contacts.find(contact => contact.id === id).position;
+}
+
+// ============================================================================
+// RECORDER
+// ============================================================================
+
+test('the recorder writes keyframes, deltas and removals', () => {
+  const { frames, duration, format } = createRecordingFromSession();
+  assert.equal(format, RECORDING_FORMAT);
+  assert.equal(duration, 1200);
+  assert.deepEqual(frames.map(frame => frame.t), [0, 400, 600, 800, 1000, 1200]);
+  assert.ok(frames[0].snapshot);
+  assert.ok(frames[4].snapshot);
+  // Only the contact that moved is stored
+  assert.deepEqual(frames[1].delta.map(contact => contact.id), ['a']);
+  assert.deepEqual(frames[3].remove, ['b']);
+  assert.equal(frames[3].selectedId, null);
+  assert.deepEqual(frames[3].player.position, [0, 0, 10]);
+  assert.equal(frames[5].player, undefined);
+});
+
+test('an unchanged capture writes no frame', () => {
+  let clock = 0;
+  const recorder = createRecorder({ now: () => clock });
+  recorder.capture({ contacts: [ship('a', 1)] });
+  clock = 100;
+  assert.equal(recorder.capture({ contacts: [ship('a', 1.01)] }), null);
+  assert.equal(recorder.getFrameCount(), 1);
+});
+
+// ============================================================================
+// ROUND TRIP
+// ============================================================================
+
+['ndjson', 'json'].forEach(format => {
+  test(`a ${format} recording parses back to the same frames`, () => {
+    const recording = createRecordingFromSession();
+    const text = serializeRecording(recording, format);
+    assert.deepEqual(parseRecording(text), recording);
+  });
+});
+
+test('ndjson is a header line followed by one frame per line', () => {
+  const lines = recordSession().serialize().trim().split('\n').map(line => JSON.parse(line));
+  assert.equal(lines.length, 7);
+  assert.equal(lines[0].format, RECORDING_FORMAT);
+  assert.equal(lines[0].frames, undefined);
+  assert.equal(lines[1].t, 0);
+});
+
+// ============================================================================
+// PLAYBACK
+// ============================================================================
+
+function playbackFromText() {
+  return createPlayback(parseRecording(recordSession().serialize()));
+}
+
+test('playback rebuilds the radar inputs frame by frame', () => {
+  const playback = playbackFromText();
+  assert.equal(playback.duration, 1200);
+
+  const start = playback.frameAt(0);
+  assert.deepEqual(ids(start), ['a', 'b']);
+  assert.equal(start.selectedId, 'a');
+  assert.deepEqual(start.playerPosition, [0, 0, 0]);
+
+  // Between frames the last one applies
+  assert.deepEqual(positionOf(playback.frameAt(500), 'a'), [110, 0, 0]);
+  assert.deepEqual(ids(playback.frameAt(600)), ['a', 'b', 'm']);
+
+  const removed = playback.frameAt(900);
+  assert.deepEqual(ids(removed), ['a', 'm']);
+  assert.equal(removed.selectedId, null);
+  assert.deepEqual(removed.playerPosition, [0, 0, 10]);
+
+  assert.deepEqual(ids(playback.frameAt(5000)), ['a']);
+});
+
+test('seeking backwards restores contacts that were removed later', () => {
+  const playback = playbackFromText();
+  playback.frameAt(1200);
+
+  const earlier = playback.frameAt(650);
+  assert.deepEqual(ids(earlier), ['a', 'b', 'm']);
+  assert.deepEqual(positionOf(earlier, 'a'), [120, 0, 0]);
+  assert.equal(earlier.selectedId, 'a');
+  assert.deepEqual(earlier.playerPosition, [0, 0, 0]);
+});
+
+test('seeking backwards past a keyframe restarts from the one before it', () => {
+  const playback = playbackFromText();
+  playback.frameAt(1200);
+
+  const afterKeyframe = playback.frameAt(1100);
+  assert.deepEqual(ids(afterKeyframe), ['a', 'm']);
+  assert.deepEqual(positionOf(afterKeyframe, 'm'), [30, 0, 0]);
+
+  assert.deepEqual(ids(playback.frameAt(100)), ['a', 'b']);
+  assert.deepEqual(positionOf(playback.frameAt(100), 'a'), [100, 0, 0]);
+});
+
+test('the frame keeps its identity until something changes', () => {
+  const playback = playbackFromText();
+  const frame = playback.frameAt(400);
+  assert.equal(playback.frameAt(450), frame);
+  assert.notEqual(playback.frameAt(600), frame);
+});
+
+test('an empty recording plays back an empty radar', () => {
+  const playback = createPlayback(parseRecording(createRecorder().serialize()));
+  assert.equal(playback.duration, 0);
+  assert.deepEqual(playback.frameAt(0).contacts, []);
+});
+
+// ============================================================================
+// REJECTION
+// ============================================================================
+
+test('JSON that is not a recording is rejected', () => {
+  assert.throws(() => parseRecording('{"Flags": 16842765, "timestamp": "2026-01-01T00:00:00Z"}'), /Not a radar recording/);
+  assert.throws(() => parseRecording('[1, 2, 3]'), /Not a radar recording/);
+  assert.throws(() => parseRecording('{ "event": "Fileheader" }\n{ "event": "LoadGame" }\n'), /Not a radar recording/);
+  assert.throws(() => parseRecording(''), /Not a radar recording/);
+});
+
+test('text that is not JSON is rejected', () => {
+  assert.throws(() => parseRecording('hello radar'), SyntaxError);
+});
+
+test('newer versions and recordings without a leading snapshot are rejected', () => {
+  assert.throws(
+    () => parseRecording(JSON.stringify({ format: RECORDING_FORMAT, version: 99, frames: [] })),
+    /Unsupported radar recording version: 99/
+  );
+  assert.throws(
+    () => parseRecording(JSON.stringify({ format: RECORDING_FORMAT, version: 1, frames: [{ t: 0, delta: [] }] })),
+    /must start with a snapshot frame/
+  );
+});
@@ -0,0 +1,193 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createRng,
+  createSensorModel,
+  contactSignature,
+  detectionRange,
+  defaultSensor,
+  validateSensor
+} from '../radarSensors.js';
+
+// No noise, so only detection decides what comes back
+const exact = { jitter: 0, minJitter: 0 };
+
+function idsOf(contacts) {
+  return contacts.map(contact => contact.id);
+}
+
+// ============================================================================
+// RANDOM NUMBERS
+// ============================================================================
+
+test('the generator repeats for a seed and differs between seeds', () => {
+  const a = createRng(42);
+  const b = createRng(42);
+  const c = createRng(43);
+  const first = Array.from({ length: 5 }, a);
+  assert.deepEqual(Array.from({ length: 5 }, b), first);
+  assert.notDeepEqual(Array.from({ length: 5 }, c), first);
+  first.forEach(value => assert.ok(value >= 0 && value < 1));
+});
+
+// ============================================================================
+// DETECTION RANGE AND SIGNATURES
+// ============================================================================
+
+test('detection range grows with the fourth root of the signature', () => {
+  assert.equal(detectionRange(1), defaultSensor.range);
+  assert.equal(detectionRange(16), defaultSensor.range * 2);
+  assert.equal(detectionRange(1 / 16, { range: 4000 }), 2000);
+});
+
+test('signatures come from the contact, then its kind, then the default', () => {
+  assert.equal(contactSignature({ type: 'hostile', signature: 4 }), 4);
+  assert.equal(contactSignature({ type: 'station' }), 20);
+  assert.equal(contactSignature({ type: 'neutral', kind: 'missile' }), 0.2);
+  assert.equal(contactSignature({ type: 'hostile' }), 1);
+});
+
+test('contacts beyond detection range are hidden', () => {
+  const model = createSensorModel({ ...exact, range: 1000 });
+  const seen = model.measure([
+    { id: 'near', type: 'hostile', position: [0, 0, -999] },
+    { id: 'edge', type: 'hostile', position: [0, 0, -1000] },
+    { id: 'far', type: 'hostile', position: [0, 0, -1001] }
+  ]);
+  assert.deepEqual(idsOf(seen), ['near', 'edge']);
+});
+
+test('the player position is the origin of the range check', () => {
+  const model = createSensorModel({ ...exact, range: 1000 });
+  const contacts = [{ id: 'a', type: 'hostile', position: [5000, 0, 0] }];
+  assert.equal(model.measure(contacts).length, 0);
+  assert.equal(model.measure(contacts, [4500, 0, 0]).length, 1);
+});
+
+test('a louder signature is seen further out', () => {
+  const model = createSensorModel({ ...exact, range: 1000 });
+  const seen = model.measure([
+    { id: 'ship', type: 'neutral', position: [0, 0, -1500] },
+    { id: 'station', type: 'station', position: [0, 0, -1500] },
+    { id: 'loud', type: 'neutral', signature: 16, position: [0, 0, -1900] }
+  ]);
+  assert.deepEqual(idsOf(seen), ['station', 'loud']);
+});
+
+test('contacts between resolution and detection range are unresolved blips', () => {
+  const model = createSensorModel({ ...exact, range: 1000, resolution: 0.5 });
+  const [resolved, blip] = model.measure([
+    { id: 'a', type: 'hostile', label: 'Cobra', position: [0, 0, -400] },
+    { id: 'b', type: 'hostile', label: 'Viper', velocity: [1, 0, 0], position: [0, 0, -800], iff: { rule: 'wanted' } }
+  ]);
+  assert.equal(resolved.type, 'hostile');
+  assert.equal(resolved.label, 'Cobra');
+  assert.equal(resolved.sensor.resolved, true);
+
+  assert.deepEqual(Object.keys(blip).sort(), ['id', 'label', 'position', 'sensor', 'type', 'unresolved']);
+  assert.equal(blip.id, 'b');
+  assert.equal(blip.type, 'unresolved');
+  assert.equal(blip.label, 'Unresolved');
+  assert.equal(blip.sensor.resolved, false);
+  assert.equal(blip.sensor.distance, 800);
+});
+
+test("unresolved: 'hide' drops blips as well", () => {
+  const model = createSensorModel({ ...exact, range: 1000, resolution: 0.5, unresolved: 'hide' });
+  const seen = model.measure([
+    { id: 'a', type: 'hostile', position: [0, 0, -400] },
+    { id: 'b', type: 'hostile', position: [0, 0, -800] }
+  ]);
+  assert.deepEqual(idsOf(seen), ['a']);
+});
+
+// ============================================================================
+// SILENT RUNNING
+// ============================================================================
+
+test('running silent scales the signature down', () => {
+  assert.equal(contactSignature({ type: 'hostile', silent: true }), defaultSensor.silentFactor);
+  assert.equal(contactSignature({ type: 'hostile', signature: 4, silent: true }, { ...defaultSensor, silentFactor: 0.5 }), 2);
+});
+
+test('a silent ship is only picked up much closer', () => {
+  // Silent signature 0.1 -> detection range 1000 * 0.1^0.25, about 562 m
+  const model = createSensorModel({ ...exact, range: 1000, resolution: 1 });
+  const at = distance => ({ id: `silent-${distance}`, type: 'hostile', silent: true, position: [distance, 0, 0] });
+  const seen = model.measure([at(900), at(600), at(550), at(100)]);
+  assert.deepEqual(idsOf(seen), ['silent-550', 'silent-100']);
+  assert.ok(Math.abs(seen[0].sensor.detectionRange - 1000 * Math.pow(0.1, 0.25)) < 1e-9);
+});
+
+// ============================================================================
+// NOISE
+// ============================================================================
+
+const noisyContacts = [
+  { id: 'a', type: 'hostile', position: [300, 20, -900] },
+  { id: 'b', type: 'friendly', position: [-1200, -50, 400] },
+  { id: 'c', type: 'station', position: [0, 0, -4000] }
+];
+
+test('the same seed measures the same way', () => {
+  const first = createSensorModel({ seed: 1234, jitter: 0.05 });
+  const second = createSensorModel({ seed: 1234, jitter: 0.05 });
+  for (let update = 0; update < 3; update++) {
+    assert.deepEqual(second.measure(noisyContacts), first.measure(noisyContacts));
+  }
+});
+
+test('reset rewinds the noise to the seed', () => {
+  const model = createSensorModel({ seed: 99, jitter: 0.05 });
+  const first = model.measure(noisyContacts);
+  assert.notDeepEqual(model.measure(noisyContacts), first);
+  model.reset();
+  assert.deepEqual(model.measure(noisyContacts), first);
+});
+
+test('a different seed gives different noise', () => {
+  const a = createSensorModel({ seed: 1, jitter: 0.05 }).measure(noisyContacts);
+  const b = createSensorModel({ seed: 2, jitter: 0.05 }).measure(noisyContacts);
+  assert.notDeepEqual(a.map(contact => contact.position), b.map(contact => contact.position));
+});
+
+test('noise scales with distance and has a floor', () => {
+  const offsets = (options, distance) => {
+    const model = createSensorModel({ seed: 7, range: 1e6, ...options });
+    const contacts = Array.from({ length: 200 }, (_, index) => ({ id: index, type: 'hostile', position: [distance, 0, 0] }));
+    const errors = model.measure(contacts).map(contact => contact.position[0] - distance);
+    return Math.sqrt(errors.reduce((sum, error) => sum + error * error, 0) / errors.length);
+  };
+  const near = offsets({ jitter: 0.01 }, 1000);
+  const far = offsets({ jitter: 0.01 }, 10000);
+  assert.ok(near > 5 && near < 15, `spread near: ${near}`);
+  assert.ok(far > 50 && far < 150, `spread far: ${far}`);
+  const floored = offsets({ jitter: 0, minJitter: 20 }, 10);
+  assert.ok(floored > 10 && floored < 30, `spread with floor: ${floored}`);
+});
+
+test('without jitter positions are exact and the input is untouched', () => {
+  const contacts = [{ id: 'a', type: 'hostile', position: [100, 0, -100] }];
+  const [measured] = createSensorModel(exact).measure(contacts);
+  assert.deepEqual(measured.position, [100, 0, -100]);
+  assert.notEqual(measured, contacts[0]);
+  assert.equal(contacts[0].sensor, undefined);
+});
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+test('invalid settings list every problem', () => {
+  assert.deepEqual(validateSensor(defaultSensor), []);
+  assert.throws(
+    () => createSensorModel({ range: 0, resolution: 2, jitter: -1, unresolved: 'maybe', signatures: { ship: 'loud' } }),
+    error => {
+      assert.match(error.message, /^Invalid sensor:/);
+      ['range', 'resolution', 'jitter', 'unresolved', 'signatures.ship'].forEach(field => {
+        assert.ok(error.message.includes(field), `mentions ${field}`);
+      });
+      return true;
+    }
+  );
+});
@@ -0,0 +1,124 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  applyTargetAction,
+  cycleTarget,
+  eventToBinding,
+  nearestTarget,
+  normalizeBinding,
+  sortByRange
+} from '../radarTargeting.js';
+
+// Deliberately out of range order
+const contacts = [
+  { id: 'far-hostile', type: 'hostile', distance: 4000 },
+  { id: 'near-neutral', type: 'neutral', distance: 500 },
+  { id: 'mid-hostile', type: 'hostile', distance: 1500 },
+  { id: 'mid-friendly', type: 'friendly', distance: 1000 }
+];
+
+function ids(list) {
+  return list.map(contact => contact.id);
+}
+
+function cycle(step, count, startId = null) {
+  const visited = [];
+  let currentId = startId;
+  for (let i = 0; i < count; i++) {
+    currentId = cycleTarget(contacts, currentId, step).id;
+    visited.push(currentId);
+  }
+  return visited;
+}
+
+// ============================================================================
+// ORDERING
+// ============================================================================
+
+test('contacts are ordered nearest first without changing the input', () => {
+  assert.deepEqual(ids(sortByRange(contacts)), ['near-neutral', 'mid-friendly', 'mid-hostile', 'far-hostile']);
+  assert.equal(contacts[0].id, 'far-hostile');
+});
+
+test('next starts at the nearest contact and moves outwards', () => {
+  assert.deepEqual(cycle(1, 4), ['near-neutral', 'mid-friendly', 'mid-hostile', 'far-hostile']);
+});
+
+test('previous starts at the farthest contact and moves inwards', () => {
+  assert.deepEqual(cycle(-1, 4), ['far-hostile', 'mid-hostile', 'mid-friendly', 'near-neutral']);
+});
+
+// ============================================================================
+// WRAP-AROUND
+// ============================================================================
+
+test('next wraps from the farthest back to the nearest', () => {
+  assert.equal(cycleTarget(contacts, 'far-hostile', 1).id, 'near-neutral');
+});
+
+test('previous wraps from the nearest round to the farthest', () => {
+  assert.equal(cycleTarget(contacts, 'near-neutral', -1).id, 'far-hostile');
+});
+
+test('a full cycle comes back to where it started', () => {
+  assert.deepEqual(cycle(1, 5, 'mid-friendly'), ['mid-hostile', 'far-hostile', 'near-neutral', 'mid-friendly', 'mid-hostile']);
+});
+
+test('a single contact cycles to itself', () => {
+  const one = [{ id: 'only', distance: 10 }];
+  assert.equal(cycleTarget(one, 'only', 1).id, 'only');
+  assert.equal(cycleTarget(one, 'only', -1).id, 'only');
+});
+
+test('a target that has left the radar restarts the cycle', () => {
+  assert.equal(cycleTarget(contacts, 'gone', 1).id, 'near-neutral');
+  assert.equal(cycleTarget(contacts, 'gone', -1).id, 'far-hostile');
+});
+
+test('cycling an empty radar selects nothing', () => {
+  assert.equal(cycleTarget([], 'gone', 1), null);
+});
+
+// ============================================================================
+// NEAREST
+// ============================================================================
+
+test('nearest picks the closest contact of any type', () => {
+  assert.equal(nearestTarget(contacts).id, 'near-neutral');
+  assert.equal(applyTargetAction('nearest', contacts, 'far-hostile').id, 'near-neutral');
+});
+
+test('nearest hostile skips closer contacts of other types', () => {
+  assert.equal(applyTargetAction('nearestHostile', contacts, null).id, 'mid-hostile');
+});
+
+test('nearest hostile finds nothing when no hostiles are on the radar', () => {
+  const peaceful = contacts.filter(contact => contact.type !== 'hostile');
+  assert.equal(applyTargetAction('nearestHostile', peaceful, 'near-neutral'), null);
+});
+
+test('equal distances keep the first contact as nearest', () => {
+  const tied = [{ id: 'a', distance: 100 }, { id: 'b', distance: 100 }];
+  assert.equal(nearestTarget(tied).id, 'a');
+});
+
+// ============================================================================
+// ACTIONS AND BINDINGS
+// ============================================================================
+
+test('next and previous actions cycle from the current target', () => {
+  assert.equal(applyTargetAction('next', contacts, 'mid-friendly').id, 'mid-hostile');
+  assert.equal(applyTargetAction('previous', contacts, 'mid-friendly').id, 'near-neutral');
+});
+
+test('clear selects nothing and unknown actions throw', () => {
+  assert.equal(applyTargetAction('clear', contacts, 'mid-hostile'), null);
+  assert.throws(() => applyTargetAction('fire', contacts, null), /Unknown target action: fire/);
+});
+
+test('bindings match key events whatever the modifier order', () => {
+  const event = { code: 'KeyG', shiftKey: true, ctrlKey: true, altKey: false, metaKey: false };
+  assert.equal(eventToBinding(event), 'Ctrl+Shift+KeyG');
+  assert.equal(normalizeBinding('Shift+Ctrl+KeyG'), 'Ctrl+Shift+KeyG');
+  assert.equal(normalizeBinding('KeyT'), 'KeyT');
+});
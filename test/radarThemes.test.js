@@ -0,0 +1,133 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getTheme, listThemes, mergeTheme, registerTheme, resolveTheme, themes, validateTheme } from '../radarThemes.js';
+
+function colorErrors(color) {
+  return validateTheme({ scanline: color }, { partial: true });
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+test('the built-in themes are complete and valid', () => {
+  assert.deepEqual(validateTheme(themes.eliteClassic), []);
+  assert.deepEqual(validateTheme(themes.eliteDangerous), []);
+});
+
+test('hex, functional and named colors are accepted', () => {
+  [
+    '#0f0', '#0f08', '#00ff00', '#00ff0080',
+    'rgb(0, 255, 0)', 'rgba(0,0,0,0.1)', 'rgb(0 255 0 / 50%)',
+    'hsl(120, 100%, 50%)', 'hsla(120deg 100% 50% / 0.5)',
+    'lime', 'DarkOrange', 'rebeccapurple'
+  ].forEach(color => assert.deepEqual(colorErrors(color), [], color));
+});
+
+test('strings that are not colors are rejected', () => {
+  assert.deepEqual(colorErrors('banana'), ['scanline is not a hex, rgb(), hsl() or named color: banana']);
+  assert.equal(colorErrors('rgb(0, 255)').length, 1);
+  assert.equal(colorErrors('rgb(red, green, blue)').length, 1);
+  assert.equal(colorErrors('url(#glow)').length, 1);
+  assert.deepEqual(colorErrors('#00ff0'), ['scanline is not a valid hex color: #00ff0']);
+  assert.deepEqual(colorErrors(''), ['scanline must be a CSS color string']);
+  assert.deepEqual(colorErrors(0x00ff00), ['scanline must be a CSS color string']);
+});
+
+test('contact colors are checked for any contact type', () => {
+  assert.deepEqual(
+    validateTheme({ contacts: { pirate: 'crimson', trader: 'tealish' } }, { partial: true }),
+    ['contacts.trader is not a hex, rgb(), hsl() or named color: tealish']
+  );
+});
+
+test('opacity and strings are checked', () => {
+  assert.deepEqual(
+    validateTheme({ label: 3, dish: { opacity: 1.5 }, stalk: { opacity: '0.5' } }, { partial: true }),
+    ['label must be a string', 'dish.opacity must be a number between 0 and 1', 'stalk.opacity must be a number between 0 and 1']
+  );
+});
+
+test('unknown keys are reported with their path', () => {
+  assert.deepEqual(
+    validateTheme({ dish: { colour: '#fff' }, sweep: '#fff' }, { partial: true }),
+    ['sweep is not a theme property', 'dish.colour is not a theme property']
+  );
+});
+
+test('a full theme must define everything', () => {
+  const errors = validateTheme({ label: 'Bare' });
+  assert.ok(errors.includes('dish is required'));
+  assert.ok(errors.includes('overlay is required'));
+  assert.ok(!errors.includes('label is required'));
+  assert.deepEqual(validateTheme(null), ['theme must be an object']);
+});
+
+// ============================================================================
+// MERGING
+// ============================================================================
+
+test('merging replaces leaves and recurses into groups', () => {
+  const base = { label: 'Base', dish: { color: '#000', opacity: 0.2 }, contacts: { hostile: 'red' } };
+  const merged = mergeTheme(base, { dish: { opacity: 0.5 }, contacts: { pirate: 'orange' }, glow: 'lime' });
+  assert.deepEqual(merged, {
+    label: 'Base',
+    dish: { color: '#000', opacity: 0.5 },
+    contacts: { hostile: 'red', pirate: 'orange' },
+    glow: 'lime'
+  });
+  assert.deepEqual(base, { label: 'Base', dish: { color: '#000', opacity: 0.2 }, contacts: { hostile: 'red' } });
+});
+
+test('merging adds groups the base does not have', () => {
+  assert.deepEqual(mergeTheme({}, { hud: { text: 'white' } }), { hud: { text: 'white' } });
+});
+
+test('a registered theme is merged over its base', () => {
+  const theme = registerTheme('testMerge', {
+    dish: { color: '#66ccff' },
+    contacts: { pirate: '#ff0000' }
+  }, { extends: 'eliteDangerous' });
+
+  assert.equal(theme.label, 'testMerge');
+  assert.deepEqual(theme.dish, { color: '#66ccff', opacity: themes.eliteDangerous.dish.opacity });
+  assert.equal(theme.contacts.pirate, '#ff0000');
+  assert.equal(theme.contacts.hostile, themes.eliteDangerous.contacts.hostile);
+  assert.equal(theme.background, themes.eliteDangerous.background);
+  assert.deepEqual(validateTheme(theme), []);
+  assert.equal(getTheme('testMerge'), theme);
+  assert.ok(listThemes().includes('testMerge'));
+});
+
+test('merging leaves the base theme untouched', () => {
+  const before = JSON.stringify(themes.eliteClassic);
+  registerTheme('testUntouched', { ring: { opacity: 0.9 }, hud: { text: 'white' } });
+  assert.equal(JSON.stringify(themes.eliteClassic), before);
+});
+
+test('registering an invalid theme lists every problem', () => {
+  assert.throws(
+    () => registerTheme('testBroken', { dish: { color: 'bluish', opacity: 2 } }),
+    {
+      message: 'registerTheme: invalid theme "testBroken":\n'
+        + '  dish.color is not a hex, rgb(), hsl() or named color: bluish\n'
+        + '  dish.opacity must be a number between 0 and 1'
+    }
+  );
+  assert.equal(getTheme('testBroken'), null);
+  assert.throws(() => registerTheme('testBase', {}, { extends: 'nope' }), /unknown base theme "nope"/);
+});
+
+test('theme objects resolve over the classic theme, once', () => {
+  const custom = { glow: 'hsl(200, 100%, 60%)' };
+  const resolved = resolveTheme(custom);
+  assert.equal(resolved.glow, 'hsl(200, 100%, 60%)');
+  assert.equal(resolved.dish, themes.eliteClassic.dish);
+  assert.equal(resolveTheme(custom), resolved);
+  assert.throws(() => resolveTheme({ glow: 'glowing' }), /Invalid theme:\n {2}glow is not a hex/);
+});
+
+test('unknown theme names fall back to the classic theme', () => {
+  assert.equal(resolveTheme('eliteDangerous'), themes.eliteDangerous);
+  assert.equal(resolveTheme('nope'), themes.eliteClassic);
+});
@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveView, viewSpan, radarViewNames } from '../radarViews.js';
+import { viewProjection, perspectiveProjection } from '../radarDrawing.js';
+import { renderRadarSVG } from '../radarSnapshot.js';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('the top view is orthographic, nose up and right to the right', () => {
+  const top = resolveView('top');
+  assert.equal(top.orthographic, true);
+  const projection = viewProjection(top, { width: 800, height: 600 });
+  const [cx, cy] = projection.project([0, 0, 0]);
+  const [nx, ny] = projection.project([0, 0, -1]);
+  const [rx, ry] = projection.project([1, 0, 0]);
+  assert.deepEqual([cx, cy], [400, 300]);
+  close(nx, 400);
+  assert.ok(ny < cy);
+  assert.ok(rx > cx);
+  close(ry, 300);
+});
+
+test('height does not move a contact in the top view', () => {
+  const projection = viewProjection(resolveView('top'));
+  const [gx, gy] = projection.project([0.4, 0, -0.3]);
+  const [hx, hy] = projection.project([0.4, 0.5, -0.3]);
+  close(hx, gx);
+  close(hy, gy);
+});
+
+test('the orthographic scale matches the perspective one at the target', () => {
+  const top = resolveView('top');
+  const flat = viewProjection(top, { height: 600 });
+  const lens = perspectiveProjection({ ...top, height: 600 });
+  close(flat.unitsAt([0, 0, 0]), lens.unitsAt([0, 0, 0]));
+  close(flat.unitsAt([0, 0, 0]), 600 / viewSpan(top));
+});
+
+test('unknown views list the known ones', () => {
+  assert.throws(() => resolveView('plan'), new RegExp(`expected ${radarViewNames.join(', ')}`));
+});
+
+test('renderRadarSVG draws every named view', () => {
+  radarViewNames.forEach(view => {
+    const svg = renderRadarSVG({ contacts: [{ id: 'a', type: 'hostile', position: [1000, 200, -1000] }], view });
+    assert.match(svg, /^<svg/);
+  });
+});
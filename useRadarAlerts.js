@@ -0,0 +1,79 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { createAlertEngine, defaultAlertRules } from './radarAlerts.js';
+import { createAlertSynth, resolveAlertTone } from './radarAlertTones.js';
+
+// Runs the alert engine (radarAlerts.js) over `radarContacts` whenever they
+// change. Each alert goes to `onAlert`, plays its tone unless its type is in
+// `muted`, and joins `banners` (newest first, at most `maxBanners`) until
+// `bannerDuration` ms have passed or it is dismissed. `rules` is false to
+// disable, true for the defaults, or a rule list. Changing the rule ids,
+// `options` or `resetKey` starts the engine afresh; a rule list is compared
+// by its ids, so inline lists don't restart it on every render.
+export function useRadarAlerts(radarContacts, {
+  rules = false,
+  options,
+  onAlert,
+  tones = false,
+  muted = [],
+  resetKey,
+  bannerDuration = 4000,
+  maxBanners = 3
+} = {}) {
+  const [banners, setBanners] = useState([]);
+  const latest = useRef({});
+  latest.current = { rules, options, onAlert, tones, muted };
+  const synth = useRef(null);
+
+  // Rules and options are usually written inline, so compare them by value.
+  // A fresh engine only records the first update, so rebuilding it on every
+  // render would never raise anything.
+  const rulesKey = Array.isArray(rules) ? JSON.stringify(rules.map(rule => rule && rule.id)) : String(rules);
+  const optionsKey = JSON.stringify(options || {});
+  const check = useMemo(() => {
+    const current = latest.current.rules;
+    if (!current) return null;
+    return createAlertEngine(current === true ? defaultAlertRules : current, latest.current.options);
+  }, [rulesKey, optionsKey, resetKey]);
+
+  useEffect(() => {
+    if (!check) return;
+    const raised = check(radarContacts);
+    if (raised.length === 0) return;
+
+    const { onAlert: handleAlert, tones: toneSettings, muted: mutedTypes } = latest.current;
+    raised.forEach(alert => {
+      if (handleAlert) handleAlert(alert);
+      const tone = mutedTypes.includes(alert.type) ? null : resolveAlertTone(toneSettings, alert.type);
+      if (tone) {
+        if (!synth.current) synth.current = createAlertSynth();
+        synth.current.play(tone);
+      }
+    });
+    setBanners(current => [...raised.slice().reverse(), ...current].slice(0, maxBanners));
+  }, [check, radarContacts, maxBanners]);
+
+  // Expire banners as their time runs out
+  useEffect(() => {
+    if (banners.length === 0 || !bannerDuration) return undefined;
+    const oldest = Math.min(...banners.map(banner => banner.time));
+    const timer = setTimeout(() => {
+      setBanners(current => current.filter(banner => Date.now() - banner.time < bannerDuration));
+    }, Math.max(oldest + bannerDuration - Date.now(), 0));
+    return () => clearTimeout(timer);
+  }, [banners, bannerDuration]);
+
+  useEffect(() => () => {
+    if (synth.current) synth.current.close();
+  }, []);
+
+  // A fresh engine numbers its alerts from 1 again, so clear the old ones
+  useEffect(() => {
+    setBanners([]);
+  }, [check]);
+
+  const dismiss = key => setBanners(current => current.filter(banner => banner.key !== key));
+
+  return { banners, dismiss };
+}
+
+export default useRadarAlerts;
@@ -0,0 +1,36 @@
+import { useEffect, useRef, useState } from 'react';
+import { createRadarFeed } from './radarFeed.js';
+
+// Live contacts from a radar feed (see radarFeed.js for sources and the
+// message schema), with the `player` state and `selectedId` the feed last
+// sent, if any. Reconnects when `source` changes, so keep function and
+// iterable sources stable (useMemo / useCallback). A falsy source disconnects.
+const CLOSED = { contacts: [], status: 'closed', error: null, player: undefined, selectedId: undefined };
+
+export function useRadarFeed(source, options = {}) {
+  const [state, setState] = useState(CLOSED);
+  const optionsRef = useRef(options);
+  optionsRef.current = options;
+
+  useEffect(() => {
+    if (!source) return undefined;
+
+    const feed = createRadarFeed(source, {
+      ...optionsRef.current,
+      onError: (error) => {
+        if (optionsRef.current.onError) optionsRef.current.onError(error);
+      }
+    });
+    const unsubscribe = feed.subscribe(setState);
+    return () => {
+      unsubscribe();
+      feed.close();
+      // Nothing is connected until the next source opens
+      setState(CLOSED);
+    };
+  }, [source]);
+
+  return state;
+}
+
+export default useRadarFeed;
@@ -0,0 +1,82 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { createPlayback } from './radarRecording.js';
+
+// Playback clock over a parsed recording (see radarRecording.js). `frame`
+// holds the radar inputs at the current time; `seekCount` increases on every
+// seek so callers can reset anything time-dependent, such as trails.
+export function useRadarReplay(recording, { autoPlay = true, loop = false } = {}) {
+  const playback = useMemo(() => (recording ? createPlayback(recording) : null), [recording]);
+  const duration = playback ? playback.duration : 0;
+
+  const [time, setTime] = useState(0);
+  const [playing, setPlaying] = useState(autoPlay);
+  const [speed, setSpeed] = useState(1);
+  const [seekCount, setSeekCount] = useState(0);
+  const timeRef = useRef(0);
+
+  // New recording: back to the start
+  useEffect(() => {
+    timeRef.current = 0;
+    setTime(0);
+    setPlaying(autoPlay);
+    setSeekCount(count => count + 1);
+  }, [playback]);
+
+  useEffect(() => {
+    if (!playback || !playing) return undefined;
+    let frame;
+    let last = performance.now();
+
+    const step = (now) => {
+      let next = timeRef.current + (now - last) * speed;
+      last = now;
+      if (next >= duration) {
+        if (loop && duration > 0) {
+          next = 0;
+          setSeekCount(count => count + 1);
+        } else {
+          next = duration;
+          setPlaying(false);
+        }
+      }
+      timeRef.current = next;
+      setTime(next);
+      if (next < duration || loop) frame = requestAnimationFrame(step);
+    };
+    frame = requestAnimationFrame(step);
+
+    return () => cancelAnimationFrame(frame);
+  }, [playback, playing, speed, duration, loop]);
+
+  const seek = useCallback((target) => {
+    const clamped = Math.min(Math.max(target, 0), duration);
+    timeRef.current = clamped;
+    setTime(clamped);
+    setSeekCount(count => count + 1);
+  }, [duration]);
+
+  const play = useCallback(() => {
+    // Playing from the end starts over
+    if (timeRef.current >= duration) seek(0);
+    setPlaying(true);
+  }, [duration, seek]);
+
+  const pause = useCallback(() => setPlaying(false), []);
+
+  return {
+    active: !!playback,
+    frame: playback ? playback.frameAt(time) : null,
+    time,
+    duration,
+    playing,
+    speed,
+    seekCount,
+    play,
+    pause,
+    toggle: playing ? pause : play,
+    seek,
+    setSpeed
+  };
+}
+
+export default useRadarReplay;
@@ -0,0 +1,80 @@
+import { useEffect, useRef, useState } from 'react';
+import { applyTargetAction, defaultTargetBindings, eventToBinding, normalizeBinding } from './radarTargeting.js';
+
+// ============================================================================
+// SELECTION STATE
+// ============================================================================
+
+// Selection is controlled when `selectedId` is passed (null meaning "nothing
+// selected"); otherwise it is tracked internally. Until anything is selected
+// the static `selected` flag on the contact data is honoured.
+export function useSelection(selectedId, onSelectionChange) {
+  const [internalId, setInternalId] = useState(undefined);
+  const isControlled = selectedId !== undefined;
+  const currentId = isControlled ? selectedId : internalId;
+
+  const setSelectedId = (id, contact) => {
+    if (!isControlled) setInternalId(id);
+    if (onSelectionChange) onSelectionChange(id, contact);
+  };
+
+  return [currentId, setSelectedId];
+}
+
+// ============================================================================
+// KEYBOARD CONTROLLER
+// ============================================================================
+
+function isTextInput(target) {
+  if (!target) return false;
+  const tag = target.tagName;
+  return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || target.isContentEditable;
+}
+
+// Listens for target keys on the window. `getContacts` must return the
+// current contacts already transformed to radar space, and `bindings` is
+// merged over defaultTargetBindings so callers only remap what they need.
+// With `scope`, a ref to an element, keys only count while focus is inside
+// that element, so several radars on a page don't all answer.
+export function useTargetKeys({
+  getContacts,
+  selectedId,
+  onTarget,
+  bindings,
+  scope,
+  enabled = true
+}) {
+  const stateRef = useRef();
+  stateRef.current = { getContacts, selectedId, onTarget };
+
+  const bindingKey = JSON.stringify(bindings || {});
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const keyMap = {};
+    const merged = { ...defaultTargetBindings, ...bindings };
+    Object.entries(merged).forEach(([action, keys]) => {
+      (keys || []).forEach(key => {
+        keyMap[normalizeBinding(key)] = action;
+      });
+    });
+
+    const handleKeyDown = (event) => {
+      if (isTextInput(event.target)) return;
+      if (scope && !(scope.current && scope.current.contains(event.target))) return;
+      const action = keyMap[eventToBinding(event)];
+      if (!action) return;
+
+      event.preventDefault();
+      const current = stateRef.current;
+      const target = applyTargetAction(action, current.getContacts(), current.selectedId);
+      // Nothing matching (e.g. no hostiles) leaves the current target alone
+      if (!target && action !== 'clear') return;
+      current.onTarget(target, action);
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [enabled, bindingKey, scope]);
+}